@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * ✅ Load Test / Benchmark for TensorFlow Serving Targets
+ *
+ * Drives Predict calls against INGRESS and/or POD (config.js) for a fixed
+ * duration and reports latency percentiles with a histogram, throughput,
+ * errors by gRPC status, and where the time goes:
+ * - serialize:   SequenceExample + PredictRequest encoding
+ * - network:     gRPC round trip of the encoded bytes (includes server time)
+ * - deserialize: PredictResponse decoding
+ *
+ * Two load models:
+ * - closed loop (--concurrency N): N workers, each sends its next call when the last returns
+ * - open loop (--qps R):           calls start at a fixed rate whatever the latency;
+ *                                  arrivals beyond MAX_IN_FLIGHT are dropped and counted
+ *
+ * Each call is a single attempt (no retries, no circuit breaker), so the
+ * numbers are the raw latency of the path. The first WARMUP_MS are not measured.
+ *
+ * Usage:
+ *   node benchmark.js                                   # INGRESS, 8 workers, 30s
+ *   node benchmark.js --target INGRESS,POD --duration 60000
+ *   node benchmark.js --target POD --qps 200 --model AGGRESSIVE --json bench.json
+ */
+
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+const grpc = require('@grpc/grpc-js');
+const config = require('./config');
+const { PredictionClient, buildMethodPath } = require('./prediction-client');
+const { buildSequenceExample } = require('./sequence-example-builder');
+const { getAll } = require('./feature-examples');
+const { loadExamples } = require('./dataset-loader');
+
+// Pass-through codec: the benchmark encodes and decodes itself so each step can be timed
+const RAW = {
+  encode: buffer => ({ finish: () => buffer }),
+  decode: buffer => buffer
+};
+
+// Histogram bucket upper bounds in milliseconds
+const BUCKETS_MS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, Infinity];
+
+const STATUS_NAMES = Object.fromEntries(Object.entries(grpc.status).map(([name, code]) => [code, name]));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Report key for a percentile: 50 → 'p50', 99.9 → 'p999' (the usual label for the 99.9th)
+ */
+function percentileKey(p) {
+  return `p${String(p).replace('.', '')}`;
+}
+
+/**
+ * Latency samples with exact percentiles and a bucketed histogram
+ */
+class LatencyHistogram {
+  constructor() {
+    this.samples = [];
+    this.sorted = true;
+  }
+
+  /**
+   * Records one latency in milliseconds
+   */
+  record(ms) {
+    this.samples.push(ms);
+    this.sorted = false;
+  }
+
+  get count() {
+    return this.samples.length;
+  }
+
+  /**
+   * Returns the p-th percentile (0-100), or null when empty
+   */
+  percentile(p) {
+    if (this.samples.length === 0) {
+      return null;
+    }
+    if (!this.sorted) {
+      this.samples.sort((a, b) => a - b);
+      this.sorted = true;
+    }
+    const index = Math.min(this.samples.length - 1, Math.ceil((p / 100) * this.samples.length) - 1);
+    return this.samples[Math.max(0, index)];
+  }
+
+  mean() {
+    return this.samples.length ? this.samples.reduce((sum, v) => sum + v, 0) / this.samples.length : null;
+  }
+
+  /**
+   * Sample counts per bucket: [{ le, count }]
+   */
+  buckets() {
+    const counts = BUCKETS_MS.map(le => ({ le, count: 0 }));
+    for (const ms of this.samples) {
+      counts.find(bucket => ms <= bucket.le).count++;
+    }
+    return counts;
+  }
+
+  /**
+   * Summary for reports; percentiles are keyed p50, p99, p999 (99.9), ...
+   */
+  summary(percentiles) {
+    const result = { count: this.count, mean: this.mean(), min: this.percentile(0), max: this.percentile(100) };
+    for (const p of percentiles) {
+      result[percentileKey(p)] = this.percentile(p);
+    }
+    return result;
+  }
+}
+
+/**
+ * One timed Predict call; resolves with phase timings or rejects with the call's error
+ */
+async function timedPredict(client, { example, target, methodPath, modelName, signatureName, timeout }) {
+  const t0 = performance.now();
+  const serializedExample = buildSequenceExample(example, { schema: config.FEATURES.SCHEMA });
+  const request = client.buildPredictRequest({ serializedExamples: [serializedExample], modelName, signatureName });
+  const bytes = client.PredictRequest.encode(request).finish();
+  const t1 = performance.now();
+
+  const responseBytes = await client.unaryCall({
+    target,
+    methodPath,
+    requestType: RAW,
+    responseType: RAW,
+    request: bytes,
+    timeout
+  });
+  const t2 = performance.now();
+
+  client.PredictResponse.decode(responseBytes);
+  const t3 = performance.now();
+
+  return { serialize: t1 - t0, network: t2 - t1, deserialize: t3 - t2, total: t3 - t0, requestBytes: bytes.length };
+}
+
+/**
+ * Runs the benchmark against one target
+ *
+ * @param {Object} options - Benchmark options (defaults from config.BENCHMARK)
+ * @param {string|Object} options.target - 'INGRESS', 'POD' or a target object
+ * @param {string} options.model - config.MODELS key (default: 'BASELINE')
+ * @param {number} options.durationMs - Measured duration
+ * @param {number} options.warmupMs - Unmeasured warm-up before it
+ * @param {number} options.concurrency - Closed-loop workers (ignored when qps is set)
+ * @param {number|null} options.qps - Open-loop arrival rate
+ * @param {number} options.maxInFlight - Open-loop in-flight cap
+ * @param {number} options.timeout - Per-call deadline in milliseconds
+ * @param {Object[]} options.examples - Feature examples sent round-robin (default: feature-examples.js)
+ * @param {number[]} options.percentiles - Reported percentiles
+ * @param {PredictionClient} options.client - Client whose channels are used (default: a new one, closed after)
+ * @returns {Promise<Object>} - Report: latency summaries per phase, histogram, throughput, errors
+ */
+async function runBenchmark(options = {}) {
+  const defaults = config.BENCHMARK;
+  const target = options.target || 'INGRESS';
+  const model = options.model || 'BASELINE';
+  const durationMs = options.durationMs || defaults.DURATION_MS;
+  const warmupMs = options.warmupMs !== undefined ? options.warmupMs : defaults.WARMUP_MS;
+  const qps = options.qps !== undefined ? options.qps : defaults.QPS;
+  const concurrency = options.concurrency || defaults.CONCURRENCY;
+  const maxInFlight = options.maxInFlight || defaults.MAX_IN_FLIGHT;
+  const timeout = options.timeout || defaults.TIMEOUT;
+  const percentiles = options.percentiles || defaults.PERCENTILES;
+  const examples = options.examples || getAll();
+  const client = options.client || new PredictionClient();
+
+  if (examples.length === 0) {
+    throw new Error('No examples to send');
+  }
+
+  const { modelName, signatureName, modelPath } = client.resolveModel({ model, target });
+  const call = {
+    target,
+    methodPath: buildMethodPath(modelPath, 'PredictionService', 'Predict'),
+    modelName,
+    signatureName,
+    timeout
+  };
+
+  const phases = {
+    total: new LatencyHistogram(),
+    serialize: new LatencyHistogram(),
+    network: new LatencyHistogram(),
+    deserialize: new LatencyHistogram()
+  };
+  const errors = {};
+  let requestBytes = 0;
+  let sent = 0;
+  let dropped = 0;
+  let inFlight = 0;
+  let nextExample = 0;
+
+  const startedAt = performance.now();
+  const measureFrom = startedAt + warmupMs;
+  const endAt = measureFrom + durationMs;
+
+  const fire = async () => {
+    const example = examples[nextExample++ % examples.length];
+    const measured = performance.now() >= measureFrom;
+    inFlight++;
+    try {
+      const timing = await timedPredict(client, { ...call, example });
+      if (measured) {
+        for (const [phase, histogram] of Object.entries(phases)) {
+          histogram.record(timing[phase]);
+        }
+        requestBytes += timing.requestBytes;
+      }
+    } catch (error) {
+      if (measured) {
+        const name = error.code !== undefined ? (STATUS_NAMES[error.code] || String(error.code)) : 'CLIENT_ERROR';
+        errors[name] = (errors[name] || 0) + 1;
+      }
+    } finally {
+      inFlight--;
+      if (measured) {
+        sent++;
+      }
+    }
+  };
+
+  try {
+    if (qps) {
+      // Open loop: start times follow the schedule, not the responses
+      const interval = 1000 / qps;
+      const pending = new Set();
+      for (let next = startedAt; next < endAt; next += interval) {
+        const wait = next - performance.now();
+        if (wait > 0) {
+          await sleep(wait);
+        }
+        if (inFlight >= maxInFlight) {
+          if (next >= measureFrom) {
+            dropped++;
+          }
+          continue;
+        }
+        const task = fire().then(() => pending.delete(task));
+        pending.add(task);
+      }
+      await Promise.all([...pending]);
+    } else {
+      // Closed loop: each worker keeps one call in flight until the end
+      await Promise.all(Array.from({ length: concurrency }, async () => {
+        while (performance.now() < endAt) {
+          await fire();
+        }
+      }));
+    }
+  } finally {
+    if (!options.client) {
+      client.close();
+    }
+  }
+
+  const elapsedMs = Math.max(performance.now(), endAt) - measureFrom;
+  const succeeded = phases.total.count;
+  const summaries = {};
+  for (const [phase, histogram] of Object.entries(phases)) {
+    summaries[phase] = histogram.summary(percentiles);
+  }
+
+  return {
+    target: typeof target === 'string' ? target : `${target.host || target.address}`,
+    model,
+    methodPath: call.methodPath,
+    mode: qps ? { type: 'open', qps, maxInFlight } : { type: 'closed', concurrency },
+    durationMs,
+    warmupMs,
+    requests: sent,
+    succeeded,
+    failed: sent - succeeded,
+    dropped,
+    throughput: {
+      requestsPerSecond: sent / (elapsedMs / 1000),
+      successesPerSecond: succeeded / (elapsedMs / 1000)
+    },
+    meanRequestBytes: succeeded ? requestBytes / succeeded : null,
+    latency: summaries,
+    histogram: phases.total.buckets(),
+    errors
+  };
+}
+
+function ms(value) {
+  return value === null || value === undefined ? 'n/a' : `${value.toFixed(2)}ms`;
+}
+
+/**
+ * Prints one benchmark report
+ */
+function printReport(report) {
+  const { total, serialize, network, deserialize } = report.latency;
+  const percentileKeys = Object.keys(total).filter(key => key.startsWith('p'));
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📊 ${report.target} → ${report.methodPath}`);
+  console.log(`   Mode: ${report.mode.type === 'open' ? `open loop, ${report.mode.qps} QPS` : `closed loop, ${report.mode.concurrency} workers`}` +
+    `, ${report.durationMs / 1000}s measured after ${report.warmupMs / 1000}s warm-up\n`);
+
+  console.log(`   Requests:   ${report.requests} (✅ ${report.succeeded}, ❌ ${report.failed}${report.dropped ? `, ⏭️  ${report.dropped} dropped` : ''})`);
+  console.log(`   Throughput: ${report.throughput.successesPerSecond.toFixed(1)} ok/s (${report.throughput.requestsPerSecond.toFixed(1)} req/s)`);
+  if (report.meanRequestBytes) {
+    console.log(`   Request:    ${Math.round(report.meanRequestBytes)} bytes on average`);
+  }
+
+  console.log('\n   Latency     ' + ['mean', ...percentileKeys, 'max'].map(k => k.padStart(10)).join(''));
+  for (const [phase, summary] of Object.entries({ total, serialize, network, deserialize })) {
+    console.log(`   ${phase.padEnd(12)}` + [summary.mean, ...percentileKeys.map(k => summary[k]), summary.max]
+      .map(value => ms(value).padStart(10)).join(''));
+  }
+
+  if (total.mean) {
+    const share = (summary) => `${((summary.mean / total.mean) * 100).toFixed(1)}%`;
+    console.log(`\n   Time split: serialize ${share(serialize)}, network ${share(network)}, deserialize ${share(deserialize)}`);
+  }
+
+  if (report.succeeded > 0) {
+    console.log('\n   Histogram (total latency)');
+    const max = Math.max(...report.histogram.map(bucket => bucket.count));
+    for (const { le, count } of report.histogram) {
+      if (count === 0) {
+        continue;
+      }
+      const label = le === Infinity ? '> 5000ms' : `≤ ${le}ms`;
+      const bar = '█'.repeat(Math.max(1, Math.round((count / max) * 40)));
+      console.log(`   ${label.padStart(9)} ${bar} ${count} (${((count / report.succeeded) * 100).toFixed(1)}%)`);
+    }
+  }
+
+  const errorNames = Object.keys(report.errors);
+  if (errorNames.length > 0) {
+    console.log('\n   Errors by status');
+    for (const name of errorNames.sort((a, b) => report.errors[b] - report.errors[a])) {
+      console.log(`   ❌ ${name.padEnd(20)} ${report.errors[name]}`);
+    }
+  }
+  console.log('');
+}
+
+// Run the benchmark
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const valueOf = (flag) => {
+      const index = args.indexOf(flag);
+      return index >= 0 ? args[index + 1] : undefined;
+    };
+    const number = (flag) => (valueOf(flag) !== undefined ? Number(valueOf(flag)) : undefined);
+
+    try {
+      const targets = (valueOf('--target') || 'INGRESS').split(',').map(t => t.trim().toUpperCase());
+      const examplesFile = valueOf('--examples');
+      const examples = examplesFile ? await loadExamples(examplesFile, { limit: number('--limit') }) : getAll();
+      const reports = [];
+
+      for (const target of targets) {
+        console.log(`🏁 Benchmarking ${target}...`);
+        const report = await runBenchmark({
+          target,
+          model: valueOf('--model'),
+          durationMs: number('--duration'),
+          warmupMs: number('--warmup'),
+          concurrency: number('--concurrency'),
+          qps: number('--qps'),
+          timeout: number('--timeout'),
+          examples
+        });
+        printReport(report);
+        reports.push(report);
+      }
+
+      if (reports.length > 1) {
+        console.log('📋 Comparison (total latency)');
+        for (const report of reports) {
+          const { p50, p99 } = report.latency.total;
+          console.log(`   ${report.target.padEnd(10)} p50 ${ms(p50).padStart(10)}  p99 ${ms(p99).padStart(10)}  ` +
+            `${report.throughput.successesPerSecond.toFixed(1)} ok/s  ❌ ${report.failed}`);
+        }
+        console.log('');
+      }
+
+      const jsonFile = valueOf('--json');
+      if (jsonFile) {
+        fs.writeFileSync(jsonFile, `${JSON.stringify(reports, null, 2)}\n`);
+        console.log(`📝 Results written to ${jsonFile}`);
+      }
+    } catch (error) {
+      console.error('\n💥 Error:', error.message);
+      process.exitCode = 1;
+    }
+  })();
+}
+
+module.exports = {
+  runBenchmark,
+  printReport,
+  percentileKey,
+  LatencyHistogram
+};
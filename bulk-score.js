@@ -0,0 +1,494 @@
+#!/usr/bin/env node
+/**
+ * ✅ Bulk Offline Scoring with Resumable Output
+ *
+ * Streams a dataset file (JSONL / CSV, optionally .gz; see dataset-loader.js)
+ * through the prediction client with bounded concurrency and an optional
+ * target QPS, writing one output row per example as it completes.
+ *
+ * Output rows are appended in completion order and carry the example's
+ * `index` (and input `line`), so they can be joined back to the input.
+ * Failed examples get a row with the error instead of predictions, except
+ * for retryable failures (config.RETRY.RETRYABLE_CODES, e.g. UNAVAILABLE):
+ * those get no row and are scored again by the next run.
+ *
+ * Progress is checkpointed next to the output (<output>.checkpoint.json):
+ * the set of completed indices plus the output size at that moment. A
+ * crashed or interrupted run started again with the same arguments
+ * truncates the output back to the checkpoint and only scores the rest,
+ * so no example is scored twice or written twice.
+ *
+ * Usage:
+ *   node bulk-score.js logged.jsonl.gz scores.jsonl
+ *   node bulk-score.js logged.csv scores.csv --model AGGRESSIVE --concurrency 16 --qps 200
+ *   node bulk-score.js logged.csv scores.csv --pod --fresh     # discard a previous run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('./config');
+const { getSharedClient } = require('./prediction-client');
+const { buildSequenceExample } = require('./sequence-example-builder');
+const { readExamples } = require('./dataset-loader');
+const { toStatusCodes } = require('./retry-policy');
+const { outputsToValues } = require('./tensor');
+
+const CHECKPOINT_VERSION = 1;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Quotes a CSV field when needed
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Completed indices, stored compactly as a contiguous prefix plus the
+ * indices above it (completions arrive out of order, but only by about
+ * the concurrency)
+ */
+class CompletedSet {
+  constructor({ below = 0, above = [] } = {}) {
+    this.below = below;
+    this.above = new Set(above);
+  }
+
+  has(index) {
+    return index < this.below || this.above.has(index);
+  }
+
+  add(index) {
+    if (this.has(index)) {
+      return;
+    }
+    this.above.add(index);
+    while (this.above.has(this.below)) {
+      this.above.delete(this.below);
+      this.below++;
+    }
+  }
+
+  toJSON() {
+    return { below: this.below, above: [...this.above].sort((a, b) => a - b) };
+  }
+}
+
+class BulkScorer extends EventEmitter {
+  /**
+   * @param {Object} options - Scoring options (defaults from config.BULK)
+   * @param {string} options.input - Dataset file
+   * @param {string} options.output - Output file (.jsonl or .csv)
+   * @param {string} options.model - config.MODELS key (default: 'BASELINE')
+   * @param {string|Object} options.target - 'INGRESS' (default), 'POD' or a target object
+   * @param {number} options.concurrency - Calls in flight
+   * @param {number|null} options.qps - Target requests per second
+   * @param {number} options.timeout - Per-call timeout in milliseconds
+   * @param {boolean} options.fresh - Discard an existing output and checkpoint
+   * @param {Object} options.loader - readExamples() options (columns, types, limit, ...)
+   * @param {string[]} options.csvOutputs - Prediction columns for CSV output
+   * @param {Array<string|number>} options.retryableCodes - gRPC codes left for the next run
+   *   instead of written as failed (default: config.RETRY.RETRYABLE_CODES)
+   * @param {PredictionClient} options.client - Client to call through (default: shared client)
+   */
+  constructor(options) {
+    super();
+    const defaults = config.BULK;
+
+    if (!options.input || !options.output) {
+      throw new Error('input and output files are required');
+    }
+    this.input = options.input;
+    this.output = options.output;
+    this.checkpointPath = `${options.output}.checkpoint.json`;
+    this.format = /\.csv$/i.test(options.output) ? 'csv' : 'jsonl';
+    this.model = options.model || 'BASELINE';
+    this.target = options.target || 'INGRESS';
+    this.concurrency = options.concurrency || defaults.CONCURRENCY;
+    this.qps = options.qps !== undefined ? options.qps : defaults.QPS;
+    this.timeout = options.timeout || defaults.TIMEOUT;
+    this.fresh = Boolean(options.fresh);
+    this.loader = options.loader || {};
+    this.csvOutputs = options.csvOutputs || defaults.CSV_OUTPUTS;
+    this.retryableCodes = toStatusCodes(options.retryableCodes || config.RETRY.RETRYABLE_CODES);
+    this.checkpointEvery = options.checkpointEvery || defaults.CHECKPOINT_EVERY;
+    this.checkpointIntervalMs = options.checkpointIntervalMs || defaults.CHECKPOINT_INTERVAL_MS;
+    this.client = options.client || getSharedClient();
+
+    if (!config.MODELS[this.model]) {
+      throw new Error(`Unknown model: ${this.model}. Available: ${Object.keys(config.MODELS).join(', ')}`);
+    }
+
+    this.stats = { scored: 0, failed: 0, retryable: 0, skipped: 0, invalid: 0 };
+    this.inFlight = 0;
+    this.waiters = [];
+    this.active = new Set();
+    this.nextStartAt = 0;
+    this.stopped = false;
+    this.writeError = null;
+  }
+
+  /**
+   * Loads the checkpoint (or starts over) and opens the output for appending
+   * The output is truncated to the size recorded in the checkpoint, dropping
+   * rows written after it was saved; their examples are scored again
+   */
+  open() {
+    const outputExists = fs.existsSync(this.output);
+    const checkpointExists = fs.existsSync(this.checkpointPath);
+    let checkpoint = null;
+
+    if (this.fresh) {
+      fs.rmSync(this.checkpointPath, { force: true });
+    } else if (checkpointExists) {
+      checkpoint = JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8'));
+      const expected = { input: path.resolve(this.input), model: this.model, format: this.format };
+      for (const [key, value] of Object.entries(expected)) {
+        if (checkpoint[key] !== value) {
+          throw new Error(
+            `Checkpoint ${this.checkpointPath} is for ${key} ${checkpoint[key]}, not ${value}. Use --fresh to start over`
+          );
+        }
+      }
+    } else if (outputExists && fs.statSync(this.output).size > 0) {
+      throw new Error(`${this.output} exists without a checkpoint. Use --fresh to overwrite it`);
+    }
+
+    if (checkpoint) {
+      const size = outputExists ? fs.statSync(this.output).size : 0;
+      if (size < checkpoint.outputBytes) {
+        throw new Error(`${this.output} is shorter than its checkpoint (${size} < ${checkpoint.outputBytes} bytes)`);
+      }
+      fs.truncateSync(this.output, checkpoint.outputBytes);
+      this.completed = new CompletedSet(checkpoint.completed);
+      this.retry = new Set(checkpoint.retry || []);
+      this.outputBytes = checkpoint.outputBytes;
+      this.stats.scored = checkpoint.scored;
+      this.stats.failed = checkpoint.failed;
+    } else {
+      fs.writeFileSync(this.output, '');
+      this.completed = new CompletedSet();
+      this.retry = new Set();
+      this.outputBytes = 0;
+    }
+    this.resumed = Boolean(checkpoint);
+
+    this.stream = fs.createWriteStream(this.output, { flags: 'a' });
+    this.stream.on('error', error => this.failWrite(error));
+    this.rowsSinceCheckpoint = 0;
+    this.lastCheckpointAt = Date.now();
+
+    if (this.format === 'csv' && this.outputBytes === 0) {
+      this.writeRow(null, ['index', 'line', 'model', ...this.csvOutputs, 'error'].join(','));
+    }
+  }
+
+  /**
+   * Appends one row; the index counts as completed (and scored or failed)
+   * once the row is on disk, so a checkpoint never covers unwritten rows
+   * A failed write stops the run (see failWrite)
+   */
+  writeRow(index, text, failed = false) {
+    const row = `${text}\n`;
+    this.stream.write(row, (error) => {
+      if (error) {
+        this.failWrite(error);
+        return;
+      }
+      this.outputBytes += Buffer.byteLength(row);
+      if (index === null) {
+        return;
+      }
+      this.completed.add(index);
+      this.retry.delete(index);
+      this.stats[failed ? 'failed' : 'scored']++;
+      this.countRow();
+    });
+  }
+
+  /**
+   * Leaves an example that failed with a retryable code for the next run: it gets
+   * no row, and the checkpoint lists it under `retry` so a resume scores it again
+   */
+  deferRow(index) {
+    this.completed.add(index);
+    this.retry.add(index);
+    this.stats.retryable++;
+    this.countRow();
+  }
+
+  /**
+   * Saves a checkpoint every checkpointEvery rows or checkpointIntervalMs
+   */
+  countRow() {
+    if (++this.rowsSinceCheckpoint >= this.checkpointEvery ||
+        Date.now() - this.lastCheckpointAt >= this.checkpointIntervalMs) {
+      this.saveCheckpoint();
+    }
+  }
+
+  /**
+   * Records the first output write error and stops reading input
+   * run() rejects with it once in-flight calls have finished; rows after the
+   * failure are not marked completed, so a resume scores them again
+   */
+  failWrite(error) {
+    if (!this.writeError) {
+      this.writeError = error;
+      this.stopped = true;
+    }
+  }
+
+  /**
+   * Formats one result as a JSONL or CSV row
+   */
+  formatRow({ index, line, predictions, error }) {
+    const modelName = config.MODELS[this.model].name;
+    const errorInfo = error ? { code: error.code !== undefined ? error.code : null, message: error.message } : null;
+
+    if (this.format === 'csv') {
+      return [
+        index,
+        line,
+        modelName,
+        ...this.csvOutputs.map(name => (predictions ? predictions[name] : null)),
+        errorInfo ? `${errorInfo.code !== null ? `${errorInfo.code} ` : ''}${errorInfo.message}` : null
+      ].map(csvField).join(',');
+    }
+    return JSON.stringify(errorInfo
+      ? { index, line, model: modelName, error: errorInfo }
+      : { index, line, model: modelName, predictions });
+  }
+
+  /**
+   * Writes the checkpoint atomically (temp file + rename)
+   */
+  saveCheckpoint() {
+    const checkpoint = {
+      version: CHECKPOINT_VERSION,
+      input: path.resolve(this.input),
+      model: this.model,
+      format: this.format,
+      outputBytes: this.outputBytes,
+      completed: this.completed.toJSON(),
+      retry: [...this.retry].sort((a, b) => a - b),
+      scored: this.stats.scored,
+      failed: this.stats.failed,
+      updatedAt: new Date().toISOString()
+    };
+    const temp = `${this.checkpointPath}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(checkpoint));
+    fs.renameSync(temp, this.checkpointPath);
+    this.rowsSinceCheckpoint = 0;
+    this.lastCheckpointAt = Date.now();
+  }
+
+  /**
+   * Waits for a free concurrency slot
+   */
+  async acquire() {
+    while (this.inFlight >= this.concurrency) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+    this.inFlight++;
+  }
+
+  release() {
+    this.inFlight--;
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter();
+    }
+  }
+
+  /**
+   * Spaces call starts 1/qps apart
+   */
+  async pace() {
+    if (!this.qps) {
+      return;
+    }
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextStartAt);
+    this.nextStartAt = startAt + 1000 / this.qps;
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  }
+
+  /**
+   * Scores one example and writes its row; never rejects
+   */
+  async score({ index, line, example }) {
+    try {
+      const serializedExample = buildSequenceExample(example, { schema: config.FEATURES.SCHEMA });
+      const response = await this.client.predict({
+        serializedExample,
+        model: this.model,
+        target: this.target,
+        timeout: this.timeout
+      });
+      this.writeRow(index, this.formatRow({ index, line, predictions: outputsToValues(response.outputs) }));
+    } catch (error) {
+      if (this.retryableCodes.has(error.code)) {
+        this.deferRow(index);
+      } else {
+        this.writeRow(index, this.formatRow({ index, line, error }), true);
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Asks a running scorer to stop reading input; in-flight calls finish
+   * and the checkpoint is saved, so the run can be resumed
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Scores every example not completed by a previous run
+   * Emits 'progress' ({ scored, failed, retryable, skipped, invalid, inFlight, rate }) every progressIntervalMs
+   *
+   * @param {Object} options - { progressIntervalMs } (default: config.BULK.PROGRESS_INTERVAL_MS)
+   * @returns {Promise<Object>} - Final stats, plus `complete` (false when stopped early or
+   *   examples are left to retry)
+   * @throws {Error} - When writing the output fails (code from fs, e.g. 'ENOSPC'); the
+   *   checkpoint still covers every row written before the failure
+   */
+  async run({ progressIntervalMs = config.BULK.PROGRESS_INTERVAL_MS } = {}) {
+    this.open();
+    const startedAt = Date.now();
+    const scoredBefore = this.stats.scored + this.stats.failed;
+    const progress = () => {
+      const done = this.stats.scored + this.stats.failed - scoredBefore;
+      this.emit('progress', {
+        ...this.stats,
+        inFlight: this.inFlight,
+        rate: done / Math.max(0.001, (Date.now() - startedAt) / 1000)
+      });
+    };
+    const timer = setInterval(progress, progressIntervalMs);
+
+    const examples = readExamples(this.input, {
+      ...this.loader,
+      onInvalid: error => {
+        this.stats.invalid++;
+        this.emit('invalid', error);
+      }
+    });
+
+    try {
+      for await (const item of examples) {
+        if (this.stopped) {
+          break;
+        }
+        if (this.completed.has(item.index) && !this.retry.has(item.index)) {
+          this.stats.skipped++;
+          continue;
+        }
+        await this.acquire();
+        await this.pace();
+        const task = this.score(item).then(() => this.active.delete(task));
+        this.active.add(task);
+      }
+    } finally {
+      // Let in-flight calls finish and their rows reach disk before the final checkpoint
+      await Promise.all([...this.active]);
+      if (!this.stream.destroyed) {
+        await new Promise(resolve => this.stream.end(resolve));
+      }
+      this.saveCheckpoint();
+      clearInterval(timer);
+      progress();
+    }
+
+    if (this.writeError) {
+      this.writeError.message = `Failed to write ${this.output}: ${this.writeError.message}`;
+      throw this.writeError;
+    }
+
+    return { ...this.stats, resumed: this.resumed, complete: !this.stopped && this.retry.size === 0 };
+  }
+}
+
+// Run bulk scoring
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const valueOf = (flag) => {
+      const index = args.indexOf(flag);
+      return index >= 0 ? args[index + 1] : undefined;
+    };
+    const valueFlags = ['--model', '--concurrency', '--qps', '--limit', '--timeout'];
+    const [input, output] = args.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(args[i - 1]));
+    const number = (flag) => (valueOf(flag) !== undefined ? Number(valueOf(flag)) : undefined);
+
+    let scorer;
+    try {
+      scorer = new BulkScorer({
+        input,
+        output,
+        model: valueOf('--model'),
+        target: args.includes('--pod') ? 'POD' : 'INGRESS',
+        concurrency: number('--concurrency'),
+        qps: number('--qps'),
+        timeout: number('--timeout'),
+        fresh: args.includes('--fresh'),
+        loader: { limit: number('--limit') }
+      });
+
+      console.log(`🚀 Bulk scoring ${input} → ${output}`);
+      console.log(`🎯 Model: ${scorer.model} via ${scorer.target === 'POD' ? 'POD' : 'INGRESS'}`);
+      console.log(`⚙️  Concurrency: ${scorer.concurrency}${scorer.qps ? `, target ${scorer.qps} QPS` : ''}\n`);
+
+      scorer.on('progress', ({ scored, failed, retryable, skipped, invalid, inFlight, rate }) => {
+        console.log(
+          `   ⏳ ${scored} scored, ${failed} failed, ${retryable} to retry, ${skipped} resumed, ${invalid} invalid` +
+          ` | ${inFlight} in flight | ${rate.toFixed(1)}/s`
+        );
+      });
+      scorer.on('invalid', error => console.warn(`   ⚠️  ${error.message}`));
+
+      // Ctrl+C stops reading input; in-flight calls finish and the checkpoint is saved
+      process.once('SIGINT', () => {
+        console.log('\n🛑 Stopping after in-flight calls (run again to resume)...');
+        scorer.stop();
+      });
+
+      const result = await scorer.run();
+
+      console.log('');
+      if (result.resumed) {
+        console.log(`🔁 Resumed: ${result.skipped} examples already scored`);
+      }
+      console.log(`${result.complete ? '✅ Done' : '⏸️  Stopped'}: ${result.scored} scored, ${result.failed} failed → ${output}`);
+      if (result.retryable > 0) {
+        console.log(`🔁 ${result.retryable} hit a retryable error (e.g. UNAVAILABLE): run again to score them`);
+      }
+      if (result.failed > 0 || !result.complete) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('\n💥 Error:', error.message);
+      console.error('   Usage: node bulk-score.js <input.jsonl|csv[.gz]> <output.jsonl|csv> [--model M] [--pod]');
+      console.error('          [--concurrency N] [--qps N] [--limit N] [--timeout ms] [--fresh]');
+      process.exitCode = 1;
+    } finally {
+      getSharedClient().close();
+    }
+  })();
+}
+
+module.exports = {
+  BulkScorer,
+  CompletedSet
+};
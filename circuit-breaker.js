@@ -0,0 +1,264 @@
+/**
+ * Circuit Breaker per Model Path
+ *
+ * Stops sending traffic to a model variant that is failing or too slow, so
+ * callers fail fast (and can fall back to another variant) instead of
+ * waiting for timeouts.
+ *
+ * States:
+ * - CLOSED:    calls flow; outcomes of the last `windowSize` calls are tracked
+ * - OPEN:      calls are rejected immediately with code 'CIRCUIT_OPEN'
+ * - HALF_OPEN: after `openDurationMs`, up to `halfOpenMaxCalls` trial calls are let
+ *              through; all succeeding closes the circuit, any failure re-opens it
+ *
+ * The circuit opens when, over at least `minimumCalls` calls, the failure rate
+ * or the slow-call rate reaches its threshold. Only server-side failures count
+ * (UNAVAILABLE, DEADLINE_EXCEEDED, ...); a request the server rejected as
+ * invalid still proves the model is up.
+ *
+ * Usage:
+ *   const { CircuitBreakerRegistry } = require('./circuit-breaker');
+ *   const breakers = new CircuitBreakerRegistry();
+ *   const response = await breakers.get(config.MODELS.BASELINE.path).execute(() => call());
+ *   breakers.getStates(); // { 'ads-dnb-baseline-v1/sparse': { state: 'CLOSED', ... } }
+ */
+
+const EventEmitter = require('events');
+const grpc = require('@grpc/grpc-js');
+const config = require('./config');
+
+const STATES = Object.freeze({
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+});
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {string} key - What this breaker protects (a model path)
+   * @param {Object} options - Thresholds (defaults from config.CIRCUIT_BREAKER)
+   * @param {number} options.windowSize - Number of recent calls considered
+   * @param {number} options.minimumCalls - Calls needed before the rates are trusted
+   * @param {number} options.failureRateThreshold - Failure rate (0-1) that opens the circuit
+   * @param {number} options.slowCallMs - Calls slower than this count as slow
+   * @param {number} options.slowCallRateThreshold - Slow-call rate (0-1) that opens the circuit
+   * @param {number} options.openDurationMs - Time spent OPEN before trial calls
+   * @param {number} options.halfOpenMaxCalls - Trial calls allowed in HALF_OPEN
+   * @param {Array<string|number>} options.failureCodes - gRPC status names or codes counted as failures
+   */
+  constructor(key, options = {}) {
+    super();
+    const defaults = config.CIRCUIT_BREAKER;
+
+    this.key = key;
+    this.windowSize = options.windowSize ?? defaults.WINDOW_SIZE;
+    this.minimumCalls = options.minimumCalls ?? defaults.MINIMUM_CALLS;
+    this.failureRateThreshold = options.failureRateThreshold ?? defaults.FAILURE_RATE_THRESHOLD;
+    this.slowCallMs = options.slowCallMs ?? defaults.SLOW_CALL_MS;
+    this.slowCallRateThreshold = options.slowCallRateThreshold ?? defaults.SLOW_CALL_RATE_THRESHOLD;
+    this.openDurationMs = options.openDurationMs ?? defaults.OPEN_DURATION_MS;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? defaults.HALF_OPEN_MAX_CALLS;
+    this.failureCodes = new Set((options.failureCodes ?? defaults.FAILURE_CODES).map(code => (
+      typeof code === 'number' ? code : grpc.status[code]
+    )));
+
+    this.state = STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+  }
+
+  /**
+   * Whether an error means the model itself is unhealthy
+   */
+  isFailure(error) {
+    return this.failureCodes.has(error.code);
+  }
+
+  /**
+   * Whether a call may be sent now (moves OPEN → HALF_OPEN once the open period is over)
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.openDurationMs) {
+        return false;
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      return this.halfOpenInFlight < this.halfOpenMaxCalls;
+    }
+    return true;
+  }
+
+  /**
+   * Runs a call through the breaker
+   *
+   * @param {Function} fn - () => Promise
+   * @returns {Promise<*>} - Result of fn
+   * @throws {Error} - fn's error, or an error with code 'CIRCUIT_OPEN' when rejected
+   */
+  async execute(fn) {
+    if (!this.allowRequest()) {
+      const retryIn = Math.max(0, this.openedAt + this.openDurationMs - Date.now());
+      const error = new Error(`Circuit ${this.state} for ${this.key} (retry in ${retryIn}ms)`);
+      error.code = 'CIRCUIT_OPEN';
+      error.circuitKey = this.key;
+      throw error;
+    }
+
+    const trial = this.state === STATES.HALF_OPEN;
+    if (trial) {
+      this.halfOpenInFlight++;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await fn();
+      this.onOutcome(false, Date.now() - startedAt, trial);
+      return result;
+    } catch (error) {
+      this.onOutcome(this.isFailure(error), Date.now() - startedAt, trial);
+      throw error;
+    }
+  }
+
+  /**
+   * Records a finished call and applies state transitions
+   */
+  onOutcome(failed, latencyMs, trial) {
+    const slow = !failed && latencyMs > this.slowCallMs;
+
+    if (trial) {
+      this.halfOpenInFlight--;
+      if (this.state !== STATES.HALF_OPEN) {
+        return;
+      }
+      if (failed || slow) {
+        this.transition(STATES.OPEN);
+      } else if (++this.halfOpenSuccesses >= this.halfOpenMaxCalls) {
+        this.transition(STATES.CLOSED);
+      }
+      return;
+    }
+
+    this.outcomes.push({ failed, slow });
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+
+    if (this.state === STATES.CLOSED && this.outcomes.length >= this.minimumCalls) {
+      const { failureRate, slowCallRate } = this.rates();
+      if (failureRate >= this.failureRateThreshold || slowCallRate >= this.slowCallRateThreshold) {
+        this.transition(STATES.OPEN);
+      }
+    }
+  }
+
+  /**
+   * Failure and slow-call rates over the current window
+   */
+  rates() {
+    const calls = this.outcomes.length;
+    if (calls === 0) {
+      return { failureRate: 0, slowCallRate: 0 };
+    }
+    return {
+      failureRate: this.outcomes.filter(o => o.failed).length / calls,
+      slowCallRate: this.outcomes.filter(o => o.slow).length / calls
+    };
+  }
+
+  /**
+   * Moves to a new state and emits 'stateChange' ({ key, from, to })
+   */
+  transition(to) {
+    const from = this.state;
+    this.state = to;
+
+    if (to === STATES.OPEN) {
+      this.openedAt = Date.now();
+    } else if (to === STATES.HALF_OPEN) {
+      this.halfOpenInFlight = 0;
+      this.halfOpenSuccesses = 0;
+    } else {
+      this.outcomes = [];
+      this.openedAt = null;
+    }
+
+    this.emit('stateChange', { key: this.key, from, to });
+  }
+
+  /**
+   * Snapshot of the breaker for dashboards and fallback decisions
+   *
+   * @returns {{state: string, calls: number, failureRate: number, slowCallRate: number, openUntil: number|null}}
+   */
+  getState() {
+    return {
+      state: this.state,
+      calls: this.outcomes.length,
+      ...this.rates(),
+      openUntil: this.state === STATES.OPEN ? this.openedAt + this.openDurationMs : null
+    };
+  }
+
+  /**
+   * Forces the breaker back to CLOSED (e.g. after a manual fix)
+   */
+  reset() {
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+    this.outcomes = [];
+  }
+}
+
+/**
+ * One CircuitBreaker per key, created on first use with shared options
+ * Re-emits every breaker's 'stateChange' event
+ */
+class CircuitBreakerRegistry extends EventEmitter {
+  /**
+   * @param {Object} options - CircuitBreaker options applied to every breaker
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  /**
+   * Returns the breaker for a key, creating it if needed
+   *
+   * @param {string} key - Model path
+   * @returns {CircuitBreaker}
+   */
+  get(key) {
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker(key, this.options);
+      breaker.on('stateChange', event => this.emit('stateChange', event));
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * State of every breaker created so far, keyed by model path
+   */
+  getStates() {
+    const states = {};
+    for (const [key, breaker] of this.breakers) {
+      states[key] = breaker.getState();
+    }
+    return states;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakerRegistry,
+  STATES
+};
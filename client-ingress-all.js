@@ -4,93 +4,89 @@
  *
  * This script runs predictions on all feature examples against all model variants
  * (BASELINE, CONSERVATIVE, AGGRESSIVE) and displays results in a formatted table.
+ * Examples are sent as batched requests per model (up to BATCH_SIZE examples per RPC).
+ * Examples come from feature-examples.js, or from a JSONL/CSV file (dataset-loader.js).
  *
  * Usage:
  *   npm run client:ingress:all
+ *   node client-ingress-all.js logged.jsonl.gz --limit 200
  */
 
-const { makeIngressRequest } = require('./client-ingress');
 const { buildSequenceExample } = require('./sequence-example-builder');
-const { getAll, getCount } = require('./feature-examples');
+const { getAll } = require('./feature-examples');
 const config = require('./config');
+const { getSharedClient } = require('./prediction-client');
+const { loadExamples } = require('./dataset-loader');
 
 // Model variants to test
 const MODEL_VARIANTS = ['BASELINE', 'CONSERVATIVE', 'AGGRESSIVE'];
 
+// Examples per Predict call
+const BATCH_SIZE = 64;
+
 /**
  * Run predictions for all feature examples against all model variants
+ * Each variant gets batched Predict calls of up to BATCH_SIZE examples
+ *
+ * @param {Object[]} examples - Feature examples (default: feature-examples.js)
  */
-async function scoreAllExamples() {
-  const examples = getAll();
-  const totalCount = getCount();
-  const results = [];
+async function scoreAllExamples(examples = getAll()) {
+  const totalCount = examples.length;
+  const client = getSharedClient();
 
   console.log('🚀 Scoring All Feature Examples with All Model Variants');
   console.log(`📊 Total examples: ${totalCount}`);
   console.log(`🎯 Models: ${MODEL_VARIANTS.join(', ')}\n`);
   console.log('═'.repeat(100));
 
-  for (let i = 0; i < totalCount; i++) {
-    const example = examples[i];
-    const serializedExample = buildSequenceExample(example);
-    const exampleResults = {
-      index: i,
-      description: example.ad_type?.[0] || 'Unknown',
-      models: {}
-    };
+  const serializedExamples = examples.map(example =>
+    buildSequenceExample(example, { schema: config.FEATURES.SCHEMA })
+  );
+  const totalBytes = serializedExamples.reduce((sum, buffer) => sum + buffer.length, 0);
+  console.log(`\n📦 Serialized ${totalCount} examples (${totalBytes} bytes)`);
 
-    console.log(`\n📍 [${i + 1}/${totalCount}] Processing example ${i}...`);
-    console.log(`   ✓ Serialized: ${serializedExample.length} bytes`);
-
-    for (const variant of MODEL_VARIANTS) {
-      const modelConfig = config.MODELS[variant];
+  const results = examples.map((example, i) => ({
+    index: i,
+    description: example.ad_type?.[0] || 'Unknown',
+    models: {}
+  }));
 
+  for (const variant of MODEL_VARIANTS) {
+    for (let start = 0; start < totalCount; start += BATCH_SIZE) {
+      const batch = serializedExamples.slice(start, start + BATCH_SIZE);
       try {
-        console.log(`   ⏳ Requesting ${variant}...`);
-
-        const response = await makeIngressRequest({
-          serializedExample: serializedExample,
-          modelName: modelConfig.name,
-          signatureName: modelConfig.signature,
-          ingressHost: config.INGRESS.HOST,
-          modelPath: modelConfig.path,
-          port: config.INGRESS.PORT,
-          timeout: 5000,
-          caCertPath: config.INGRESS.CERT_PATH
-        });
+        console.log(`   ⏳ Requesting ${variant} (batch of ${batch.length} from #${start})...`);
 
-        // Extract predictions from response
-        const predictions = {};
-        if (response.outputs) {
-          for (const [outputName, tensor] of Object.entries(response.outputs)) {
-            if (tensor.floatVal && tensor.floatVal.length > 0) {
-              predictions[outputName] = tensor.floatVal[0];
-            } else if (tensor.int64Val && tensor.int64Val.length > 0) {
-              predictions[outputName] = tensor.int64Val[0];
-            }
-          }
-        }
+        const batchPredictions = await client.predictBatch({
+          serializedExamples: batch,
+          model: variant,
+          target: 'INGRESS',
+          timeout: 5000
+        });
 
-        exampleResults.models[variant] = {
-          status: '✅',
-          predictions: predictions
-        };
+        batchPredictions.forEach((predictions, i) => {
+          results[start + i].models[variant] = {
+            status: '✅',
+            predictions: predictions
+          };
+        });
 
         console.log(`   ✓ ${variant} predictions received`);
 
       } catch (error) {
         console.error(`   ❌ ${variant} Error: ${error.message}`);
-        exampleResults.models[variant] = {
-          status: '❌',
-          error: error.message
-        };
+        for (const result of results.slice(start, start + batch.length)) {
+          result.models[variant] = {
+            status: '❌',
+            error: error.message
+          };
+        }
       }
     }
-
-    results.push(exampleResults);
-    console.log('─'.repeat(100));
   }
 
+  console.log('─'.repeat(100));
+
   // Display summary table
   displaySummaryTable(results);
 }
@@ -210,10 +206,21 @@ function displaySummaryTable(results) {
 if (require.main === module) {
   (async () => {
     try {
-      await scoreAllExamples();
+      // Optional dataset file and --limit <n>
+      const args = process.argv.slice(2);
+      const limitIndex = args.indexOf('--limit');
+      const limit = limitIndex >= 0 ? parseInt(args[limitIndex + 1], 10) : undefined;
+      const file = args.find((a, i) => !a.startsWith('--') && (limitIndex < 0 || i !== limitIndex + 1));
+
+      if (file) {
+        console.log(`📂 Loading examples from ${file}${limit ? ` (first ${limit})` : ''}\n`);
+      }
+      await scoreAllExamples(file ? await loadExamples(file, { limit }) : getAll());
     } catch (error) {
       console.error('\n💥 Fatal error:', error.message);
-      process.exit(1);
+      process.exitCode = 1;
+    } finally {
+      getSharedClient().close();
     }
   })();
 }
@@ -7,36 +7,45 @@
  * - Custom path routing for model variants (BASELINE, CONSERVATIVE, AGGRESSIVE)
  * - Certificate-based authentication
  * - Support for optional "common" input tensor
+ * - Classify, Regress, MultiInference and GetModelMetadata over the same path
  *
  * Equivalent to Python's channel.unary_unary() with custom method path
  */
 
-const grpc = require('@grpc/grpc-js');
-const protoLoader = require('@grpc/proto-loader');
-const protobuf = require('protobufjs');
-const path = require('path');
 const fs = require('fs');
-const { buildSequenceExample, toHex } = require('./sequence-example-builder');
+const { buildSequenceExample, buildExample } = require('./sequence-example-builder');
 const config = require('./config');
+const { getSharedClient, buildMethodPath, PREDICTION_SERVICE_METHODS } = require('./prediction-client');
 const { getExample, getCount } = require('./feature-examples');
+const { tensorToJs, tensorToValue, dtypeName } = require('./tensor');
 
 /**
  * Makes a gRPC prediction request to TensorFlow Serving via ingress
  *
  * @param {Object} options - Request options
- * @param {Buffer} options.serializedExample - Serialized SequenceExample
+ * @param {string} options.method - PredictionService RPC: 'Predict' (default), 'Classify',
+ *   'Regress', 'MultiInference' or 'GetModelMetadata'
+ * @param {Buffer} options.serializedExample - Serialized SequenceExample, or tf.Example
+ *   (buildExample) for models that take plain Examples; both go in the "examples" input.
+ *   Classify/Regress/MultiInference need a tf.Example; not used by GetModelMetadata
+ * @param {Array} options.tasks - MultiInference tasks ({ signatureName, methodName })
  * @param {string} options.modelName - Model name (e.g., 'dnb_model_baseline')
  * @param {string} options.signatureName - Signature name (default: 'serving_default')
  * @param {string} options.ingressHost - Ingress hostname
  * @param {string} options.modelPath - Custom path for routing (e.g., 'ADS_LST_DNB_BASELINE')
  * @param {number} options.port - Port number (default: 443 for TLS, 80 for insecure)
  * @param {Buffer} options.serializedCommon - Optional serialized common features
+ *   (sent as the example list context for Classify/Regress/MultiInference)
  * @param {number} options.timeout - Timeout in milliseconds (default: 1000)
  * @param {string} options.caCertPath - Path to CA certificate file (default: 'ingress.crt')
- * @returns {Promise<Object>} - Prediction response
+ * @param {RetryPolicy|false} options.retry - Override the shared client's retry policy (config.RETRY)
+ * @param {boolean} options.quiet - Skip console output (for request paths such as shadow traffic)
+ * @returns {Promise<Object>} - Decoded response of the chosen RPC
+ *   (getModelMetadata() result for GetModelMetadata)
  */
 async function makeIngressRequest(options) {
   const {
+    method = 'Predict',
     serializedExample,
     modelName,
     signatureName = config.DEFAULTS.SIGNATURE,
@@ -45,11 +54,20 @@ async function makeIngressRequest(options) {
     port = 443,
     serializedCommon = null,
     timeout = config.DEFAULTS.TIMEOUT,
-    caCertPath = config.INGRESS.CERT_PATH
+    caCertPath = config.INGRESS.CERT_PATH,
+    tasks,
+    retry,
+    quiet = false
   } = options;
+  const log = quiet ? () => {} : console.log;
+  const logError = quiet ? () => {} : console.error;
 
   // Validate required parameters
-  if (!serializedExample) {
+  const clientMethod = PREDICTION_SERVICE_METHODS[method];
+  if (!clientMethod) {
+    throw new Error(`Unknown method: ${method}. Available: ${Object.keys(PREDICTION_SERVICE_METHODS).join(', ')}`);
+  }
+  if (!serializedExample && method !== 'GetModelMetadata') {
     throw new Error('serializedExample is required');
   }
   if (!modelName) {
@@ -62,133 +80,63 @@ async function makeIngressRequest(options) {
     throw new Error('modelPath is required (e.g., ADS_LST_DNB_BASELINE)');
   }
 
-  console.log('🔐 TensorFlow Serving Ingress Client\n');
-  console.log('🌐 Ingress Host:', ingressHost);
-  console.log('🔌 Port:', port);
-  console.log('🛣️  Model Path:', modelPath);
-  console.log('🎯 Model:', modelName);
-  console.log('📝 Signature:', signatureName);
-  console.log('');
-
-  // Load Protocol Buffer definitions
-  const root = protobuf.loadSync([
-    path.join(__dirname, 'proto/predict.proto'),
-    path.join(__dirname, 'proto/tensor.proto')
-  ]);
-
-  const PredictRequest = root.lookupType('tensorflow.serving.PredictRequest');
-  const PredictResponse = root.lookupType('tensorflow.serving.PredictResponse');
-
-  // Setup credentials
-  let credentials;
-  if (port === 443) {
-    // TLS/SSL with certificate
+  log('🔐 TensorFlow Serving Ingress Client\n');
+  log('🌐 Ingress Host:', ingressHost);
+  log('🔌 Port:', port);
+  log('🛣️  Model Path:', modelPath);
+  log('🎯 Model:', modelName);
+  log('📝 Signature:', signatureName);
+  log('📡 Method:', method);
+  log('');
+
+  // Check certificate up front so a bad path fails before any network I/O
+  const useTls = port === 443;
+  if (useTls) {
     if (!fs.existsSync(caCertPath)) {
       throw new Error(`Certificate file not found: ${caCertPath}`);
     }
-
-    const certContent = fs.readFileSync(caCertPath);
-    if (certContent.length === 0) {
-      throw new Error(`Certificate file is empty: ${caCertPath}. Please provide a valid certificate.`);
-    }
-
-    console.log('🔒 Using TLS with certificate:', caCertPath);
-    credentials = grpc.credentials.createSsl(certContent);
+    log('🔒 Using TLS with certificate:', caCertPath);
   } else {
     // Insecure for port 80
-    console.log('⚠️  Using insecure connection (no TLS)');
-    credentials = grpc.credentials.createInsecure();
+    log('⚠️  Using insecure connection (no TLS)');
   }
 
-  // Create client with credentials
-  const target = `${ingressHost}:${port}`;
-  const client = new grpc.Client(target, credentials);
-
-  console.log('🔗 Connected to:', target);
-  console.log('⏳ Making prediction request...\n');
-
-  // Build request payload
-  const inputs = {
-    'examples': {
-      dtype: config.DEFAULTS.DTYPE_STRING,
-      tensorShape: {
-        dim: [{ size: 1 }]
-      },
-      stringVal: [serializedExample]
-    }
-  };
-
-  // Add optional common input
   if (serializedCommon) {
-    inputs['common'] = {
-      dtype: config.DEFAULTS.DTYPE_STRING,
-      tensorShape: {
-        dim: [{ size: 1 }]
-      },
-      stringVal: [serializedCommon]
-    };
-    console.log('📦 Including "common" input tensor');
+    log('📦 Including "common" input tensor');
   }
 
-  // Create PredictRequest
-  const requestPayload = {
-    modelSpec: {
-      name: modelName,
-      signatureName: signatureName
-    },
-    inputs: inputs
-  };
-
-  // Verify and encode request
-  const errMsg = PredictRequest.verify(requestPayload);
-  if (errMsg) {
-    throw new Error(`Invalid PredictRequest: ${errMsg}`);
-  }
-
-  const request = PredictRequest.create(requestPayload);
-  const requestBuffer = PredictRequest.encode(request).finish();
-
-  console.log('📤 Request size:', requestBuffer.length, 'bytes');
-
   // Custom method path: /{custom_path}/{package.Service}/{Method}
-  const methodPath = `/${modelPath}/tensorflow.serving.PredictionService/Predict`;
-  console.log('🛤️  Method path:', methodPath);
-  console.log('');
-
-  // Make the unary request with custom path
-  return new Promise((resolve, reject) => {
-    const deadline = Date.now() + timeout;
-
-    const call = client.makeUnaryRequest(
-      methodPath,
-      // Serializer: encode PredictRequest to bytes
-      (value) => {
-        const message = PredictRequest.create(value);
-        return PredictRequest.encode(message).finish();
-      },
-      // Deserializer: decode bytes to PredictResponse
-      (buffer) => {
-        return PredictResponse.decode(buffer);
-      },
-      request,
-      new grpc.Metadata(),
-      { deadline: deadline },
-      (error, response) => {
-        // Close client after request
-        client.close();
-
-        if (error) {
-          console.error('❌ Request failed:', error.code, error.message);
-          console.error('   Details:', error.details);
-          reject(error);
-          return;
-        }
-
-        console.log('✅ SUCCESS!\n');
-        resolve(response);
-      }
-    );
-  });
+  const methodPath = buildMethodPath(modelPath, 'PredictionService', method);
+  log('🔗 Target:', `${ingressHost}:${port}`);
+  log('🛤️  Method path:', methodPath);
+  log(`⏳ Making ${method} request...\n`);
+
+  // Reuses the shared channel for this host instead of opening a new one per call
+  try {
+    const response = await getSharedClient()[clientMethod]({
+      serializedExample,
+      serializedCommon,
+      serializedExamples: serializedExample ? [serializedExample] : undefined,
+      serializedContext: serializedCommon,
+      tasks,
+      retry,
+      modelName,
+      signatureName,
+      modelPath,
+      target: { host: ingressHost, port, useTls, caCertPath },
+      timeout
+    });
+
+    log('✅ SUCCESS!\n');
+    return response;
+  } catch (error) {
+    logError('❌ Request failed:', error.code, error.message);
+    logError('   Details:', error.details);
+    if (error.attempts > 1) {
+      logError('   Attempts:', error.attempts);
+    }
+    throw error;
+  }
 }
 
 /**
@@ -206,22 +154,14 @@ function displayResults(response) {
 
       console.log(`  ${outputName}:`);
 
-      // Display float values
-      if (tensor.floatVal && tensor.floatVal.length > 0) {
-        const value = tensor.floatVal[0];
-        console.log(`    Value: ${value}`);
-      }
-
-      // Display int values
-      if (tensor.int64Val && tensor.int64Val.length > 0) {
-        const value = tensor.int64Val[0];
-        console.log(`    Value: ${value}`);
-      }
+      // Display value (scalar or nested array) for any dtype
+      const { dtypeName, shape } = tensorToJs(tensor);
+      console.log(`    Value: ${JSON.stringify(tensorToValue(tensor))}`);
+      console.log(`    Type:  ${dtypeName}`);
 
       // Display shape
-      if (tensor.tensorShape && tensor.tensorShape.dim) {
-        const shape = tensor.tensorShape.dim.map(d => d.size).join(' × ');
-        console.log(`    Shape: [${shape}]`);
+      if (shape) {
+        console.log(`    Shape: [${shape.join(' × ')}]`);
       }
 
       console.log('');
@@ -243,12 +183,59 @@ function displayResults(response) {
   console.log('\n✨ Done!');
 }
 
+/**
+ * Display the signatures returned by GetModelMetadata
+ */
+function displaySignatures({ modelSpec, signatureDefs }) {
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(`📋 SIGNATURES (${modelSpec ? modelSpec.name : 'unknown model'})\n`);
+
+  const describe = (info) => {
+    const dims = info.tensorShape && !info.tensorShape.unknownRank
+      ? `[${(info.tensorShape.dim || []).map(d => Number(d.size)).join(', ')}]`
+      : '[?]';
+    return `${dtypeName(info.dtype).padEnd(10)} ${dims}`;
+  };
+
+  for (const [name, signature] of Object.entries(signatureDefs).sort()) {
+    console.log(`  ${name}  (${signature.methodName})`);
+    for (const [input, info] of Object.entries(signature.inputs || {})) {
+      console.log(`    ▶ ${input.padEnd(24)} ${describe(info)}`);
+    }
+    for (const [output, info] of Object.entries(signature.outputs || {})) {
+      console.log(`    ◀ ${output.padEnd(24)} ${describe(info)}`);
+    }
+    console.log('');
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+}
+
 // Example usage if run directly
 if (require.main === module) {
   (async () => {
     try {
       // Get example index from command line argument, default to 0
-      const exampleIndex = parseInt(process.argv[2], 10) || 0;
+      // --tf-example sends a plain tf.Example instead of a SequenceExample
+      // --metadata prints the model's signatures instead of predicting
+      const args = process.argv.slice(2);
+      const useTfExample = args.includes('--tf-example');
+
+      if (args.includes('--metadata')) {
+        const metadata = await makeIngressRequest({
+          method: 'GetModelMetadata',
+          modelName: config.MODELS.BASELINE.name,
+          ingressHost: config.INGRESS.HOST,
+          modelPath: config.MODELS.BASELINE.path,
+          port: config.INGRESS.PORT,
+          timeout: 5000,
+          caCertPath: config.INGRESS.CERT_PATH
+        });
+        displaySignatures(metadata);
+        return;
+      }
+
+      const exampleIndex = parseInt(args.find(a => !a.startsWith('--')), 10) || 0;
 
       console.log(`📚 Available examples: ${getCount()}`);
       console.log(`📍 Using example ${exampleIndex} of ${getCount() - 1}\n`);
@@ -256,8 +243,9 @@ if (require.main === module) {
       // Get feature example data
       const featureListsData = getExample(exampleIndex);
 
-      console.log('📝 Building SequenceExample...');
-      const serializedExample = buildSequenceExample(featureListsData);
+      const build = useTfExample ? buildExample : buildSequenceExample;
+      console.log(`📝 Building ${useTfExample ? 'tf.Example' : 'SequenceExample'}...`);
+      const serializedExample = build(featureListsData, { schema: config.FEATURES.SCHEMA });
       console.log(`✅ Serialized to ${serializedExample.length} bytes\n`);
 
       // Make request to BASELINE model via ingress
@@ -275,7 +263,9 @@ if (require.main === module) {
       displayResults(response);
     } catch (error) {
       console.error('\n💥 Error:', error.message);
-      process.exit(1);
+      process.exitCode = 1;
+    } finally {
+      getSharedClient().close();
     }
   })();
 }
@@ -283,5 +273,6 @@ if (require.main === module) {
 // Export for use in other modules
 module.exports = {
   makeIngressRequest,
-  displayResults
+  displayResults,
+  displaySignatures
 };
@@ -18,104 +18,32 @@
 const ScyllaClient = require('./scylla-client');
 const { buildSequenceExample, toHex } = require('./sequence-example-builder');
 const config = require('./config');
-const grpc = require('@grpc/grpc-js');
-const protobuf = require('protobufjs');
-const path = require('path');
-const fs = require('fs');
+const { tensorToValue } = require('./tensor');
+const { getSharedClient } = require('./prediction-client');
 
 /**
  * Make inference request to TensorFlow Serving
  */
 async function makeInferenceRequest(serializedExample, modelConfig) {
+  // Accepts both { modelName, modelPath } and config.MODELS entries ({ name, path })
   const {
-    modelName,
-    signatureName = config.DEFAULTS.SIGNATURE,
-    modelPath
+    modelName = modelConfig.name,
+    signatureName = modelConfig.signature || config.DEFAULTS.SIGNATURE,
+    modelPath = modelConfig.path
   } = modelConfig;
 
-  const ingressHost = config.INGRESS.HOST;
-  const port = config.INGRESS.PORT;
-  const caCertPath = config.INGRESS.CERT_PATH;
-
   console.log('📡 Making inference request...');
   console.log(`  Model: ${modelName}`);
   console.log(`  Path: ${modelPath}`);
 
-  // Load Protocol Buffer definitions
-  const root = protobuf.loadSync([
-    path.join(__dirname, 'proto/predict.proto'),
-    path.join(__dirname, 'proto/tensor.proto')
-  ]);
-
-  const PredictRequest = root.lookupType('tensorflow.serving.PredictRequest');
-  const PredictResponse = root.lookupType('tensorflow.serving.PredictResponse');
-
-  // Setup TLS credentials
-  let credentials;
-  if (fs.existsSync(caCertPath)) {
-    const certContent = fs.readFileSync(caCertPath);
-    credentials = grpc.credentials.createSsl(certContent);
-    console.log('  Using TLS');
-  } else {
-    console.log('  ⚠️  Certificate not found, using default SSL');
-    credentials = grpc.credentials.createSsl();
-  }
-
-  // Create gRPC client
-  const target = `${ingressHost}:${port}`;
-  const client = new grpc.Client(target, credentials, {
-    'grpc.max_send_message_length': 100 * 1024 * 1024,
-    'grpc.max_receive_message_length': 100 * 1024 * 1024,
-  });
-
-  // Build request
-  const request = {
-    model_spec: {
-      name: modelName,
-      signature_name: signatureName
-    },
-    inputs: {
-      examples: {
-        dtype: config.DEFAULTS.DTYPE_STRING,
-        tensor_shape: { dim: [{ size: 1 }] },
-        string_val: [serializedExample]
-      }
-    }
-  };
-
-  // Serialize request
-  const requestBuffer = PredictRequest.encode(request).finish();
-
-  // Custom method path for ingress routing
-  const methodPath = `/${modelPath}/tensorflow.serving.PredictionService/Predict`;
-
-  return new Promise((resolve, reject) => {
-    const deadline = new Date();
-    deadline.setSeconds(deadline.getSeconds() + 2); // 2 second timeout
-
-    client.makeUnaryRequest(
-      methodPath,
-      (arg) => arg,
-      (arg) => arg,
-      requestBuffer,
-      null,
-      { deadline },
-      (error, responseBuffer) => {
-        client.close();
-
-        if (error) {
-          reject(error);
-          return;
-        }
-
-        try {
-          const response = PredictResponse.decode(responseBuffer);
-          resolve(response);
-        } catch (decodeError) {
-          reject(decodeError);
-        }
-      }
-    );
+  // Shared channel to the ingress: TLS handshake and proto loading happen once
+  return getSharedClient().predict({
+    serializedExample,
+    modelName,
+    signatureName,
+    modelPath,
+    target: 'INGRESS',
+    timeout: 2000 // 2 second timeout
   });
 }
 
@@ -126,9 +54,7 @@ function extractPredictions(response) {
   const predictions = {};
 
   for (const [outputName, tensor] of Object.entries(response.outputs)) {
-    if (tensor.float_val && tensor.float_val.length > 0) {
-      predictions[outputName] = tensor.float_val[0];
-    }
+    predictions[outputName] = tensorToValue(tensor);
   }
 
   return predictions;
@@ -191,7 +117,7 @@ async function runInferencePipeline(gaid, realtimeFeatures = {}) {
     console.log('📦 STEP 3: Building SequenceExample');
     console.log('─────────────────────────────────────────────────\n');
 
-    const serializedExample = buildSequenceExample(combinedFeatures);
+    const serializedExample = buildSequenceExample(combinedFeatures, { schema: config.FEATURES.SCHEMA });
     console.log(`✅ SequenceExample serialized (${serializedExample.length} bytes)`);
     console.log(`  Hex preview: ${toHex(serializedExample).substring(0, 64)}...`);
     console.log('');
@@ -219,8 +145,8 @@ async function runInferencePipeline(gaid, realtimeFeatures = {}) {
     console.log('');
 
     // Model version info
-    if (response.model_spec && response.model_spec.version) {
-      console.log(`📌 Model version: ${response.model_spec.version.value}`);
+    if (response.modelSpec && response.modelSpec.version) {
+      console.log(`📌 Model version: ${response.modelSpec.version.value}`);
       console.log('');
     }
 
@@ -233,7 +159,7 @@ async function runInferencePipeline(gaid, realtimeFeatures = {}) {
       gaid,
       historicalFeatures,
       predictions,
-      modelVersion: response.model_spec?.version?.value
+      modelVersion: response.modelSpec?.version?.value
     };
 
   } catch (error) {
@@ -284,7 +210,7 @@ async function runBatchInference(gaids, realtimeFeatures = {}) {
       };
 
       // Build and make inference
-      const serializedExample = buildSequenceExample(combinedFeatures);
+      const serializedExample = buildSequenceExample(combinedFeatures, { schema: config.FEATURES.SCHEMA });
       const response = await makeInferenceRequest(serializedExample, config.MODELS.BASELINE);
       const predictions = extractPredictions(response);
 
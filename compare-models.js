@@ -0,0 +1,604 @@
+#!/usr/bin/env node
+/**
+ * ✅ Offline Model Comparison Report
+ *
+ * Scores the same examples with two model variants and compares the outputs:
+ * per-output score deltas (mean, std, max, percentiles), Pearson and Spearman
+ * rank correlation, and disagreement counts (|delta| above a threshold). The
+ * report is written as JSON plus Markdown and HTML for launch reviews.
+ *
+ * Deltas are always B − A, so a positive delta means variant B scores higher.
+ *
+ * Examples come from feature-examples.js, or are streamed from a JSONL/CSV file
+ * (dataset-loader.js) one batch at a time, so only the scores are kept in memory.
+ *
+ * Usage:
+ *   node compare-models.js BASELINE AGGRESSIVE
+ *   node compare-models.js BASELINE CONSERVATIVE --pod --threshold 0.02
+ *   node compare-models.js BASELINE AGGRESSIVE --examples logged.csv.gz --limit 5000 --out reports/launch-42
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { getSharedClient } = require('./prediction-client');
+const { buildSequenceExample } = require('./sequence-example-builder');
+const { getAll } = require('./feature-examples');
+const { readExamples } = require('./dataset-loader');
+
+// ==================== STATISTICS ====================
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function std(values) {
+  if (values.length < 2) {
+    return values.length ? 0 : null;
+  }
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (values.length - 1));
+}
+
+/**
+ * Nearest-rank percentile (0-100) of unsorted values, or null when empty
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Pearson correlation, or null when either side is constant
+ */
+function pearson(x, y) {
+  const mx = mean(x);
+  const my = mean(y);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < x.length; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) * (x[i] - mx);
+    syy += (y[i] - my) * (y[i] - my);
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * 1-based ranks; ties get the average of the ranks they span
+ */
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) {
+      j++;
+    }
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      result[order[k].index] = rank;
+    }
+    i = j + 1;
+  }
+  return result;
+}
+
+/**
+ * Spearman rank correlation, or null when either side is constant
+ */
+function spearman(x, y) {
+  return x.length ? pearson(ranks(x), ranks(y)) : null;
+}
+
+// ==================== COMPARISON ====================
+
+/**
+ * Compares one output across paired scores
+ *
+ * @param {string} output - Output name
+ * @param {Array<{index: number, a: number, b: number}>} pairs - Scores of the same example from A and B
+ * @param {Object} options - { threshold, percentiles, top }
+ * @returns {Object} - Delta statistics, correlations and disagreements for this output
+ */
+function compareOutput(output, pairs, { threshold, percentiles, top }) {
+  const a = pairs.map(p => p.a);
+  const b = pairs.map(p => p.b);
+  const deltas = pairs.map(p => p.b - p.a);
+  const absDeltas = deltas.map(Math.abs);
+
+  const quantiles = {};
+  for (const p of percentiles) {
+    const qa = percentile(a, p);
+    const qb = percentile(b, p);
+    quantiles[`p${p}`] = {
+      a: qa,
+      b: qb,
+      delta: qa === null ? null : qb - qa,
+      absDelta: percentile(absDeltas, p)
+    };
+  }
+
+  const higher = deltas.filter(d => d > threshold).length;
+  const lower = deltas.filter(d => d < -threshold).length;
+
+  return {
+    output,
+    count: pairs.length,
+    threshold,
+    meanA: mean(a),
+    meanB: mean(b),
+    meanDelta: mean(deltas),
+    meanAbsDelta: mean(absDeltas),
+    stdDelta: std(deltas),
+    maxAbsDelta: absDeltas.length ? absDeltas.reduce((max, d) => Math.max(max, d), 0) : null,
+    pearson: pearson(a, b),
+    spearman: spearman(a, b),
+    percentiles: quantiles,
+    disagreements: {
+      count: higher + lower,
+      rate: pairs.length ? (higher + lower) / pairs.length : 0,
+      higher,
+      lower
+    },
+    topDifferences: pairs
+      .map(p => ({ index: p.index, a: p.a, b: p.b, delta: p.b - p.a }))
+      .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta))
+      .slice(0, top)
+      .filter(d => d.delta !== 0)
+  };
+}
+
+/**
+ * Builds the comparison report from per-example predictions
+ *
+ * Only finite numeric outputs present on both sides are compared; examples
+ * either variant failed to score are counted as failed.
+ *
+ * @param {Object} input - Report input
+ * @param {string} input.variantA - config.MODELS key of the reference variant
+ * @param {string} input.variantB - config.MODELS key of the candidate variant
+ * @param {Array<Object|null>} input.predictionsA - Predictions per example (null when failed)
+ * @param {Array<Object|null>} input.predictionsB - Predictions per example (null when failed)
+ * @param {Array<Object>} input.errors - { variant, indices, code, message } per failed batch,
+ *   variant null for an example that failed to build
+ * @param {Object} options - { threshold, thresholds, percentiles, top } (defaults from config.COMPARISON)
+ * @returns {Object} - JSON-serializable report
+ */
+function buildReport({ variantA, variantB, predictionsA, predictionsB, errors = [] }, options = {}) {
+  const defaults = config.COMPARISON;
+  const threshold = options.threshold !== undefined ? options.threshold : defaults.DISAGREEMENT_THRESHOLD;
+  const thresholds = { ...defaults.THRESHOLDS, ...options.thresholds };
+  const percentiles = options.percentiles || defaults.PERCENTILES;
+  const top = options.top !== undefined ? options.top : defaults.TOP_DIFFERENCES;
+
+  const pairsByOutput = new Map();
+  const skipped = new Set();
+  let compared = 0;
+
+  predictionsA.forEach((predA, index) => {
+    const predB = predictionsB[index];
+    if (!predA || !predB) {
+      return;
+    }
+    compared++;
+    for (const output of new Set([...Object.keys(predA), ...Object.keys(predB)])) {
+      const a = predA[output];
+      const b = predB[output];
+      if (!Number.isFinite(a) || !Number.isFinite(b)) {
+        skipped.add(output);
+        continue;
+      }
+      if (!pairsByOutput.has(output)) {
+        pairsByOutput.set(output, []);
+      }
+      pairsByOutput.get(output).push({ index, a, b });
+    }
+  });
+
+  const outputs = [...pairsByOutput.keys()].sort().map(output => compareOutput(output, pairsByOutput.get(output), {
+    threshold: thresholds[output] !== undefined ? thresholds[output] : threshold,
+    percentiles,
+    top
+  }));
+
+  // An example disagrees when any of its outputs does
+  const disagreeing = new Set();
+  for (const output of outputs) {
+    const limit = output.threshold;
+    for (const { index, a, b } of pairsByOutput.get(output.output)) {
+      if (Math.abs(b - a) > limit) {
+        disagreeing.add(index);
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    variants: {
+      a: { variant: variantA, modelName: config.MODELS[variantA].name },
+      b: { variant: variantB, modelName: config.MODELS[variantB].name }
+    },
+    examples: {
+      total: predictionsA.length,
+      compared,
+      failed: predictionsA.length - compared,
+      disagreeing: disagreeing.size
+    },
+    outputs,
+    skippedOutputs: [...skipped].filter(output => !pairsByOutput.has(output)).sort(),
+    errors
+  };
+}
+
+// ==================== RENDERING ====================
+
+function fmt(value, digits = 4) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  return Number.isInteger(value) ? String(value) : value.toFixed(digits);
+}
+
+function pct(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Rows shared by the Markdown and HTML renderings
+ */
+function reportTables(report) {
+  const { a, b } = report.variants;
+  const summary = {
+    headers: ['Output', `Mean ${a.variant}`, `Mean ${b.variant}`, 'Mean Δ', 'Mean |Δ|', 'Std Δ', 'Max |Δ|',
+      'Pearson', 'Spearman', 'Threshold', 'Disagree', `${b.variant} higher`, `${b.variant} lower`],
+    rows: report.outputs.map(o => [
+      o.output, fmt(o.meanA), fmt(o.meanB), fmt(o.meanDelta), fmt(o.meanAbsDelta), fmt(o.stdDelta),
+      fmt(o.maxAbsDelta), fmt(o.pearson), fmt(o.spearman), fmt(o.threshold),
+      `${o.disagreements.count} (${pct(o.disagreements.rate)})`, o.disagreements.higher, o.disagreements.lower
+    ])
+  };
+
+  const percentileKeys = report.outputs.length ? Object.keys(report.outputs[0].percentiles) : [];
+  const percentiles = {
+    headers: ['Output', 'Percentile', a.variant, b.variant, 'Δ', '|Δ|'],
+    rows: report.outputs.flatMap(o => percentileKeys.map(key => {
+      const q = o.percentiles[key];
+      return [o.output, key, fmt(q.a), fmt(q.b), fmt(q.delta), fmt(q.absDelta)];
+    }))
+  };
+
+  const top = {
+    headers: ['Output', 'Example', a.variant, b.variant, 'Δ'],
+    rows: report.outputs.flatMap(o => o.topDifferences.map(d => [o.output, d.index, fmt(d.a), fmt(d.b), fmt(d.delta)]))
+  };
+
+  return { summary, percentiles, top };
+}
+
+function headline(report) {
+  const { a, b } = report.variants;
+  const { total, compared, failed, disagreeing } = report.examples;
+  return [
+    `Variants: ${a.variant} (${a.modelName}) vs ${b.variant} (${b.modelName}); Δ = ${b.variant} − ${a.variant}`,
+    `Examples: ${compared}/${total} compared, ${failed} failed`,
+    `Disagreeing examples (any output): ${disagreeing} (${pct(compared ? disagreeing / compared : 0)})`
+  ];
+}
+
+/**
+ * Renders the report as Markdown
+ */
+function renderMarkdown(report) {
+  const cells = (row) => row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ');
+  const table = ({ headers, rows }) => [
+    `| ${cells(headers)} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${cells(row)} |`)
+  ].join('\n');
+  const { summary, percentiles, top } = reportTables(report);
+  const { a, b } = report.variants;
+
+  const lines = [
+    `# Model comparison: ${a.variant} vs ${b.variant}`,
+    '',
+    `Generated ${report.generatedAt}`,
+    '',
+    ...headline(report).map(line => `- ${line}`),
+    '',
+    '## Score deltas',
+    '',
+    table(summary),
+    '',
+    '## Percentiles',
+    '',
+    table(percentiles),
+    '',
+    '## Largest differences',
+    '',
+    top.rows.length ? table(top) : '_None_'
+  ];
+
+  if (report.skippedOutputs.length) {
+    lines.push('', `Non-numeric outputs not compared: ${report.skippedOutputs.join(', ')}`);
+  }
+  if (report.errors.length) {
+    lines.push('', '## Errors', '', ...report.errors.map(e => (
+      `- ${e.variant || 'build'}: ${e.indices.length} example(s), ${e.code !== null ? `code ${e.code}: ` : ''}${e.message}`
+    )));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Renders the report as a standalone HTML page
+ */
+function renderHtml(report) {
+  const table = ({ headers, rows }) => [
+    '<table>',
+    `<tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`,
+    ...rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+    '</table>'
+  ].join('\n');
+  const { summary, percentiles, top } = reportTables(report);
+  const { a, b } = report.variants;
+  const title = `Model comparison: ${a.variant} vs ${b.variant}`;
+
+  const sections = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>Generated ${escapeHtml(report.generatedAt)}</p>`,
+    `<ul>${headline(report).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+    '<h2>Score deltas</h2>',
+    table(summary),
+    '<h2>Percentiles</h2>',
+    table(percentiles),
+    '<h2>Largest differences</h2>',
+    top.rows.length ? table(top) : '<p><em>None</em></p>'
+  ];
+
+  if (report.skippedOutputs.length) {
+    sections.push(`<p>Non-numeric outputs not compared: ${escapeHtml(report.skippedOutputs.join(', '))}</p>`);
+  }
+  if (report.errors.length) {
+    sections.push('<h2>Errors</h2>', `<ul>${report.errors.map(e => (
+      `<li>${escapeHtml(`${e.variant || 'build'}: ${e.indices.length} example(s), ${e.code !== null ? `code ${e.code}: ` : ''}${e.message}`)}</li>`
+    )).join('')}</ul>`);
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    'body { font-family: sans-serif; margin: 2em; }',
+    'table { border-collapse: collapse; margin-bottom: 1.5em; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }',
+    'th:first-child, td:first-child { text-align: left; }',
+    'th { background: #f0f0f0; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...sections,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes <base>.json, <base>.md and <base>.html
+ *
+ * @param {Object} report - buildReport() result
+ * @param {string} base - Output path without extension
+ * @returns {string[]} - Written file paths
+ */
+function writeReport(report, base) {
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  const files = {
+    [`${base}.json`]: `${JSON.stringify(report, null, 2)}\n`,
+    [`${base}.md`]: renderMarkdown(report),
+    [`${base}.html`]: renderHtml(report)
+  };
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(file, content);
+  }
+  return Object.keys(files);
+}
+
+// ==================== SCORING ====================
+
+/**
+ * Groups examples into batches
+ * Arrays hold feature examples; anything else is read as readExamples() items ({ example })
+ */
+async function* exampleBatches(examples, batchSize) {
+  const streamed = !Array.isArray(examples);
+  let batch = [];
+  for await (const item of examples) {
+    batch.push(streamed ? item.example : item);
+    if (batch.length === batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Scores one batch of serialized examples with one variant into predictions[indices[i]]
+ * A failed batch leaves null predictions for its examples and is reported in `errors`
+ */
+async function scoreBatch(client, variant, serializedExamples, indices, predictions, { target, timeout, errors }) {
+  try {
+    const results = await client.predictBatch({ serializedExamples, model: variant, target, timeout });
+    results.forEach((result, i) => {
+      predictions[indices[i]] = result;
+    });
+  } catch (error) {
+    indices.forEach(index => {
+      predictions[index] = null;
+    });
+    errors.push({ variant, indices, code: error.code !== undefined ? error.code : null, message: error.message });
+  }
+}
+
+/**
+ * Serializes a batch starting at example `start`
+ * An example that fails to build is left out, gets null predictions on both sides
+ * and is reported in `errors` with variant null
+ *
+ * @returns {{serializedExamples: Buffer[], indices: number[]}} - Built examples and their indices
+ */
+function buildBatch(batch, start, predictionsA, predictionsB, errors) {
+  const serializedExamples = [];
+  const indices = [];
+  batch.forEach((example, i) => {
+    const index = start + i;
+    try {
+      serializedExamples.push(buildSequenceExample(example, { schema: config.FEATURES.SCHEMA }));
+      indices.push(index);
+    } catch (error) {
+      predictionsA[index] = null;
+      predictionsB[index] = null;
+      errors.push({ variant: null, indices: [index], code: null, message: error.message });
+    }
+  });
+  return { serializedExamples, indices };
+}
+
+/**
+ * Scores every example with both variants and builds the report
+ *
+ * @param {Object} options - Comparison options
+ * @param {string} options.variantA - config.MODELS key of the reference variant
+ * @param {string} options.variantB - config.MODELS key of the candidate variant
+ * @param {Object[]|AsyncIterable<Object>} options.examples - Feature examples, or readExamples()
+ *   items streamed one batch at a time (default: feature-examples.js)
+ * @param {string|Object} options.target - 'INGRESS' (default), 'POD' or a target object
+ * @param {number} options.timeout - Timeout per batch call in milliseconds
+ * @param {number} options.batchSize - Examples per call (default: config.COMPARISON.BATCH_SIZE)
+ * @param {PredictionClient} options.client - Client to call through (default: shared client)
+ * @returns {Promise<Object>} - buildReport() result
+ */
+async function runComparison(options) {
+  const {
+    variantA,
+    variantB,
+    examples = getAll(),
+    target = 'INGRESS',
+    timeout = 5000,
+    batchSize = config.COMPARISON.BATCH_SIZE,
+    client = getSharedClient()
+  } = options;
+
+  for (const variant of [variantA, variantB]) {
+    if (!config.MODELS[variant]) {
+      throw new Error(`Unknown variant: ${variant}. Available: ${Object.keys(config.MODELS).join(', ')}`);
+    }
+  }
+
+  const errors = [];
+  const scoreOptions = { target, timeout, errors };
+  const predictionsA = [];
+  const predictionsB = [];
+  for await (const batch of exampleBatches(examples, batchSize)) {
+    const start = predictionsA.length;
+    const { serializedExamples, indices } = buildBatch(batch, start, predictionsA, predictionsB, errors);
+    if (serializedExamples.length === 0) {
+      continue;
+    }
+    await scoreBatch(client, variantA, serializedExamples, indices, predictionsA, scoreOptions);
+    await scoreBatch(client, variantB, serializedExamples, indices, predictionsB, scoreOptions);
+  }
+
+  return buildReport({ variantA, variantB, predictionsA, predictionsB, errors }, options);
+}
+
+// Run the comparison
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const valueOf = (flag) => {
+      const index = args.indexOf(flag);
+      return index >= 0 ? args[index + 1] : undefined;
+    };
+    const valueFlags = ['--examples', '--out', '--threshold', '--limit'];
+    const [variantA = 'BASELINE', variantB = 'AGGRESSIVE'] = args.filter((a, i) => (
+      !a.startsWith('--') && !valueFlags.includes(args[i - 1])
+    ));
+    const examplesFile = valueOf('--examples');
+    const threshold = valueOf('--threshold');
+    const limit = valueOf('--limit');
+    const base = valueOf('--out') ||
+      path.join(config.COMPARISON.OUTPUT_DIR, `${variantA.toLowerCase()}-vs-${variantB.toLowerCase()}`);
+
+    try {
+      const examples = examplesFile
+        ? readExamples(examplesFile, { limit: limit !== undefined ? parseInt(limit, 10) : undefined })
+        : getAll();
+      const target = args.includes('--pod') ? 'POD' : 'INGRESS';
+
+      console.log(`🔬 Comparing ${variantA} vs ${variantB} via ${target}`);
+      console.log(`📊 Examples: ${examplesFile ? `streaming ${examplesFile}` : examples.length}\n`);
+
+      const report = await runComparison({
+        variantA,
+        variantB,
+        examples,
+        target,
+        threshold: threshold !== undefined ? parseFloat(threshold) : undefined
+      });
+
+      for (const line of headline(report)) {
+        console.log(`   ${line}`);
+      }
+      console.log('');
+      for (const o of report.outputs) {
+        console.log(
+          `   ${o.output.padEnd(24)} mean Δ ${fmt(o.meanDelta).padStart(8)}  ` +
+          `spearman ${fmt(o.spearman).padStart(7)}  disagree ${o.disagreements.count} (${pct(o.disagreements.rate)})`
+        );
+      }
+      for (const error of report.errors) {
+        console.error(`   ❌ ${error.variant || 'build'}: ${error.indices.length} example(s) failed: ${error.message}`);
+      }
+
+      const files = writeReport(report, base);
+      console.log(`\n📝 Report written: ${files.join(', ')}`);
+      if (report.examples.compared === 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('\n💥 Error:', error.message);
+      process.exitCode = 1;
+    } finally {
+      getSharedClient().close();
+    }
+  })();
+}
+
+module.exports = {
+  runComparison,
+  buildReport,
+  compareOutput,
+  renderMarkdown,
+  renderHtml,
+  writeReport,
+  spearman,
+  pearson,
+  percentile
+};
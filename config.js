@@ -73,7 +73,139 @@ module.exports = {
   DEFAULTS: {
     TIMEOUT: 1000,        // Default timeout in milliseconds
     SIGNATURE: 'serving_default',
-    DTYPE_STRING: 7       // TensorFlow DT_STRING type
+    DTYPE_STRING: 7,      // TensorFlow DT_STRING type
+    // Check inputs against GetModelMetadata before Predict. Opt-in: once on, a failed
+    // GetModelMetadata fails the request, so metadata would gate all traffic
+    VALIDATE_SIGNATURES: false,
+    SIGNATURE_FAILURE_TTL_MS: 5000  // How long a failed GetModelMetadata lookup is cached
+  },
+
+  // ==================== RETRY / HEDGING POLICY ====================
+  // Applied to every TF Serving call made through PredictionClient (see retry-policy.js)
+  RETRY: {
+    MAX_ATTEMPTS: 3,               // Total attempts per call, hedged attempts included
+    RETRYABLE_CODES: ['UNAVAILABLE', 'DEADLINE_EXCEEDED', 'RESOURCE_EXHAUSTED'],
+    INITIAL_BACKOFF_MS: 50,
+    MAX_BACKOFF_MS: 1000,
+    BACKOFF_MULTIPLIER: 2,
+    JITTER: 0.2,                   // ±20% random spread on each backoff
+    BUDGET_MS: null,               // Overall deadline across attempts (null = per-attempt timeouts only)
+
+    // Hedging: send a second attempt if the first is slower than this percentile
+    HEDGING: {
+      ENABLED: false,
+      PERCENTILE: 95,
+      MIN_SAMPLES: 20,             // Latencies observed before the percentile is trusted
+      WINDOW: 200                  // Recent latencies kept per method path
+    }
+  },
+
+  // ==================== CIRCUIT BREAKER ====================
+  // One breaker per model path (see circuit-breaker.js)
+  CIRCUIT_BREAKER: {
+    ENABLED: true,
+    WINDOW_SIZE: 20,               // Recent calls considered
+    MINIMUM_CALLS: 10,             // Calls needed before the breaker can open
+    FAILURE_RATE_THRESHOLD: 0.5,   // Open at 50% failures...
+    SLOW_CALL_MS: 800,
+    SLOW_CALL_RATE_THRESHOLD: 0.8, // ...or 80% of calls slower than SLOW_CALL_MS
+    OPEN_DURATION_MS: 10000,       // Fail fast for 10s before trial calls
+    HALF_OPEN_MAX_CALLS: 3,        // Trial calls that must succeed to close again
+    FAILURE_CODES: ['UNAVAILABLE', 'DEADLINE_EXCEEDED', 'RESOURCE_EXHAUSTED', 'INTERNAL', 'UNKNOWN']
+  },
+
+  // ==================== FALLBACK CHAIN ====================
+  // Variants tried in order when a call fails or its circuit is open (see fallback-chain.js)
+  FALLBACK: {
+    CHAIN: ['AGGRESSIVE', 'BASELINE'],
+    // Static scores returned when every variant failed (null to throw instead)
+    DEFAULT_SCORES: {
+      fill_probability: 0.0,
+      optimal_floor_price: 0.0
+    }
+  },
+
+  // ==================== EXPERIMENT ROUTING ====================
+  // Weighted, userid-sticky assignment of requests to variants (see experiment-router.js)
+  EXPERIMENT: {
+    NAME: 'dnb-variants-v1',       // Hash salt: changing it reshuffles every user
+    WEIGHTS: {
+      BASELINE: 80,
+      CONSERVATIVE: 10,
+      AGGRESSIVE: 10
+    }
+  },
+
+  // ==================== SHADOW TRAFFIC ====================
+  // Mirror primary requests to candidate variants off the request path (see shadow-traffic.js)
+  SHADOW: {
+    PRIMARY: 'BASELINE',
+    CANDIDATES: ['CONSERVATIVE'],
+    SAMPLE_RATE: 1.0,              // Fraction of primary requests mirrored
+    TIMEOUT: 2000,                 // Shadow calls may be slower; nobody waits on them
+    MAX_IN_FLIGHT: 100,            // Mirrors are dropped (not queued) beyond this
+    MAX_RECORDS: 10000             // Records kept in memory; older ones are discarded
+  },
+
+  // ==================== MODEL COMPARISON ====================
+  // Offline score comparison between two variants (see compare-models.js)
+  COMPARISON: {
+    BATCH_SIZE: 64,                // Examples per Predict call
+    DISAGREEMENT_THRESHOLD: 0.05,  // |score delta| above this counts as a disagreement
+    THRESHOLDS: {},                // Per-output overrides, e.g. { optimal_floor_price: 0.5 }
+    PERCENTILES: [50, 90, 99],
+    TOP_DIFFERENCES: 10,           // Largest deltas listed per output in the report
+    OUTPUT_DIR: 'reports'
+  },
+
+  // ==================== DATASET FILES ====================
+  // JSONL / CSV (optionally .gz) example files (see dataset-loader.js)
+  DATASET: {
+    DELIMITER: ',',                // CSV field delimiter
+    LIST_SEPARATOR: '|',           // CSV cell holding several values: "a|b" → ['a', 'b']
+    COLUMNS: {},                   // Column → feature renames, e.g. { user_id: 'userid' }; null drops a column
+    TYPES: {}                      // Per-feature coercion overriding FEATURES.SCHEMA ('bytes', 'float', 'int64')
+  },
+
+  // ==================== BULK SCORING ====================
+  // Offline scoring of dataset files (see bulk-score.js)
+  BULK: {
+    CONCURRENCY: 8,                // Predict calls in flight
+    QPS: null,                     // Target requests per second (null = as fast as CONCURRENCY allows)
+    TIMEOUT: 5000,
+    CHECKPOINT_EVERY: 500,         // Save a checkpoint after this many completed rows...
+    CHECKPOINT_INTERVAL_MS: 5000,  // ...or this often, whichever comes first
+    PROGRESS_INTERVAL_MS: 2000,
+    CSV_OUTPUTS: ['fill_probability', 'optimal_floor_price']  // Output columns in CSV files
+  },
+
+  // ==================== BENCHMARK ====================
+  // Load test defaults (see benchmark.js)
+  BENCHMARK: {
+    DURATION_MS: 30000,
+    WARMUP_MS: 2000,               // Not measured: channel connect, TLS handshake, server warm-up
+    CONCURRENCY: 8,                // Closed loop: workers each keeping one call in flight
+    QPS: null,                     // Open loop: fixed arrival rate instead of CONCURRENCY
+    MAX_IN_FLIGHT: 1000,           // Open loop: arrivals beyond this are dropped, not queued
+    TIMEOUT: 2000,
+    PERCENTILES: [50, 90, 99, 99.9]  // Reported as p50, p90, p99, p999
+  },
+
+  // ==================== FEATURE STORE ====================
+  // Where pipeline clients read feature rows (see feature-store.js)
+  FEATURE_STORE: {
+    TYPE: process.env.FEATURE_STORE || 'scylla',  // 'scylla' or 'memory'
+    FIXTURES: process.env.FEATURE_STORE_FIXTURES || null,  // JSON rows seeding the memory store
+    TABLE: 'ars_feature_store.ars_user_features_v2',
+    HISTORICAL_FEATURE_SET: 'dnb_historical_features'
+  },
+
+  // ==================== CROSS-LANGUAGE PARITY ====================
+  // Golden Python serializations checked by parity-harness.js
+  PARITY: {
+    FIXTURES_DIR: 'tests/fixtures/parity',  // One directory per case (relative to the repo root)
+    FLOAT_TOLERANCE: 0,            // Feature values: float32 values must match exactly
+    OUTPUT_TOLERANCE: 1e-4         // Model outputs, unless a case sets its own tolerance
   },
 
   // ==================== FEATURE CONFIGURATION ====================
@@ -94,6 +226,54 @@ module.exports = {
       avg_watch_time: 0.0,
       engagement_score: 0.0,
       last_interaction_ts: 0
+    },
+
+    // Declared dtypes for DNB model features (see feature-schema.js)
+    // Numeric features must be encoded as the dtype the model was trained on
+    SCHEMA: {
+      // Request context (bytes)
+      ad_type: { type: 'bytes', required: true },
+      adsuuid: { type: 'bytes' },
+      ageRange: { type: 'bytes' },
+      city: { type: 'bytes' },
+      feed_fetch_counter: { type: 'bytes' },
+      gender: { type: 'bytes' },
+      language: { type: 'bytes' },
+      osVersion: { type: 'bytes' },
+      phoneCarrier: { type: 'bytes' },
+      phoneModel: { type: 'bytes' },
+      sourceApp: { type: 'bytes' },
+      state: { type: 'bytes' },
+      time: { type: 'bytes' },
+      userid: { type: 'bytes', required: true },
+
+      // Auction outcome
+      floor_price: { type: 'float' },
+      winning_bid: { type: 'float' },
+      is_responded: { type: 'int64' },
+
+      // 1-day historical aggregates (Scylla dnb_historical_features)
+      // Counts are int64, prices and rates float: the values feature-examples.js sends
+      requests_1_day: { type: 'int64' },
+      responses_1_day: { type: 'int64' },
+      floor_price_sum_1_day: { type: 'float' },
+      floor_price_max_1_day: { type: 'float' },
+      winning_bid_sum_1_day: { type: 'float' },
+      winning_bid_max_1_day: { type: 'float' },
+      winrate_1_day: { type: 'float' },
+      floor_price_avg_1_day: { type: 'float' },
+      winning_bid_avg_1_day: { type: 'float' },
+
+      // 7-day historical aggregates
+      requests_7_day: { type: 'int64' },
+      responses_7_day: { type: 'int64' },
+      floor_price_sum_7_day: { type: 'float' },
+      floor_price_max_7_day: { type: 'float' },
+      winning_bid_sum_7_day: { type: 'float' },
+      winning_bid_max_7_day: { type: 'float' },
+      winrate_7_day: { type: 'float' },
+      floor_price_avg_7_day: { type: 'float' },
+      winning_bid_avg_7_day: { type: 'float' }
     }
   }
 };
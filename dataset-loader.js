@@ -0,0 +1,384 @@
+/**
+ * Dataset Loader for JSONL / CSV Example Files
+ *
+ * Streams scoring examples from disk into the feature-example shape used by
+ * feature-examples.js and buildSequenceExample ({ feature: [values] }), so
+ * tooling can run against logged requests instead of the hard-coded list.
+ *
+ * Formats (from the extension, optionally followed by .gz):
+ * - .jsonl / .ndjson: one JSON object per line; values may be scalars or arrays
+ * - .csv:             header row, then one row per example; quoted fields may
+ *                     span lines; a cell "a|b" holds several values
+ * - .json:            one JSON array of objects (read whole; for small files)
+ *
+ * Each column can be renamed to a feature (`columns`) and is coerced to its
+ * type (`types`, then config.FEATURES.SCHEMA): CSV gives strings, so float and
+ * int64 features are parsed, and numeric JSON ids become bytes. Empty values
+ * are left out, so schema defaults apply when the example is built.
+ *
+ * Usage:
+ *   const { readExamples, loadExamples } = require('./dataset-loader');
+ *   for await (const { example, line } of readExamples('logged.csv.gz', { columns: { user_id: 'userid' } })) { ... }
+ *   const examples = await loadExamples('logged.jsonl', { limit: 1000 });
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const config = require('./config');
+const { FEATURE_TYPES } = require('./feature-schema');
+
+const FORMATS = Object.freeze({
+  JSONL: 'jsonl',
+  CSV: 'csv',
+  JSON: 'json'
+});
+
+const EXTENSIONS = {
+  '.jsonl': FORMATS.JSONL,
+  '.ndjson': FORMATS.JSONL,
+  '.csv': FORMATS.CSV,
+  '.json': FORMATS.JSON
+};
+
+/**
+ * Picks the format and compression from a file name
+ *
+ * @param {string} file - Path such as 'requests.csv.gz'
+ * @returns {{format: string, gzip: boolean}}
+ */
+function detectFormat(file) {
+  const gzip = /\.gz$/i.test(file);
+  const name = file.toLowerCase().replace(/\.gz$/, '');
+  const extension = Object.keys(EXTENSIONS).find(ext => name.endsWith(ext));
+  if (!extension) {
+    throw new Error(`Cannot tell the format of ${file}. Use ${Object.keys(EXTENSIONS).join(', ')} (optionally .gz) or pass format`);
+  }
+  return { format: EXTENSIONS[extension], gzip };
+}
+
+/**
+ * Streams the lines of a (possibly gzipped) text file
+ * Read and decompression errors reject the iteration
+ */
+async function* readLines(file, gzip) {
+  const source = fs.createReadStream(file);
+  const input = gzip ? pipeline(source, zlib.createGunzip(), () => {}) : source;
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+
+  for await (const chunk of input) {
+    buffered += decoder.write(chunk);
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  buffered += decoder.end();
+  if (buffered) {
+    yield buffered.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Splits one CSV record into fields ("" escapes a quote inside a quoted field)
+ *
+ * @returns {string[]|null} - Fields, or null while a quoted field is still open
+ */
+function parseCsvRecord(text, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  let wasQuoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') {
+        field += c;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (c === '"' && field === '' && !wasQuoted) {
+      quoted = true;
+      wasQuoted = true;
+    } else if (c === delimiter) {
+      fields.push(field);
+      field = '';
+      wasQuoted = false;
+    } else {
+      field += c;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Converts one raw value to a feature type
+ *
+ * @param {*} value - JSON value or CSV string
+ * @param {string|Function} type - 'bytes', 'float', 'int64' or (value, feature) => value
+ * @param {string} feature - Feature name (for error messages)
+ */
+function coerceValue(value, type, feature) {
+  if (typeof type === 'function') {
+    return type(value, feature);
+  }
+
+  const text = typeof value === 'string' ? value.trim() : value;
+  switch (type) {
+    case FEATURE_TYPES.BYTES:
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+      }
+      break;
+    case FEATURE_TYPES.FLOAT: {
+      const number = typeof text === 'string' && text !== '' ? Number(text) : text;
+      if (typeof number === 'number' && Number.isFinite(number)) {
+        return number;
+      }
+      break;
+    }
+    case FEATURE_TYPES.INT64: {
+      const number = typeof text === 'string' && /^[-+]?\d+$/.test(text) ? Number(text) : text;
+      if (Number.isSafeInteger(number)) {
+        return number;
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown type for feature "${feature}": ${type}`);
+  }
+  throw new Error(`Feature "${feature}" expects ${type}, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Maps one row (column → raw value) to a feature example
+ *
+ * @param {Object} row - Parsed JSON object or CSV row
+ * @param {Object} options - { columns, types, schema, listSeparator }; listSeparator
+ *   is only applied to string cells (CSV), JSON arrays are taken as-is
+ * @returns {Object} - Feature name → array of values
+ */
+function rowToExample(row, { columns = {}, types = {}, schema = {}, listSeparator = null }) {
+  const example = {};
+
+  for (const [column, raw] of Object.entries(row)) {
+    const feature = Object.prototype.hasOwnProperty.call(columns, column) ? columns[column] : column;
+    if (feature === null || raw === null || raw === undefined || raw === '') {
+      continue;
+    }
+
+    let values;
+    if (Array.isArray(raw)) {
+      values = raw;
+    } else if (listSeparator && typeof raw === 'string') {
+      values = raw.split(listSeparator);
+    } else {
+      values = [raw];
+    }
+
+    const type = types[feature] || (schema[feature] && schema[feature].type);
+    example[feature] = type ? values.map(value => coerceValue(value, type, feature)) : values;
+  }
+
+  return example;
+}
+
+/**
+ * Yields { line, row } from a JSONL file
+ */
+async function* jsonlRows(file, gzip) {
+  let line = 0;
+  for await (const text of readLines(file, gzip)) {
+    line++;
+    if (text.trim() === '') {
+      continue;
+    }
+    let row;
+    try {
+      row = JSON.parse(text);
+    } catch (error) {
+      yield { line, error: new Error(`Invalid JSON: ${error.message}`) };
+      continue;
+    }
+    yield row && typeof row === 'object' && !Array.isArray(row)
+      ? { line, row }
+      : { line, error: new Error('Each line must be a JSON object') };
+  }
+}
+
+/**
+ * Yields { line, row } from a CSV file (line = where the record starts)
+ */
+async function* csvRows(file, gzip, { delimiter, header }) {
+  let columns = header || null;
+  let pending = null;
+  let startLine = 0;
+  let line = 0;
+
+  for await (const text of readLines(file, gzip)) {
+    line++;
+    if (pending === null) {
+      startLine = line;
+      pending = line === 1 ? text.replace(/^\uFEFF/, '') : text;
+    } else {
+      pending += `\n${text}`;
+    }
+
+    const fields = parseCsvRecord(pending, delimiter);
+    if (fields === null) {
+      continue;
+    }
+    pending = null;
+
+    if (!columns) {
+      columns = fields.map(field => field.trim());
+      continue;
+    }
+    if (fields.length === 1 && fields[0] === '') {
+      continue;
+    }
+    if (fields.length !== columns.length) {
+      yield { line: startLine, error: new Error(`Expected ${columns.length} fields, got ${fields.length}`) };
+      continue;
+    }
+    yield { line: startLine, row: Object.fromEntries(columns.map((column, i) => [column, fields[i]])) };
+  }
+
+  if (pending !== null) {
+    yield { line: startLine, error: new Error('Unterminated quoted field') };
+  }
+}
+
+/**
+ * Yields { line, row } from a JSON array file
+ */
+async function* jsonRows(file, gzip) {
+  let text = '';
+  for await (const chunk of readLines(file, gzip)) {
+    text += `${chunk}\n`;
+  }
+  const rows = JSON.parse(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${file}: expected a JSON array of examples`);
+  }
+  for (let i = 0; i < rows.length; i++) {
+    yield { line: null, row: rows[i] };
+  }
+}
+
+/**
+ * Streams feature examples from a JSONL, CSV or JSON file
+ *
+ * @param {string} file - Path to the dataset (optionally gzipped)
+ * @param {Object} options - Loader options (defaults from config.DATASET)
+ * @param {string} options.format - 'jsonl', 'csv' or 'json' (default: from the extension)
+ * @param {boolean} options.gzip - Decompress (default: file ends in .gz)
+ * @param {Object} options.columns - Column → feature renames; null drops a column
+ * @param {Object} options.types - Feature → 'bytes' | 'float' | 'int64' | (value, feature) => value
+ * @param {Object} options.schema - Feature schema for types not in `types` (default: config.FEATURES.SCHEMA)
+ * @param {string} options.delimiter - CSV field delimiter
+ * @param {string|null} options.listSeparator - Splits CSV cells into several values (null to disable)
+ * @param {string[]} options.header - CSV column names when the file has no header row
+ * @param {number} options.limit - Stop after this many examples
+ * @param {Function} options.onInvalid - (error) => void; invalid rows are skipped instead of thrown
+ * @yields {{index: number, line: number|null, example: Object}} - index counts yielded examples
+ * @throws {Error} - For an invalid row (without onInvalid), with `file` and `line` set
+ */
+async function* readExamples(file, options = {}) {
+  const defaults = config.DATASET;
+  const detected = options.format ? { format: options.format, gzip: /\.gz$/i.test(file) } : detectFormat(file);
+  const gzip = options.gzip !== undefined ? options.gzip : detected.gzip;
+  const mapping = {
+    columns: { ...defaults.COLUMNS, ...options.columns },
+    types: { ...defaults.TYPES, ...options.types },
+    schema: options.schema || config.FEATURES.SCHEMA || {}
+  };
+  const limit = options.limit !== undefined ? options.limit : Infinity;
+
+  let rows;
+  switch (detected.format) {
+    case FORMATS.JSONL:
+      rows = jsonlRows(file, gzip);
+      break;
+    case FORMATS.CSV:
+      mapping.listSeparator = options.listSeparator !== undefined ? options.listSeparator : defaults.LIST_SEPARATOR;
+      rows = csvRows(file, gzip, { delimiter: options.delimiter || defaults.DELIMITER, header: options.header });
+      break;
+    case FORMATS.JSON:
+      rows = jsonRows(file, gzip);
+      break;
+    default:
+      throw new Error(`Unknown format: ${detected.format}. Available: ${Object.values(FORMATS).join(', ')}`);
+  }
+
+  let index = 0;
+  for await (const { line, row, error: rowError } of rows) {
+    if (index >= limit) {
+      break;
+    }
+
+    let example;
+    let error = rowError;
+    if (!error) {
+      try {
+        example = rowToExample(row, mapping);
+      } catch (coerceError) {
+        error = coerceError;
+      }
+    }
+
+    if (error) {
+      error.message = `${file}${line ? `:${line}` : ''}: ${error.message}`;
+      error.file = file;
+      error.line = line;
+      if (!options.onInvalid) {
+        throw error;
+      }
+      options.onInvalid(error);
+      continue;
+    }
+
+    yield { index: index++, line, example };
+  }
+}
+
+/**
+ * Loads every example of a file into memory
+ *
+ * @param {string} file - Path to the dataset
+ * @param {Object} options - readExamples() options
+ * @returns {Promise<Object[]>} - Feature examples
+ */
+async function loadExamples(file, options = {}) {
+  const examples = [];
+  for await (const { example } of readExamples(file, options)) {
+    examples.push(example);
+  }
+  return examples;
+}
+
+module.exports = {
+  readExamples,
+  loadExamples,
+  detectFormat,
+  parseCsvRecord,
+  rowToExample,
+  coerceValue,
+  FORMATS
+};
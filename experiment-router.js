@@ -0,0 +1,144 @@
+/**
+ * A/B Experiment Router over config.MODELS
+ *
+ * Routes each request to exactly one model variant by weight (e.g. 80/10/10).
+ * Assignment is sticky per user: the userid is hashed with the experiment
+ * name into one of 10,000 buckets, and buckets map onto the cumulative
+ * weights, so a user keeps seeing the same variant until the weights or the
+ * experiment name change.
+ *
+ * Usage:
+ *   const { ExperimentRouter } = require('./experiment-router');
+ *   const router = new ExperimentRouter({ weights: { BASELINE: 80, CONSERVATIVE: 10, AGGRESSIVE: 10 } });
+ *   const { variant, assignment, predictions } = await router.predict({ userid, serializedExample });
+ *   router.setWeights({ BASELINE: 50, AGGRESSIVE: 50 });
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { getSharedClient } = require('./prediction-client');
+const { outputsToValues } = require('./tensor');
+
+const BUCKETS = 10000;
+
+/**
+ * Maps a userid to a bucket in [0, BUCKETS) for an experiment
+ *
+ * @param {string} experiment - Experiment name (hash salt)
+ * @param {string|number} userid - User identifier
+ * @returns {number}
+ */
+function bucketFor(experiment, userid) {
+  const digest = crypto.createHash('sha256').update(`${experiment}:${userid}`).digest();
+  return digest.readUInt32BE(0) % BUCKETS;
+}
+
+/**
+ * Checks weights and returns them as [variant, weight] pairs
+ */
+function validateWeights(weights) {
+  const entries = Object.entries(weights || {});
+  for (const [variant, weight] of entries) {
+    if (!config.MODELS[variant]) {
+      throw new Error(`Unknown variant: ${variant}. Available: ${Object.keys(config.MODELS).join(', ')}`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight for ${variant} must be a non-negative number, got ${weight}`);
+    }
+  }
+  if (entries.reduce((sum, [, weight]) => sum + weight, 0) <= 0) {
+    throw new Error('At least one variant needs a positive weight');
+  }
+  return entries;
+}
+
+class ExperimentRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {Object} options.weights - config.MODELS key → relative weight (default: config.EXPERIMENT.WEIGHTS)
+   * @param {string} options.experiment - Experiment name used as hash salt (default: config.EXPERIMENT.NAME)
+   * @param {PredictionClient} options.client - Client to call through (default: shared client)
+   */
+  constructor(options = {}) {
+    this.experiment = options.experiment || config.EXPERIMENT.NAME;
+    this.client = options.client || getSharedClient();
+    this.setWeights(options.weights || config.EXPERIMENT.WEIGHTS);
+  }
+
+  /**
+   * Replaces the weights at runtime; takes effect for the next request
+   * Weights are relative (80/10/10 and 8/1/1 are the same split)
+   *
+   * @param {Object} weights - config.MODELS key → weight
+   */
+  setWeights(weights) {
+    const entries = validateWeights(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    // Cumulative bucket boundaries, in the order the weights were given
+    let upper = 0;
+    this.ranges = entries
+      .filter(([, weight]) => weight > 0)
+      .map(([variant, weight]) => {
+        upper += (weight / total) * BUCKETS;
+        return { variant, upper };
+      });
+    this.ranges[this.ranges.length - 1].upper = BUCKETS;
+    this.weights = Object.fromEntries(entries);
+  }
+
+  /**
+   * Current weights
+   */
+  getWeights() {
+    return { ...this.weights };
+  }
+
+  /**
+   * Picks the variant for a request
+   * Without a userid the bucket is random and the assignment is not sticky
+   *
+   * @param {string|number} userid - User identifier
+   * @returns {{experiment: string, variant: string, bucket: number, sticky: boolean}}
+   */
+  assign(userid) {
+    const sticky = userid !== undefined && userid !== null && userid !== '';
+    const bucket = sticky ? bucketFor(this.experiment, userid) : Math.floor(Math.random() * BUCKETS);
+    const { variant } = this.ranges.find(range => bucket < range.upper);
+    return { experiment: this.experiment, variant, bucket, sticky };
+  }
+
+  /**
+   * Scores one example with the variant assigned to its user
+   *
+   * @param {Object} options - predict() options without `model`, plus userid
+   * @param {string|number} options.userid - User to assign (the same value as the example's userid feature)
+   * @returns {Promise<{variant: string, modelName: string, assignment: Object, predictions: Object}>} -
+   *   errors carry the same `assignment`
+   */
+  async predict(options) {
+    const { userid, ...predictOptions } = options;
+    const assignment = this.assign(userid);
+
+    let response;
+    try {
+      response = await this.client.predict({ ...predictOptions, model: assignment.variant });
+    } catch (error) {
+      // Failures are attributed to the variant too
+      error.assignment = assignment;
+      throw error;
+    }
+
+    return {
+      variant: assignment.variant,
+      modelName: config.MODELS[assignment.variant].name,
+      assignment,
+      predictions: outputsToValues(response.outputs)
+    };
+  }
+}
+
+module.exports = {
+  ExperimentRouter,
+  bucketFor
+};
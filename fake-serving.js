@@ -0,0 +1,580 @@
+#!/usr/bin/env node
+/**
+ * Fake TensorFlow Serving Server
+ *
+ * An in-process PredictionService (plus ModelService.GetModelStatus) built on
+ * @grpc/grpc-js, so the ingress tests and tools can run without the real
+ * ingress. It serves the same custom paths as the ingress
+ * (/<model path>/tensorflow.serving.PredictionService/Predict) and the bare
+ * pod paths, decodes the SequenceExamples in the "examples" input and answers
+ * with outputs computed per example.
+ *
+ * Classify, Regress and MultiInference take the tf.Examples of the Input
+ * message (context features merged into each example) and reuse the same
+ * per-example outputs: a regression is the first value of the first output,
+ * a classification has one { label: output name, score } class per output.
+ *
+ * Outputs come from, in order:
+ * - a script: queued responses or errors, consumed one per call
+ * - a rule: (features, context) => { output: value } for each example
+ * - the default rule: deterministic scores hashed from the features, with a
+ *   per-variant floor multiplier so the three variants disagree
+ *
+ * Latency and error statuses can be injected for every call or per variant.
+ *
+ * Usage:
+ *   const { FakeServingServer } = require('./fake-serving');
+ *   const server = new FakeServingServer();
+ *   const { port } = await server.start();
+ *   await makeIngressRequest({ ...options, ingressHost: '127.0.0.1', port });
+ *   server.failWith('UNAVAILABLE', { model: 'BASELINE', times: 1 });
+ *   await server.stop();
+ *
+ *   node fake-serving.js [--port 8500]   # standalone, until Ctrl+C
+ */
+
+const crypto = require('crypto');
+const grpc = require('@grpc/grpc-js');
+const config = require('./config');
+const { loadServingProto, buildMethodPath } = require('./prediction-client');
+const { decodeSequenceExample, decodeExample } = require('./sequence-example-decoder');
+const { tensorToJs, jsToTensor } = require('./tensor');
+
+// Outputs described by GetModelMetadata and produced by the default rule
+const DEFAULT_OUTPUTS = ['fill_probability', 'optimal_floor_price'];
+
+// Default rule: optimal_floor_price multiplier per variant
+const FLOOR_MULTIPLIERS = {
+  BASELINE: 1.0,
+  CONSERVATIVE: 0.8,
+  AGGRESSIVE: 1.25
+};
+
+// InferenceTask.method_name → the RPC whose result MultiInference returns for it
+const INFERENCE_METHODS = {
+  'tensorflow/serving/classify': 'Classify',
+  'tensorflow/serving/regress': 'Regress'
+};
+
+// ModelVersionStatus.State AVAILABLE
+const STATE_AVAILABLE = 30;
+
+// Scope of hooks that apply to every variant
+const ALL_MODELS = '*';
+
+/**
+ * Flattens a decoded SequenceExample into feature name → values
+ * (context features first, then every step of each feature list)
+ */
+function toFeatureMap(decoded) {
+  const features = {};
+  for (const [name, feature] of Object.entries(decoded.context)) {
+    features[name] = [...feature.value];
+  }
+  for (const [name, steps] of Object.entries(decoded.featureLists)) {
+    features[name] = steps.flatMap(step => step.value);
+  }
+  return features;
+}
+
+/**
+ * Default rule: stable scores in [0, 1) from a hash of the features
+ */
+function defaultRule(features, { variant }) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify(Object.entries(features).sort())).digest();
+  const score = digest.readUInt32BE(0) / 0x100000000;
+  const floor = (5 + 20 * (1 - score)) * (FLOOR_MULTIPLIERS[variant] || 1);
+  return {
+    fill_probability: score,
+    optimal_floor_price: Math.round(floor * 10000) / 10000
+  };
+}
+
+/**
+ * gRPC error with a status code; code may be a number or a grpc.status name
+ */
+function statusError(code, details) {
+  const status = typeof code === 'number' ? code : grpc.status[code];
+  if (status === undefined) {
+    throw new Error(`Unknown gRPC status: ${code}`);
+  }
+  return { code: status, details: details || `Injected ${typeof code === 'number' ? `status ${code}` : code}` };
+}
+
+class FakeServingServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.host - Address to bind (default: 127.0.0.1)
+   * @param {number} options.port - Port to bind (default: 0, any free port)
+   * @param {Object} options.models - Variant → { name, signature, path } (default: config.MODELS)
+   * @param {string[]} options.outputs - Output names reported by GetModelMetadata
+   * @param {Function} options.rule - (features, context) => outputs, for every variant
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.requestedPort = options.port || 0;
+    this.models = options.models || config.MODELS;
+    this.outputs = options.outputs || DEFAULT_OUTPUTS;
+
+    const root = loadServingProto();
+    this.types = {};
+    for (const typeName of ['PredictRequest', 'PredictResponse', 'ClassificationRequest', 'ClassificationResponse',
+      'RegressionRequest', 'RegressionResponse', 'MultiInferenceRequest', 'MultiInferenceResponse',
+      'GetModelMetadataRequest', 'GetModelMetadataResponse', 'SignatureDefMap',
+      'GetModelStatusRequest', 'GetModelStatusResponse']) {
+      this.types[typeName] = root.lookupType(`tensorflow.serving.${typeName}`);
+    }
+    this.types.Example = root.lookupType('tensorflow.Example');
+
+    this.server = null;
+    this.port = null;
+    this.timers = new Set();
+    this.reset();
+    if (options.rule) {
+      this.setRule(options.rule);
+    }
+  }
+
+  /**
+   * Starts listening
+   *
+   * @returns {Promise<{port: number, target: Object}>} - target can be passed to PredictionClient
+   */
+  async start() {
+    if (this.server) {
+      throw new Error('Fake serving server already started');
+    }
+
+    this.server = new grpc.Server();
+    this.server.addService(this.serviceDefinition(), this.serviceHandlers());
+    this.port = await new Promise((resolve, reject) => {
+      this.server.bindAsync(`${this.host}:${this.requestedPort}`, grpc.ServerCredentials.createInsecure(),
+        (error, port) => (error ? reject(error) : resolve(port)));
+    });
+    return { port: this.port, target: this.target() };
+  }
+
+  /**
+   * PredictionClient target for this server
+   */
+  target() {
+    return { host: this.host, port: this.port, useTls: false };
+  }
+
+  /**
+   * Stops the server, failing calls still in flight
+   */
+  async stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    if (this.server) {
+      this.server.forceShutdown();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Clears scripts, rules, latency, injected errors and recorded calls
+   */
+  reset() {
+    this.scripts = new Map();
+    this.rules = new Map();
+    this.latencies = new Map();
+    this.faults = [];
+    this.calls = [];
+  }
+
+  /**
+   * Sets the rule computing each example's outputs
+   *
+   * @param {Function} rule - (features, { variant, modelName, index, decoded, common, request }) =>
+   *   { output: number | number[] }; features maps each feature name to its values
+   * @param {Object} options - { model } variant to scope to (default: all)
+   */
+  setRule(rule, { model = ALL_MODELS } = {}) {
+    this.rules.set(model, rule);
+  }
+
+  /**
+   * Queues responses consumed one per Predict, Classify, Regress or MultiInference call,
+   * before rules apply
+   *
+   * @param {Object[]} responses - Each { outputs: { name: value per example | [values] } }
+   *   or { code, details } to fail that call
+   * @param {Object} options - { model } variant to scope to (default: all)
+   */
+  script(responses, { model = ALL_MODELS } = {}) {
+    const queue = this.scripts.get(model) || [];
+    queue.push(...responses);
+    this.scripts.set(model, queue);
+  }
+
+  /**
+   * Delays responses
+   *
+   * @param {number|Function} latency - Milliseconds, or (call) => milliseconds
+   * @param {Object} options - { model } variant to scope to (default: all)
+   */
+  setLatency(latency, { model = ALL_MODELS } = {}) {
+    this.latencies.set(model, latency);
+  }
+
+  /**
+   * Fails calls with a gRPC status
+   *
+   * @param {number|string} code - e.g. grpc.status.UNAVAILABLE or 'UNAVAILABLE'
+   * @param {Object} options - Options
+   * @param {string} options.model - Variant to scope to (default: all)
+   * @param {string} options.method - RPC to scope to, e.g. 'Predict' (default: all)
+   * @param {number} options.times - Calls to fail before the fault clears (default: every call)
+   * @param {string} options.details - Error message
+   */
+  failWith(code, { model = ALL_MODELS, method = null, times = Infinity, details } = {}) {
+    this.faults.push({ model, method, remaining: times, error: statusError(code, details) });
+  }
+
+  /**
+   * Raw service definition: every RPC under each model's ingress path and the bare pod path
+   */
+  serviceDefinition() {
+    const definition = {};
+    const modelPaths = [...new Set(Object.values(this.models).map(model => model.path))];
+
+    const methods = [
+      ['PredictionService', 'Predict', this.types.PredictRequest, this.types.PredictResponse],
+      ['PredictionService', 'Classify', this.types.ClassificationRequest, this.types.ClassificationResponse],
+      ['PredictionService', 'Regress', this.types.RegressionRequest, this.types.RegressionResponse],
+      ['PredictionService', 'MultiInference', this.types.MultiInferenceRequest, this.types.MultiInferenceResponse],
+      ['PredictionService', 'GetModelMetadata', this.types.GetModelMetadataRequest, this.types.GetModelMetadataResponse],
+      ['ModelService', 'GetModelStatus', this.types.GetModelStatusRequest, this.types.GetModelStatusResponse]
+    ];
+
+    for (const modelPath of [null, ...modelPaths]) {
+      for (const [service, method, requestType, responseType] of methods) {
+        const methodPath = buildMethodPath(modelPath, service, method);
+        definition[methodPath] = {
+          path: methodPath,
+          requestStream: false,
+          responseStream: false,
+          requestSerialize: value => Buffer.from(requestType.encode(value).finish()),
+          requestDeserialize: buffer => requestType.decode(buffer),
+          responseSerialize: value => Buffer.from(responseType.encode(value).finish()),
+          responseDeserialize: buffer => responseType.decode(buffer)
+        };
+      }
+    }
+    return definition;
+  }
+
+  /**
+   * Handlers keyed like serviceDefinition()
+   */
+  serviceHandlers() {
+    const handlers = {};
+    for (const methodPath of Object.keys(this.serviceDefinition())) {
+      const method = methodPath.slice(methodPath.lastIndexOf('/') + 1);
+      const modelPath = methodPath.split('/tensorflow.serving.')[0].slice(1) || null;
+      handlers[methodPath] = (call, callback) => {
+        this.handle(method, modelPath, call).then(
+          response => callback(null, response),
+          error => callback(error)
+        );
+      };
+    }
+    return handlers;
+  }
+
+  /**
+   * Resolves the variant a request targets, as the ingress and TF Serving would
+   */
+  resolveVariant(modelPath, modelSpec) {
+    const name = modelSpec && modelSpec.name;
+    const variant = Object.keys(this.models).find(key => this.models[key].name === name);
+    if (!variant || (modelPath && this.models[variant].path !== modelPath)) {
+      throw statusError('NOT_FOUND', `Servable not found for request: Latest(${name || ''})`);
+    }
+    return variant;
+  }
+
+  /**
+   * Runs one call: record, latency, faults, then the RPC itself
+   */
+  async handle(method, modelPath, call) {
+    const request = call.request;
+    // MultiInference has no top-level model spec; every task names the same model
+    const modelSpec = method === 'MultiInference' ? (request.tasks[0] || {}).modelSpec : request.modelSpec;
+    const variant = this.resolveVariant(modelPath, modelSpec);
+    const record = {
+      method,
+      path: modelPath,
+      variant,
+      modelName: this.models[variant].name,
+      signatureName: (modelSpec && modelSpec.signatureName) || null,
+      metadata: call.metadata.getMap(),
+      examples: null,
+      common: null
+    };
+    this.calls.push(record);
+
+    const latency = this.latencies.has(variant) ? this.latencies.get(variant) : this.latencies.get(ALL_MODELS);
+    const delay = typeof latency === 'function' ? latency(record) : latency;
+    if (delay > 0) {
+      await new Promise(resolve => {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          resolve();
+        }, delay);
+        this.timers.add(timer);
+      });
+    }
+
+    const fault = this.faults.find(f => f.remaining > 0 &&
+      (f.model === ALL_MODELS || f.model === variant) && (!f.method || f.method === method));
+    if (fault) {
+      fault.remaining--;
+      throw fault.error;
+    }
+
+    switch (method) {
+      case 'Predict':
+        return this.predict(variant, request, record);
+      case 'Classify':
+      case 'Regress':
+        return this.infer(method, variant, request, record);
+      case 'MultiInference':
+        return this.multiInference(variant, request, record);
+      case 'GetModelMetadata':
+        return this.getModelMetadata(variant);
+      case 'GetModelStatus':
+        return this.types.GetModelStatusResponse.create({
+          modelVersionStatus: [{ version: 1, state: STATE_AVAILABLE, status: { errorCode: 0, errorMessage: '' } }]
+        });
+      default:
+        throw statusError('UNIMPLEMENTED', `${method} is not implemented by the fake server`);
+    }
+  }
+
+  /**
+   * Decodes the examples and builds a PredictResponse
+   */
+  predict(variant, request, record) {
+    const model = this.models[variant];
+    const signatureName = this.checkSignature(variant, request.modelSpec);
+
+    const examplesTensor = request.inputs.examples;
+    if (!examplesTensor) {
+      throw statusError('INVALID_ARGUMENT', 'input tensor alias not found in signature: examples');
+    }
+
+    let decoded;
+    let common = null;
+    try {
+      decoded = tensorToJs(examplesTensor).values.map(decodeSequenceExample);
+      if (request.inputs.common) {
+        common = toFeatureMap(decodeSequenceExample(tensorToJs(request.inputs.common).values[0]));
+      }
+    } catch (error) {
+      throw statusError('INVALID_ARGUMENT', `Could not parse example input: ${error.message}`);
+    }
+    record.examples = decoded.map(toFeatureMap);
+    record.common = common;
+
+    return this.types.PredictResponse.create({
+      modelSpec: { name: model.name, signatureName, version: { value: 1 } },
+      outputs: this.batchOutputs(this.computeOutputs(variant, record, decoded, request))
+    });
+  }
+
+  /**
+   * Checks the requested signature against the model's and returns its name
+   */
+  checkSignature(variant, modelSpec) {
+    const signatureName = (modelSpec && modelSpec.signatureName) || config.DEFAULTS.SIGNATURE;
+    if (signatureName !== this.models[variant].signature) {
+      throw statusError('INVALID_ARGUMENT', `Serving signature name: "${signatureName}" not found in signature def`);
+    }
+    return signatureName;
+  }
+
+  /**
+   * Outputs for each recorded example: the next scripted response, else the rule
+   */
+  computeOutputs(variant, record, decoded, request) {
+    const queue = this.scripts.get(variant) && this.scripts.get(variant).length > 0
+      ? this.scripts.get(variant)
+      : this.scripts.get(ALL_MODELS);
+    const scripted = queue && queue.length > 0 ? queue.shift() : null;
+    if (scripted && scripted.code !== undefined) {
+      throw statusError(scripted.code, scripted.details);
+    }
+
+    if (scripted) {
+      return record.examples.map(() => scripted.outputs);
+    }
+    const rule = this.rules.get(variant) || this.rules.get(ALL_MODELS) || defaultRule;
+    return record.examples.map((features, index) => rule(features, {
+      variant, modelName: this.models[variant].name, index, decoded: decoded[index], common: record.common, request
+    }));
+  }
+
+  /**
+   * Decodes the tf.Examples of a Classify/Regress/MultiInference Input,
+   * merging the context features into each example as TF Serving does
+   */
+  decodeInput(input, record) {
+    const list = input && (input.exampleList || input.exampleListWithContext);
+    if (!list || list.examples.length === 0) {
+      throw statusError('INVALID_ARGUMENT', 'Input is empty');
+    }
+
+    const decode = example => decodeExample(this.types.Example.encode(example).finish());
+    const toFeatures = ({ features }) => toFeatureMap({ context: features, featureLists: {} });
+    const decoded = list.examples.map(decode);
+    record.common = list.context ? toFeatures(decode(list.context)) : null;
+    record.examples = decoded.map(example => ({ ...record.common, ...toFeatures(example) }));
+    return decoded;
+  }
+
+  /**
+   * Builds a ClassificationResult or RegressionResult from per-example outputs
+   */
+  inferenceResult(method, perExample) {
+    if (method === 'Classify') {
+      return {
+        classifications: perExample.map(outputs => ({
+          classes: Object.entries(outputs).map(([label, value]) => ({ label, score: [].concat(value)[0] }))
+        }))
+      };
+    }
+    return {
+      regressions: perExample.map(outputs => ({ value: [].concat(Object.values(outputs)[0])[0] }))
+    };
+  }
+
+  /**
+   * Answers a Classify or Regress call
+   */
+  infer(method, variant, request, record) {
+    const model = this.models[variant];
+    const signatureName = this.checkSignature(variant, request.modelSpec);
+    const decoded = this.decodeInput(request.input, record);
+    const Response = method === 'Classify' ? this.types.ClassificationResponse : this.types.RegressionResponse;
+
+    return Response.create({
+      modelSpec: { name: model.name, signatureName, version: { value: 1 } },
+      result: this.inferenceResult(method, this.computeOutputs(variant, record, decoded, request))
+    });
+  }
+
+  /**
+   * Answers a MultiInference call with one result per task, all from the same outputs
+   */
+  multiInference(variant, request, record) {
+    const model = this.models[variant];
+    const tasks = request.tasks.map(task => {
+      if (!task.modelSpec || task.modelSpec.name !== model.name) {
+        throw statusError('INVALID_ARGUMENT', 'All ModelSpecs in a MultiInferenceRequest must access the same model name');
+      }
+      if (!INFERENCE_METHODS[task.methodName]) {
+        throw statusError('UNIMPLEMENTED', `Unsupported signature method_name: ${task.methodName}`);
+      }
+      return { signatureName: this.checkSignature(variant, task.modelSpec), method: INFERENCE_METHODS[task.methodName] };
+    });
+    const decoded = this.decodeInput(request.input, record);
+    const perExample = this.computeOutputs(variant, record, decoded, request);
+
+    return this.types.MultiInferenceResponse.create({
+      results: tasks.map(({ signatureName, method }) => ({
+        modelSpec: { name: model.name, signatureName, version: { value: 1 } },
+        [method === 'Classify' ? 'classificationResult' : 'regressionResult']: this.inferenceResult(method, perExample)
+      }))
+    });
+  }
+
+  /**
+   * Stacks per-example outputs into DT_FLOAT tensors with the batch as first dimension
+   */
+  batchOutputs(perExample) {
+    const outputs = {};
+    const names = [...new Set(perExample.flatMap(values => Object.keys(values)))];
+    for (const name of names) {
+      const values = perExample.map(values => values[name]);
+      if (values.some(value => value === undefined)) {
+        throw statusError('INTERNAL', `Output ${name} missing for some examples`);
+      }
+      outputs[name] = jsToTensor(values, { dtype: 'DT_FLOAT' });
+    }
+    return outputs;
+  }
+
+  /**
+   * GetModelMetadata response with a serving signature taking "examples"
+   */
+  getModelMetadata(variant) {
+    const model = this.models[variant];
+    const batchShape = { dim: [{ size: -1 }] };
+    const signatureDefMap = this.types.SignatureDefMap.create({
+      signatureDef: {
+        [model.signature]: {
+          methodName: 'tensorflow/serving/predict',
+          inputs: {
+            examples: { name: 'input_example_tensor:0', dtype: config.DEFAULTS.DTYPE_STRING, tensorShape: batchShape }
+          },
+          outputs: Object.fromEntries(this.outputs.map(name => [
+            name, { name: `${name}:0`, dtype: 1, tensorShape: batchShape }
+          ]))
+        }
+      }
+    });
+
+    return this.types.GetModelMetadataResponse.fromObject({
+      modelSpec: { name: model.name, version: { value: 1 } },
+      metadata: {
+        signature_def: {
+          type_url: 'type.googleapis.com/tensorflow.serving.SignatureDefMap',
+          value: this.types.SignatureDefMap.encode(signatureDefMap).finish()
+        }
+      }
+    });
+  }
+}
+
+/**
+ * CLI: serve until interrupted
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? parseInt(args[portIndex + 1], 10) : 0;
+
+  const server = new FakeServingServer({ port });
+  await server.start();
+
+  console.log(`🧪 Fake TensorFlow Serving listening on ${server.host}:${server.port}`);
+  for (const [variant, model] of Object.entries(server.models)) {
+    console.log(`   ${variant.padEnd(14)} /${model.path}/tensorflow.serving.PredictionService/Predict`);
+  }
+  console.log('\n💡 Point a client at it with ingressHost 127.0.0.1 and this port (non-443 ports use plaintext)');
+  console.log('   Press Ctrl+C to stop\n');
+
+  process.on('SIGINT', async () => {
+    console.log(`\n🛑 Stopping after ${server.calls.length} calls`);
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  FakeServingServer,
+  defaultRule,
+  DEFAULT_OUTPUTS
+};
@@ -0,0 +1,130 @@
+/**
+ * Fallback Chain Across Model Variants
+ *
+ * Tries an ordered list of model variants (e.g. AGGRESSIVE → BASELINE) and
+ * returns the first answer, falling back to static default scores when every
+ * variant failed. A variant whose circuit breaker is open fails immediately,
+ * so a degraded variant costs no latency.
+ *
+ * Every result records which variant answered and why earlier ones were skipped.
+ *
+ * Usage:
+ *   const { FallbackChain } = require('./fallback-chain');
+ *   const chain = new FallbackChain({ chain: ['AGGRESSIVE', 'BASELINE'] });
+ *   const { variant, predictions, fallbacks } = await chain.predict({ serializedExample });
+ */
+
+const config = require('./config');
+const { getSharedClient } = require('./prediction-client');
+const { outputsToValues } = require('./tensor');
+
+const DEFAULT_VARIANT = 'DEFAULT';
+
+/**
+ * config.MODELS key for a chain entry: model objects are matched by ingress path,
+ * then by name; an object matching no configured model is labelled by its name
+ */
+function variantOf(model) {
+  if (typeof model === 'string') {
+    return model;
+  }
+  const keys = Object.keys(config.MODELS);
+  const variant = (model.path && keys.find(key => config.MODELS[key].path === model.path)) ||
+    keys.find(key => config.MODELS[key].name === model.name);
+  return variant || model.name;
+}
+
+class FallbackChain {
+  /**
+   * @param {Object} options - Chain options
+   * @param {Array<string|Object>} options.chain - config.MODELS keys or model config objects, in order
+   *   (default: config.FALLBACK.CHAIN)
+   * @param {Object|null} options.defaultScores - Static predictions used when every variant failed;
+   *   null to throw instead (default: config.FALLBACK.DEFAULT_SCORES)
+   * @param {PredictionClient} options.client - Client to call through (default: shared client)
+   */
+  constructor(options = {}) {
+    this.chain = options.chain || config.FALLBACK.CHAIN;
+    this.defaultScores = options.defaultScores !== undefined ? options.defaultScores : config.FALLBACK.DEFAULT_SCORES;
+    this.client = options.client || getSharedClient();
+
+    if (this.chain.length === 0 && !this.defaultScores) {
+      throw new Error('Fallback chain needs at least one variant or default scores');
+    }
+  }
+
+  /**
+   * Tries each variant in order with `call(model)` until one succeeds
+   *
+   * @returns {Promise<{variant: string, modelName: string|null, result: *, fallbacks: Array}>}
+   */
+  async run(call) {
+    const fallbacks = [];
+
+    for (const model of this.chain) {
+      const variant = variantOf(model);
+      try {
+        const result = await call(model);
+        return { variant, modelName: this.client.resolveModel({ model }).modelName, result, fallbacks };
+      } catch (error) {
+        fallbacks.push({ variant, code: error.code !== undefined ? error.code : null, message: error.message });
+      }
+    }
+
+    if (!this.defaultScores) {
+      const error = new Error(
+        `All variants failed: ${fallbacks.map(f => `${f.variant} (${f.message})`).join('; ')}`
+      );
+      error.fallbacks = fallbacks;
+      throw error;
+    }
+
+    return { variant: DEFAULT_VARIANT, modelName: null, result: null, fallbacks };
+  }
+
+  /**
+   * Scores one example, falling back along the chain
+   *
+   * @param {Object} options - predict() options without `model` (target, timeout, serializedExample, ...)
+   * @returns {Promise<{variant: string, modelName: string|null, predictions: Object, fallbacks: Array}>} -
+   *   variant is the config.MODELS key that answered, or 'DEFAULT' for the static scores;
+   *   fallbacks lists { variant, code, message } for every variant that failed before it
+   */
+  async predict(options) {
+    const { variant, modelName, result, fallbacks } = await this.run(
+      model => this.client.predict({ ...options, model })
+    );
+
+    return {
+      variant,
+      modelName,
+      predictions: result ? outputsToValues(result.outputs) : { ...this.defaultScores },
+      fallbacks
+    };
+  }
+
+  /**
+   * Scores many examples in one call per variant, falling back along the chain
+   * The whole batch is answered by the same variant
+   *
+   * @param {Object} options - predictBatch() options without `model`
+   * @returns {Promise<{variant: string, modelName: string|null, predictions: Object[], fallbacks: Array}>}
+   */
+  async predictBatch(options) {
+    const { variant, modelName, result, fallbacks } = await this.run(
+      model => this.client.predictBatch({ ...options, model })
+    );
+
+    return {
+      variant,
+      modelName,
+      predictions: result || options.serializedExamples.map(() => ({ ...this.defaultScores })),
+      fallbacks
+    };
+  }
+}
+
+module.exports = {
+  FallbackChain,
+  DEFAULT_VARIANT
+};
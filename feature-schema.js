@@ -0,0 +1,179 @@
+/**
+ * Feature Schema for SequenceExample Encoding
+ *
+ * A schema declares the TensorFlow type of each feature so the builder
+ * encodes it with the dtype the model was trained on, instead of guessing
+ * from the JS value (where `[1]` would silently become int64).
+ *
+ * Schema format:
+ * {
+ *   "ad_type":       { type: 'bytes', required: true },
+ *   "winrate_1_day": { type: 'float' },
+ *   "is_responded":  { type: 'int64', default: 0 }
+ * }
+ */
+
+const FEATURE_TYPES = Object.freeze({
+  BYTES: 'bytes',
+  FLOAT: 'float',
+  INT64: 'int64'
+});
+
+const VALID_TYPES = Object.values(FEATURE_TYPES);
+
+/**
+ * Infers the feature type from a JS value (legacy behaviour without a schema)
+ *
+ * @param {*} value - Feature value
+ * @param {string} key - Feature name (for error messages)
+ * @returns {string} - One of FEATURE_TYPES
+ */
+function inferFeatureType(value, key) {
+  if (typeof value === 'string' || Buffer.isBuffer(value)) {
+    return FEATURE_TYPES.BYTES;
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? FEATURE_TYPES.INT64 : FEATURE_TYPES.FLOAT;
+  }
+  throw new Error(`Unsupported value type for key "${key}": ${typeof value}`);
+}
+
+/**
+ * Infers one feature type for a whole value list (used for context features)
+ * Integers and floats mixed in one list are widened to float
+ *
+ * @param {Array} values - Feature values
+ * @param {string} key - Feature name (for error messages)
+ * @returns {string} - One of FEATURE_TYPES
+ */
+function inferListType(values, key) {
+  const types = new Set(values.map(value => inferFeatureType(value, key)));
+  if (types.size <= 1) {
+    return types.size === 0 ? FEATURE_TYPES.BYTES : [...types][0];
+  }
+  if (!types.has(FEATURE_TYPES.BYTES)) {
+    return FEATURE_TYPES.FLOAT;
+  }
+  throw new Error(`Feature "${key}" mixes string and numeric values`);
+}
+
+/**
+ * Checks that a value matches the declared type
+ */
+function assertValueType(type, value, key) {
+  let valid;
+  switch (type) {
+    case FEATURE_TYPES.BYTES:
+      valid = typeof value === 'string' || Buffer.isBuffer(value);
+      break;
+    case FEATURE_TYPES.FLOAT:
+      valid = typeof value === 'number' && Number.isFinite(value);
+      break;
+    case FEATURE_TYPES.INT64:
+      valid = Number.isSafeInteger(value);
+      break;
+    default:
+      throw new Error(`Unknown feature type for key "${key}": ${type}`);
+  }
+
+  if (!valid) {
+    const shown = Buffer.isBuffer(value) ? 'Buffer' : JSON.stringify(value);
+    throw new Error(`Feature "${key}" expects ${type}, got ${typeof value} (${shown})`);
+  }
+}
+
+/**
+ * Converts a list of values into a protobufjs Feature of the given type
+ *
+ * @param {string} type - One of FEATURE_TYPES
+ * @param {Array} values - Feature values (a single timestep or a context feature)
+ * @param {string} key - Feature name (for error messages)
+ * @returns {Object} - Feature with bytesList, floatList or int64List
+ */
+function toFeature(type, values, key) {
+  values.forEach(value => assertValueType(type, value, key));
+
+  switch (type) {
+    case FEATURE_TYPES.BYTES:
+      return {
+        bytesList: {
+          value: values.map(value => (Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf-8')))
+        }
+      };
+    case FEATURE_TYPES.FLOAT:
+      return { floatList: { value: values } };
+    default:
+      return { int64List: { value: values } };
+  }
+}
+
+/**
+ * Checks that a schema only uses known types
+ *
+ * @param {Object} schema - Feature schema
+ */
+function validateSchema(schema) {
+  for (const [key, spec] of Object.entries(schema)) {
+    if (!spec || !VALID_TYPES.includes(spec.type)) {
+      throw new Error(`Invalid schema for "${key}": type must be one of ${VALID_TYPES.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Resolves the type and values of every feature against a schema
+ *
+ * Required features must be present; optional features with a `default`
+ * are filled in when missing. Features not declared in the schema are
+ * inferred from their values unless `strict` is set.
+ *
+ * @param {Object} data - Feature name → array of values
+ * @param {Object|null} schema - Feature schema (null to infer everything)
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Reject features not in the schema
+ * @returns {Array<{key: string, type: string|null, values: Array}>} - type is null when inferred per value
+ */
+function resolveFeatures(data, schema = null, { strict = false } = {}) {
+  const resolved = [];
+
+  if (!schema) {
+    for (const [key, values] of Object.entries(data)) {
+      resolved.push({ key, type: null, values });
+    }
+    return resolved;
+  }
+
+  validateSchema(schema);
+
+  for (const [key, values] of Object.entries(data)) {
+    const spec = schema[key];
+    if (!spec && strict) {
+      throw new Error(`Feature "${key}" is not declared in the schema`);
+    }
+    resolved.push({ key, type: spec ? spec.type : null, values });
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    if (data[key] !== undefined) {
+      continue;
+    }
+    if (spec.required) {
+      throw new Error(`Required feature "${key}" is missing`);
+    }
+    if (spec.default !== undefined) {
+      const values = Array.isArray(spec.default) ? spec.default : [spec.default];
+      resolved.push({ key, type: spec.type, values });
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  FEATURE_TYPES,
+  inferFeatureType,
+  inferListType,
+  toFeature,
+  validateSchema,
+  resolveFeatures
+};
@@ -0,0 +1,242 @@
+/**
+ * Feature Store Backends
+ *
+ * Feature rows follow the ARS feature store layout
+ * (ars_feature_store.ars_user_features_v2):
+ *   { id, featuresetid, featureversionid, timestamp, value }
+ * where `id` is the entity key (e.g. userid|ad_type|sourceApp) and `value`
+ * holds the delimited feature values.
+ *
+ * Every backend implements the same small interface, so pipeline code can
+ * take either one:
+ * - connect()                     Open connections / prepare statements
+ * - getRow(id, featuresetid)      Row or null
+ * - getRows(ids, featuresetid)    Rows (or null) in input order
+ * - close()
+ *
+ * Backends:
+ * - ScyllaFeatureStore:   cassandra-driver against config.SCYLLA
+ * - InMemoryFeatureStore: rows held in a Map, seeded from JSON fixtures, for
+ *                         running the Scylla → SequenceExample → predict
+ *                         pipeline locally
+ *
+ * Usage:
+ *   const { createFeatureStore, InMemoryFeatureStore } = require('./feature-store');
+ *   const store = createFeatureStore();  // config.FEATURE_STORE.TYPE
+ *   const local = InMemoryFeatureStore.fromFixtures('tests/fixtures/ars_user_features_v2.json');
+ *   const row = await local.getRow('123456|SC_CPCV_1|SC', 'dnb_historical_features');
+ */
+
+const fs = require('fs');
+const cassandra = require('cassandra-driver');
+const config = require('./config');
+
+const STORE_TYPES = Object.freeze({
+  SCYLLA: 'scylla',
+  MEMORY: 'memory'
+});
+
+/**
+ * Interface shared by the feature store backends
+ */
+class FeatureStore {
+  async connect() {}
+
+  /**
+   * Reads one feature set of one entity
+   *
+   * @param {string} id - Entity key
+   * @param {string} featuresetid - Feature set, e.g. 'dnb_historical_features'
+   * @returns {Promise<Object|null>} - { id, featuresetid, featureversionid, timestamp, value } or null
+   */
+  async getRow(id, featuresetid) {
+    throw new Error(`${this.constructor.name} does not implement getRow()`);
+  }
+
+  /**
+   * Reads one feature set for several entities
+   *
+   * @param {string[]} ids - Entity keys
+   * @param {string} featuresetid - Feature set
+   * @returns {Promise<Array<Object|null>>} - Rows in the order of ids
+   */
+  async getRows(ids, featuresetid) {
+    return Promise.all(ids.map(id => this.getRow(id, featuresetid)));
+  }
+
+  async close() {}
+}
+
+/**
+ * Feature rows read from Scylla with a prepared statement
+ */
+class ScyllaFeatureStore extends FeatureStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.scyllaConfig - Cluster settings (default: config.SCYLLA)
+   * @param {string} options.table - keyspace.table (default: config.FEATURE_STORE.TABLE)
+   */
+  constructor(options = {}) {
+    super();
+    this.scyllaConfig = options.scyllaConfig || config.SCYLLA;
+    this.table = options.table || config.FEATURE_STORE.TABLE;
+    this.client = null;
+    this.preparedQuery = null;
+  }
+
+  async connect() {
+    const authProvider = new cassandra.auth.PlainTextAuthProvider(
+      this.scyllaConfig.CREDENTIALS.username,
+      this.scyllaConfig.CREDENTIALS.password
+    );
+
+    this.client = new cassandra.Client({
+      contactPoints: this.scyllaConfig.CONTACT_POINTS,
+      localDataCenter: this.scyllaConfig.LOCAL_DC,
+      authProvider,
+      protocolOptions: { port: this.scyllaConfig.PORT },
+      socketOptions: {
+        connectTimeout: this.scyllaConfig.CONNECTION_TIMEOUT,
+        readTimeout: this.scyllaConfig.REQUEST_TIMEOUT
+      }
+    });
+
+    await this.client.connect();
+
+    this.preparedQuery = await this.client.prepare(`
+      SELECT id, featuresetid, featureversionid, timestamp, value
+      FROM ${this.table}
+      WHERE id = ? AND featuresetid = ?
+    `);
+  }
+
+  async getRow(id, featuresetid) {
+    if (!this.client) {
+      throw new Error('ScyllaFeatureStore: Not connected. Call connect() first.');
+    }
+
+    const result = await this.client.execute(this.preparedQuery, [id, featuresetid], { prepare: true });
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      id: row.id,
+      featuresetid: row.featuresetid,
+      featureversionid: row.featureversionid,
+      timestamp: row.timestamp,
+      value: row.value
+    };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.shutdown();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Feature rows kept in memory, keyed by (id, featuresetid)
+ */
+class InMemoryFeatureStore extends FeatureStore {
+  /**
+   * @param {Object[]} rows - Initial rows (see seed())
+   */
+  constructor(rows = []) {
+    super();
+    this.rows = new Map();
+    this.seed(rows);
+  }
+
+  /**
+   * Creates a store from a JSON fixture file
+   *
+   * @param {string} file - JSON array of rows
+   * @returns {InMemoryFeatureStore}
+   */
+  static fromFixtures(file) {
+    const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rows)) {
+      throw new Error(`${file}: expected a JSON array of feature rows`);
+    }
+    try {
+      return new InMemoryFeatureStore(rows);
+    } catch (error) {
+      error.message = `${file}: ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * Adds or replaces rows; a later row for the same (id, featuresetid) wins
+   *
+   * @param {Object[]} rows - { id, featuresetid, value, featureversionid?, timestamp? }
+   */
+  seed(rows) {
+    rows.forEach((row, index) => {
+      if (!row || typeof row.id !== 'string' || typeof row.featuresetid !== 'string') {
+        throw new Error(`Feature row ${index} needs string id and featuresetid`);
+      }
+      if (row.value === undefined || row.value === null) {
+        throw new Error(`Feature row ${index} (${row.id}) has no value`);
+      }
+      this.rows.set(this.key(row.id, row.featuresetid), {
+        id: row.id,
+        featuresetid: row.featuresetid,
+        featureversionid: row.featureversionid !== undefined ? String(row.featureversionid) : null,
+        timestamp: row.timestamp ? new Date(row.timestamp) : null,
+        value: String(row.value)
+      });
+    });
+  }
+
+  key(id, featuresetid) {
+    return `${id}\u0000${featuresetid}`;
+  }
+
+  async getRow(id, featuresetid) {
+    const row = this.rows.get(this.key(id, featuresetid));
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Number of rows held
+   */
+  get size() {
+    return this.rows.size;
+  }
+}
+
+/**
+ * Creates the configured feature store
+ *
+ * @param {Object} options - Options (defaults from config.FEATURE_STORE)
+ * @param {string} options.type - 'scylla' or 'memory'
+ * @param {string} options.fixtures - JSON fixture file seeding the memory store
+ * @param {Object} options.scyllaConfig - Cluster settings for the Scylla store
+ * @returns {FeatureStore}
+ */
+function createFeatureStore(options = {}) {
+  const type = options.type || config.FEATURE_STORE.TYPE;
+  switch (type) {
+    case STORE_TYPES.SCYLLA:
+      return new ScyllaFeatureStore({ scyllaConfig: options.scyllaConfig });
+    case STORE_TYPES.MEMORY: {
+      const fixtures = options.fixtures || config.FEATURE_STORE.FIXTURES;
+      return fixtures ? InMemoryFeatureStore.fromFixtures(fixtures) : new InMemoryFeatureStore();
+    }
+    default:
+      throw new Error(`Unknown feature store type: ${type}. Available: ${Object.values(STORE_TYPES).join(', ')}`);
+  }
+}
+
+module.exports = {
+  FeatureStore,
+  ScyllaFeatureStore,
+  InMemoryFeatureStore,
+  createFeatureStore,
+  STORE_TYPES
+};
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * ✅ TensorFlow Serving Model Status / Readiness Check
+ *
+ * Asks ModelService/GetModelStatus whether each model variant has an
+ * AVAILABLE version, via ingress (default) or directly against the pod.
+ * Exits non-zero when any model is not ready, so it can gate deployments.
+ *
+ * Usage:
+ *   node model-status.js                      # all models via ingress
+ *   node model-status.js BASELINE --pod       # one model, direct pod access
+ *   node model-status.js --wait 60000         # poll up to 60s for every model
+ */
+
+const config = require('./config');
+const { getSharedClient, waitForModelReady } = require('./prediction-client');
+
+/**
+ * Checks one model and prints its version states
+ *
+ * @param {string} model - Key of config.MODELS
+ * @param {Object} options - { target, wait }
+ * @returns {Promise<boolean>} - true when a version is AVAILABLE
+ */
+async function checkModel(model, { target, wait }) {
+  const { name } = config.MODELS[model];
+
+  try {
+    if (wait) {
+      const ready = await waitForModelReady(model, { target, timeout: wait });
+      console.log(`✅ ${model.padEnd(14)} ${name}  v${ready.version} AVAILABLE`);
+      return true;
+    }
+
+    const statuses = await getSharedClient().getModelStatus({ model, target });
+    const available = statuses.some(status => status.state === 'AVAILABLE');
+    const states = statuses
+      .map(s => `v${s.version} ${s.state}${s.errorMessage ? ` (${s.errorMessage})` : ''}`)
+      .join(', ') || 'no versions';
+    console.log(`${available ? '✅' : '⏳'} ${model.padEnd(14)} ${name}  ${states}`);
+    return available;
+  } catch (error) {
+    console.log(`❌ ${model.padEnd(14)} ${name}  ${error.message}`);
+    return false;
+  }
+}
+
+// Run CLI if executed directly
+if (require.main === module) {
+  (async () => {
+    const args = process.argv.slice(2);
+    const target = args.includes('--pod') ? 'POD' : 'INGRESS';
+    const waitIndex = args.indexOf('--wait');
+    const wait = waitIndex >= 0 ? parseInt(args[waitIndex + 1], 10) || 30000 : 0;
+    const requested = args.filter((a, i) => !a.startsWith('--') && (waitIndex < 0 || i !== waitIndex + 1));
+    const models = requested.length > 0 ? requested : Object.keys(config.MODELS);
+
+    console.log(`🔍 Model status via ${target}${wait ? ` (waiting up to ${wait}ms)` : ''}\n`);
+
+    try {
+      const unknown = models.filter(model => !config.MODELS[model]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown model: ${unknown.join(', ')}. Available: ${Object.keys(config.MODELS).join(', ')}`);
+      }
+
+      const results = await Promise.all(models.map(model => checkModel(model, { target, wait })));
+      if (results.includes(false)) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('💥 Error:', error.message);
+      process.exitCode = 1;
+    } finally {
+      getSharedClient().close();
+    }
+  })();
+}
+
+module.exports = {
+  checkModel
+};
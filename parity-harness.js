@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Cross-Language Parity Harness
+ *
+ * Checks the Node SequenceExample builder against serializations produced
+ * by the Python client. Each case is a directory under
+ * config.PARITY.FIXTURES_DIR holding:
+ *
+ * - input.json:           { description, schema, features } fed to buildSequenceExample
+ *                         (schema: true encodes with config.FEATURES.SCHEMA)
+ * - python.hex:           serialized.hex() of the same features from Python
+ * - expected-output.json: optional { model, tolerance, outputs } the model
+ *                         returned for the Python request. Only add it with
+ *                         outputs recorded for this exact input; cases without
+ *                         it check serialization only (and, with --score, that
+ *                         both requests score the same)
+ *
+ * For every case both sides are decoded and diffed feature by feature
+ * (sequence-example-diff.js), and the bytes are compared after sorting map
+ * keys (Python does not serialize deterministically by default). With
+ * --score, both serializations are also sent to the model; their outputs
+ * must match each other and expected-output.json when the case has one.
+ *
+ * To add a case, write input.json, then in Python:
+ *   print(build_sequence_example(features).SerializeToString().hex())  > python.hex
+ *
+ * Usage:
+ *   node parity-harness.js                       # all cases, offline
+ *   node parity-harness.js --case typed-features # one case
+ *   node parity-harness.js --score --target POD  # also compare model outputs
+ *   node parity-harness.js --json                # machine-readable results
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { buildSequenceExample, canonicalize } = require('./sequence-example-builder');
+const { toBuffer } = require('./sequence-example-decoder');
+const { diffSequenceExamples, formatDiff } = require('./sequence-example-diff');
+const { outputsToValues } = require('./tensor');
+
+const LABELS = { expected: 'Python', actual: 'Node' };
+
+/**
+ * Reads a JSON file, naming the file in parse errors
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    error.message = `${file}: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Loads every case directory
+ *
+ * @param {string} dir - Fixtures directory (default: config.PARITY.FIXTURES_DIR)
+ * @returns {Object[]} - { name, dir, input, pythonHex, expectedOutput|null }, sorted by name
+ */
+function loadParityCases(dir = path.resolve(__dirname, config.PARITY.FIXTURES_DIR)) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort()
+    .map(name => {
+      const caseDir = path.join(dir, name);
+      const outputFile = path.join(caseDir, 'expected-output.json');
+      for (const file of ['input.json', 'python.hex']) {
+        if (!fs.existsSync(path.join(caseDir, file))) {
+          throw new Error(`Parity case ${name} has no ${file}`);
+        }
+      }
+      return {
+        name,
+        dir: caseDir,
+        input: readJson(path.join(caseDir, 'input.json')),
+        pythonHex: fs.readFileSync(path.join(caseDir, 'python.hex'), 'utf8').trim(),
+        expectedOutput: fs.existsSync(outputFile) ? readJson(outputFile) : null
+      };
+    });
+}
+
+/**
+ * Builds the Node serialization of a case (deterministic, so bytes are comparable)
+ */
+function buildNodeExample(parityCase) {
+  const { features, schema } = parityCase.input;
+  return buildSequenceExample(features, {
+    deterministic: true,
+    ...(schema ? { schema: config.FEATURES.SCHEMA } : {})
+  });
+}
+
+/**
+ * Compares the Node and Python serializations of one case offline
+ *
+ * @param {Object} parityCase - From loadParityCases
+ * @param {Object} options - { tolerance } for float feature values (default: config.PARITY.FLOAT_TOLERANCE)
+ * @returns {{name: string, bytesMatch: boolean, differences: Object[], nodeBytes: Buffer, pythonBytes: Buffer}}
+ */
+function checkParityCase(parityCase, { tolerance = config.PARITY.FLOAT_TOLERANCE } = {}) {
+  const pythonBytes = toBuffer(parityCase.pythonHex);
+  const nodeBytes = buildNodeExample(parityCase);
+
+  return {
+    name: parityCase.name,
+    bytesMatch: canonicalize(pythonBytes).equals(nodeBytes),
+    differences: diffSequenceExamples(pythonBytes, nodeBytes, { tolerance }),
+    nodeBytes,
+    pythonBytes
+  };
+}
+
+/**
+ * Scores both serializations of a case and compares the outputs
+ *
+ * Without expected-output.json the case is scored with BASELINE and only
+ * the Python and Node outputs are compared with each other.
+ *
+ * @param {Object} parityCase - From loadParityCases
+ * @param {Object} options - { client, target }
+ * @returns {Promise<{model: string, python: Object, node: Object, mismatches: Object[]}>} -
+ *   mismatches: { output, side, expected, actual }; side 'node' vs 'python' compares the two languages
+ */
+async function scoreParityCase(parityCase, { client, target }) {
+  const { model = 'BASELINE', outputs: expected = {}, tolerance = config.PARITY.OUTPUT_TOLERANCE } = parityCase.expectedOutput || {};
+  const { pythonBytes, nodeBytes } = checkParityCase(parityCase);
+
+  const [python, node] = await Promise.all([pythonBytes, nodeBytes].map(async serializedExample => (
+    outputsToValues((await client.predict({ model, target, serializedExample })).outputs)
+  )));
+
+  const mismatches = [];
+  for (const [output, value] of Object.entries(expected)) {
+    for (const [side, values] of [['python', python], ['node', node]]) {
+      if (typeof values[output] !== 'number' || Math.abs(values[output] - value) > tolerance) {
+        mismatches.push({ output, side, expected: value, actual: values[output] });
+      }
+    }
+  }
+  for (const output of Object.keys(python)) {
+    if (JSON.stringify(python[output]) !== JSON.stringify(node[output])) {
+      mismatches.push({ output, side: 'node', expected: python[output], actual: node[output] });
+    }
+  }
+
+  return { model, python, node, mismatches };
+}
+
+/**
+ * Runs the harness over a fixtures directory
+ *
+ * @param {Object} options - Options
+ * @param {string} options.dir - Fixtures directory
+ * @param {string[]} options.cases - Case names to run (default: all)
+ * @param {boolean} options.score - Also score both serializations of every case
+ * @param {string|Object} options.target - Target for scoring (default: 'INGRESS')
+ * @param {PredictionClient} options.client - Client for scoring (default: shared client)
+ * @returns {Promise<Object[]>} - checkParityCase() results plus { description, scoring, ok }
+ */
+async function runParity(options = {}) {
+  let cases = loadParityCases(options.dir);
+  if (options.cases && options.cases.length > 0) {
+    const unknown = options.cases.filter(name => !cases.some(c => c.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown parity case(s): ${unknown.join(', ')}. Available: ${cases.map(c => c.name).join(', ')}`);
+    }
+    cases = cases.filter(c => options.cases.includes(c.name));
+  }
+
+  const client = options.score ? (options.client || require('./prediction-client').getSharedClient()) : null;
+  const results = [];
+  for (const parityCase of cases) {
+    const result = { ...checkParityCase(parityCase), description: parityCase.input.description || '', scoring: null };
+    if (client) {
+      try {
+        result.scoring = await scoreParityCase(parityCase, { client, target: options.target || 'INGRESS' });
+      } catch (error) {
+        result.scoring = { error: error.message, mismatches: [] };
+      }
+    }
+    result.ok = result.bytesMatch && result.differences.length === 0 &&
+      (!result.scoring || (!result.scoring.error && result.scoring.mismatches.length === 0));
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Prints one case's result
+ */
+function printResult(result) {
+  const status = result.ok ? '✅' : '❌';
+  let summary = 'bytes identical (after sorting map keys)';
+  if (result.differences.length > 0) {
+    summary = `${result.differences.length} feature difference(s)`;
+  } else if (!result.bytesMatch) {
+    summary = 'features match but bytes differ (encoding divergence, e.g. packed vs unpacked values)';
+  }
+  console.log(`${status} ${result.name.padEnd(28)} ${summary}`);
+
+  if (result.differences.length > 0) {
+    console.log(formatDiff(result.differences, LABELS).split('\n').map(line => `     ${line}`).join('\n'));
+  }
+
+  if (result.scoring) {
+    if (result.scoring.error) {
+      console.log(`     ❌ Scoring failed: ${result.scoring.error}`);
+      return;
+    }
+    for (const [output, value] of Object.entries(result.scoring.python)) {
+      console.log(`     📊 ${result.scoring.model} ${output}: Python ${value}, Node ${result.scoring.node[output]}`);
+    }
+    for (const mismatch of result.scoring.mismatches) {
+      console.log(`     ❌ ${mismatch.output} (${mismatch.side}): expected ${mismatch.expected}, got ${mismatch.actual}`);
+    }
+  }
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const caseNames = args.flatMap((arg, i) => (arg === '--case' ? args[i + 1].split(',') : []));
+  const dir = valueOf('--dir');
+
+  const results = await runParity({
+    dir: dir ? path.resolve(dir) : undefined,
+    cases: caseNames,
+    score: args.includes('--score'),
+    target: valueOf('--target')
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(results.map(({ nodeBytes, pythonBytes, ...result }) => ({
+      ...result,
+      nodeHex: nodeBytes.toString('hex')
+    })), null, 2));
+  } else {
+    console.log(`🔁 Cross-language parity: ${results.length} case(s)\n`);
+    results.forEach(printResult);
+    const failed = results.filter(result => !result.ok).length;
+    console.log(`\n${failed === 0 ? '✅ All cases match' : `❌ ${failed} case(s) diverge`}`);
+  }
+
+  return results.every(result => result.ok);
+}
+
+if (require.main === module) {
+  main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error('❌ Fatal error:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadParityCases,
+  checkParityCase,
+  scoreParityCase,
+  runParity
+};
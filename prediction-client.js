@@ -0,0 +1,785 @@
+/**
+ * Persistent Prediction Client for TensorFlow Serving
+ *
+ * Owns one long-lived gRPC channel per target (pod or ingress host) and
+ * loads the request/response types once, so the TLS handshake and .proto
+ * parsing are paid on the first call instead of on every one.
+ *
+ * Covers the whole PredictionService: Predict, Classify, Regress,
+ * MultiInference and GetModelMetadata, all routed through the model's
+ * ingress custom path.
+ *
+ * Usage:
+ *   const { PredictionClient } = require('./prediction-client');
+ *   const client = new PredictionClient({ target: 'INGRESS' });
+ *   const response = await client.predict({ model: 'BASELINE', serializedExample });
+ *   const { signatureDefs } = await client.getModelMetadata({ model: 'BASELINE' });
+ *   client.close();
+ */
+
+const grpc = require('@grpc/grpc-js');
+const protobuf = require('protobufjs');
+const path = require('path');
+const fs = require('fs');
+const config = require('./config');
+const { tensorToJs, jsToTensor } = require('./tensor');
+const { validateInputs, validateMethod } = require('./signature-validator');
+const { RetryPolicy } = require('./retry-policy');
+const { CircuitBreakerRegistry } = require('./circuit-breaker');
+
+// Same limits the Scylla pipeline clients used for their per-call channels
+const CHANNEL_OPTIONS = {
+  'grpc.max_send_message_length': 100 * 1024 * 1024,
+  'grpc.max_receive_message_length': 100 * 1024 * 1024,
+};
+
+// Request/response types of tensorflow.serving.PredictionService
+const SERVING_TYPES = [
+  'PredictRequest', 'PredictResponse',
+  'ClassificationRequest', 'ClassificationResponse',
+  'RegressionRequest', 'RegressionResponse',
+  'MultiInferenceRequest', 'MultiInferenceResponse',
+  'GetModelMetadataRequest', 'GetModelMetadataResponse',
+  'SignatureDefMap',
+  'GetModelStatusRequest', 'GetModelStatusResponse'
+];
+
+// PredictionService RPC → PredictionClient method
+const PREDICTION_SERVICE_METHODS = Object.freeze({
+  Predict: 'predict',
+  Classify: 'classify',
+  Regress: 'regress',
+  MultiInference: 'multiInference',
+  GetModelMetadata: 'getModelMetadata'
+});
+
+// InferenceTask.method_name values accepted by MultiInference
+const INFERENCE_METHOD_NAMES = Object.freeze({
+  classify: 'tensorflow/serving/classify',
+  regress: 'tensorflow/serving/regress'
+});
+
+// ModelVersionStatus.State values
+const MODEL_STATES = Object.freeze({
+  0: 'UNKNOWN',
+  10: 'START',
+  20: 'LOADING',
+  30: 'AVAILABLE',
+  40: 'UNLOADING',
+  50: 'END'
+});
+
+let servingRoot = null;
+
+/**
+ * Loads the TF Serving proto definitions once per process
+ *
+ * @returns {protobuf.Root} - Root containing tensorflow.serving types
+ */
+function loadServingProto() {
+  if (!servingRoot) {
+    servingRoot = protobuf.loadSync([
+      path.join(__dirname, 'proto/predict.proto'),
+      path.join(__dirname, 'proto/model_service.proto'),
+      path.join(__dirname, 'proto/tensor.proto')
+    ]);
+  }
+  return servingRoot;
+}
+
+/**
+ * Resolves a target into connection settings
+ *
+ * @param {string|Object} target - 'POD', 'INGRESS' or { host, port, useTls, caCertPath }
+ * @returns {{address: string, useTls: boolean, caCertPath: string|null}}
+ */
+function resolveTarget(target = 'INGRESS') {
+  if (target === 'POD') {
+    return {
+      address: config.POD.ENDPOINT,
+      useTls: config.POD.USE_TLS,
+      caCertPath: null
+    };
+  }
+
+  if (target === 'INGRESS') {
+    return {
+      address: `${config.INGRESS.HOST}:${config.INGRESS.PORT}`,
+      useTls: config.INGRESS.USE_TLS,
+      caCertPath: config.INGRESS.CERT_PATH
+    };
+  }
+
+  if (target && typeof target === 'object') {
+    const port = target.port || config.INGRESS.PORT;
+    return {
+      address: target.address || `${target.host}:${port}`,
+      useTls: target.useTls !== undefined ? target.useTls : port === 443,
+      caCertPath: target.caCertPath || null
+    };
+  }
+
+  throw new Error(`Unknown target: ${target}. Use 'POD', 'INGRESS' or { host, port, useTls }`);
+}
+
+/**
+ * Creates channel credentials for a resolved target
+ * Uses the system CA roots only when no certificate path is configured;
+ * a configured path that does not exist is an error, not a silent fallback
+ */
+function createCredentials({ useTls, caCertPath }) {
+  if (!useTls) {
+    return grpc.credentials.createInsecure();
+  }
+
+  if (!caCertPath) {
+    return grpc.credentials.createSsl();
+  }
+
+  if (!fs.existsSync(caCertPath)) {
+    throw new Error(`Certificate file not found: ${caCertPath}. Set caCertPath to null to use the system CA roots.`);
+  }
+  const certContent = fs.readFileSync(caCertPath);
+  if (certContent.length === 0) {
+    throw new Error(`Certificate file is empty: ${caCertPath}. Please provide a valid certificate.`);
+  }
+  return grpc.credentials.createSsl(certContent);
+}
+
+/**
+ * Builds the gRPC method path, prefixed with the ingress custom path if any
+ *
+ * @param {string|null} modelPath - Ingress routing path (e.g., 'ads-dnb-baseline-v1/sparse')
+ * @param {string} service - Service name inside tensorflow.serving
+ * @param {string} method - RPC method name
+ * @returns {string} - e.g. '/ads-dnb-baseline-v1/sparse/tensorflow.serving.PredictionService/Predict'
+ */
+function buildMethodPath(modelPath, service, method) {
+  const fullMethod = `tensorflow.serving.${service}/${method}`;
+  return modelPath ? `/${modelPath}/${fullMethod}` : `/${fullMethod}`;
+}
+
+/**
+ * Splits batched output tensors (first dimension = batch size) into
+ * one prediction object per example
+ *
+ * @param {Object} outputs - PredictResponse.outputs map
+ * @param {number} batchSize - Number of examples sent
+ * @returns {Object[]}
+ */
+function splitBatchOutputs(outputs, batchSize) {
+  const predictions = Array.from({ length: batchSize }, () => ({}));
+
+  for (const [outputName, tensor] of Object.entries(outputs)) {
+    const values = Array.from(tensorToJs(tensor).values);
+    if (values.length % batchSize !== 0) {
+      throw new Error(
+        `Output "${outputName}" has ${values.length} values, not divisible by batch size ${batchSize}`
+      );
+    }
+
+    const perExample = values.length / batchSize;
+    for (let i = 0; i < batchSize; i++) {
+      const slice = values.slice(i * perExample, (i + 1) * perExample);
+      predictions[i][outputName] = perExample === 1 ? slice[0] : slice;
+    }
+  }
+
+  return predictions;
+}
+
+class PredictionClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string|Object} options.target - Default target: 'POD', 'INGRESS' or { host, port, useTls, caCertPath }
+   * @param {number} options.timeout - Default timeout in milliseconds
+   * @param {Object} options.channelOptions - Extra gRPC channel options
+   * @param {boolean} options.validateSignatures - Check inputs against the model's SignatureDef
+   *   before sending (default: config.DEFAULTS.VALIDATE_SIGNATURES)
+   * @param {RetryPolicy|Object|false} options.retry - Retry/hedging policy, its options
+   *   (see retry-policy.js; defaults from config.RETRY) or false to disable retries
+   * @param {Object|false} options.circuitBreaker - Circuit breaker thresholds per model path
+   *   (see circuit-breaker.js; defaults from config.CIRCUIT_BREAKER) or false to disable
+   */
+  constructor(options = {}) {
+    this.target = options.target || 'INGRESS';
+    this.timeout = options.timeout || config.DEFAULTS.TIMEOUT;
+    this.channelOptions = { ...CHANNEL_OPTIONS, ...options.channelOptions };
+    this.validateSignatures = options.validateSignatures !== undefined
+      ? options.validateSignatures
+      : config.DEFAULTS.VALIDATE_SIGNATURES;
+    this.clients = new Map();
+    this.signatureCache = new Map();
+
+    if (options.retry === false) {
+      this.retryPolicy = null;
+    } else {
+      this.retryPolicy = options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry);
+    }
+
+    const breakersEnabled = options.circuitBreaker !== undefined
+      ? options.circuitBreaker !== false
+      : config.CIRCUIT_BREAKER.ENABLED;
+    this.breakers = breakersEnabled ? new CircuitBreakerRegistry(options.circuitBreaker || {}) : null;
+
+    const root = loadServingProto();
+    for (const typeName of SERVING_TYPES) {
+      this[typeName] = root.lookupType(`tensorflow.serving.${typeName}`);
+    }
+    this.Example = root.lookupType('tensorflow.Example');
+  }
+
+  /**
+   * Returns the cached gRPC client for a target, creating the channel on first use
+   *
+   * @param {string|Object} target - Target (defaults to the client's target)
+   * @returns {grpc.Client}
+   */
+  getClient(target = this.target) {
+    const resolved = resolveTarget(target);
+    const key = `${resolved.address}|${resolved.useTls ? resolved.caCertPath || 'tls' : 'insecure'}`;
+
+    let client = this.clients.get(key);
+    if (!client) {
+      client = new grpc.Client(resolved.address, createCredentials(resolved), this.channelOptions);
+      this.clients.set(key, client);
+    }
+    return client;
+  }
+
+  /**
+   * Resolves model name, signature and ingress path for a request
+   * `model` may be a key of config.MODELS (e.g. 'BASELINE') or a model config object
+   * The ingress path is dropped for the POD target, which serves the plain method path
+   */
+  resolveModel(options) {
+    let model = options.model;
+    if (typeof model === 'string') {
+      if (!config.MODELS[model]) {
+        throw new Error(`Unknown model: ${model}. Available: ${Object.keys(config.MODELS).join(', ')}`);
+      }
+      model = config.MODELS[model];
+    }
+    model = model || {};
+
+    const modelName = options.modelName || model.name;
+    if (!modelName) {
+      throw new Error('modelName is required');
+    }
+
+    return {
+      modelName,
+      signatureName: options.signatureName || model.signature || config.DEFAULTS.SIGNATURE,
+      modelPath: options.modelPath !== undefined
+        ? options.modelPath
+        : ((options.target || this.target) === 'POD' ? null : model.path)
+    };
+  }
+
+  /**
+   * Builds a PredictRequest payload with the "examples" (and optional "common") input
+   * N serialized examples become one DT_STRING tensor of shape [N]
+   */
+  buildPredictRequest({ serializedExamples, serializedCommon = null, modelName, signatureName }) {
+    if (!serializedExamples || serializedExamples.length === 0 || serializedExamples.some(e => !e)) {
+      throw new Error('serializedExample is required');
+    }
+
+    const inputs = {
+      'examples': jsToTensor(serializedExamples, { dtype: config.DEFAULTS.DTYPE_STRING })
+    };
+
+    if (serializedCommon) {
+      inputs['common'] = jsToTensor([serializedCommon], { dtype: config.DEFAULTS.DTYPE_STRING });
+    }
+
+    return this.createMessage(this.PredictRequest, {
+      modelSpec: { name: modelName, signatureName },
+      inputs
+    });
+  }
+
+  /**
+   * Verifies a payload against a request type and creates the message
+   */
+  createMessage(Type, payload) {
+    const errMsg = Type.verify(payload);
+    if (errMsg) {
+      throw new Error(`Invalid ${Type.name}: ${errMsg}`);
+    }
+    return Type.create(payload);
+  }
+
+  /**
+   * Builds the Input message used by Classify, Regress and MultiInference
+   * Serialized tf.Examples are decoded so they can be embedded in the ExampleList
+   *
+   * @param {Object} options - Input options
+   * @param {Buffer[]} options.serializedExamples - Serialized tf.Examples (buildExample)
+   * @param {Buffer} options.serializedContext - Optional serialized tf.Example merged into every example
+   * @returns {Object} - Input payload
+   */
+  buildInput({ serializedExamples, serializedContext = null }) {
+    if (!serializedExamples || serializedExamples.length === 0 || serializedExamples.some(e => !e)) {
+      throw new Error('serializedExamples is required');
+    }
+
+    const examples = serializedExamples.map(example => this.Example.decode(example));
+    if (serializedContext) {
+      return {
+        exampleListWithContext: { examples, context: this.Example.decode(serializedContext) }
+      };
+    }
+    return { exampleList: { examples } };
+  }
+
+  /**
+   * Sends a tensorflow.serving RPC through the model's ingress custom path
+   *
+   * Every entry point goes through here, so the retry policy applies to all of
+   * them. `options.retry` overrides the client's policy for one call
+   * (a RetryPolicy, or false for a single attempt).
+   *
+   * The whole retried call runs inside the circuit breaker of the model path
+   * (the target address when there is no path); `options.circuitBreaker: false`
+   * bypasses it.
+   */
+  callService(service, method, modelPath, request, options) {
+    const methodPath = buildMethodPath(modelPath, service, method);
+    const attempt = ({ timeout, signal }) => this.unaryCall({
+      target: options.target,
+      methodPath,
+      requestType: request.$type,
+      responseType: this[`${request.$type.name.replace(/Request$/, '')}Response`],
+      request,
+      timeout,
+      signal
+    });
+
+    const timeout = options.timeout || this.timeout;
+    const policy = options.retry !== undefined ? options.retry : this.retryPolicy;
+    const run = () => (policy ? policy.execute(attempt, { timeout, key: methodPath }) : attempt({ timeout }));
+
+    if (!this.breakers || options.circuitBreaker === false) {
+      return run();
+    }
+    return this.breakers.get(this.breakerKey(modelPath, options.target)).execute(run);
+  }
+
+  /**
+   * Circuit breaker key for a call: the model path, or the target address for direct pod calls
+   */
+  breakerKey(modelPath, target) {
+    return modelPath || resolveTarget(target || this.target).address;
+  }
+
+  /**
+   * Circuit breaker state for a model (CLOSED when breakers are disabled or unused)
+   *
+   * @param {Object} options - Same model/target options as predict()
+   * @returns {{state: string, calls: number, failureRate: number, slowCallRate: number, openUntil: number|null}}
+   */
+  getCircuitState(options) {
+    const { modelPath } = this.resolveModel(options);
+    const key = this.breakerKey(modelPath, options.target);
+    if (!this.breakers || !this.breakers.breakers.has(key)) {
+      return { state: 'CLOSED', calls: 0, failureRate: 0, slowCallRate: 0, openUntil: null };
+    }
+    return this.breakers.get(key).getState();
+  }
+
+  /**
+   * State of every circuit breaker, keyed by model path
+   */
+  getCircuitStates() {
+    return this.breakers ? this.breakers.getStates() : {};
+  }
+
+  /**
+   * Makes a Predict call over the cached channel
+   *
+   * @param {Object} options - Request options
+   * @param {Buffer} options.serializedExample - Serialized SequenceExample or tf.Example
+   * @param {Buffer} options.serializedCommon - Optional serialized common features
+   * @param {string|Object} options.model - config.MODELS key or model config object
+   * @param {string} options.modelName - Model name (overrides `model`)
+   * @param {string} options.signatureName - Signature name (overrides `model`)
+   * @param {string} options.modelPath - Ingress routing path, omit or null for direct pod access
+   * @param {string|Object} options.target - Target (defaults to the client's target)
+   * @param {number} options.timeout - Timeout in milliseconds
+   * @param {boolean} options.validate - Override the client's validateSignatures for this call
+   * @returns {Promise<Object>} - Decoded PredictResponse
+   */
+  async predict(options) {
+    const { modelName, signatureName, modelPath } = this.resolveModel(options);
+    const request = this.buildPredictRequest({
+      serializedExamples: [options.serializedExample],
+      serializedCommon: options.serializedCommon,
+      modelName,
+      signatureName
+    });
+    await this.validateRequest(options, signatureDef => (
+      validateInputs(signatureDef, request.inputs, { modelName, signatureName })
+    ));
+
+    return this.callService('PredictionService', 'Predict', modelPath, request, options);
+  }
+
+  /**
+   * Scores many examples in one Predict call
+   *
+   * All examples go into a single "examples" tensor of shape [N]; each output
+   * tensor is split along its first dimension back into per-example values.
+   *
+   * @param {Object} options - Same options as predict(), with serializedExamples instead of serializedExample
+   * @param {Buffer[]} options.serializedExamples - Serialized examples
+   * @returns {Promise<Object[]>} - One { outputName: value } object per example, in input order;
+   *   outputs with one value per example are scalars, others arrays
+   */
+  async predictBatch(options) {
+    const { serializedExamples } = options;
+    const { modelName, signatureName, modelPath } = this.resolveModel(options);
+    const request = this.buildPredictRequest({
+      serializedExamples,
+      serializedCommon: options.serializedCommon,
+      modelName,
+      signatureName
+    });
+    await this.validateRequest(options, signatureDef => (
+      validateInputs(signatureDef, request.inputs, { modelName, signatureName })
+    ));
+
+    const response = await this.callService('PredictionService', 'Predict', modelPath, request, options);
+
+    return splitBatchOutputs(response.outputs || {}, serializedExamples.length);
+  }
+
+  /**
+   * Makes a Classify call for a classification signature
+   *
+   * @param {Object} options - Same model/target options as predict()
+   * @param {Buffer[]} options.serializedExamples - Serialized tf.Examples (buildExample)
+   * @param {Buffer} options.serializedContext - Optional serialized tf.Example shared by all examples
+   * @returns {Promise<Object>} - Decoded ClassificationResponse;
+   *   result.classifications[i].classes holds { label, score } for example i
+   */
+  async classify(options) {
+    const { modelName, signatureName, modelPath } = this.resolveModel(options);
+    const request = this.createMessage(this.ClassificationRequest, {
+      modelSpec: { name: modelName, signatureName },
+      input: this.buildInput(options)
+    });
+    await this.validateRequest(options, signatureDef => (
+      validateMethod(signatureDef, INFERENCE_METHOD_NAMES.classify, { modelName, signatureName })
+    ));
+
+    return this.callService('PredictionService', 'Classify', modelPath, request, options);
+  }
+
+  /**
+   * Makes a Regress call for a regression signature
+   *
+   * @param {Object} options - Same options as classify()
+   * @returns {Promise<Object>} - Decoded RegressionResponse;
+   *   result.regressions[i].value is the value for example i
+   */
+  async regress(options) {
+    const { modelName, signatureName, modelPath } = this.resolveModel(options);
+    const request = this.createMessage(this.RegressionRequest, {
+      modelSpec: { name: modelName, signatureName },
+      input: this.buildInput(options)
+    });
+    await this.validateRequest(options, signatureDef => (
+      validateMethod(signatureDef, INFERENCE_METHOD_NAMES.regress, { modelName, signatureName })
+    ));
+
+    return this.callService('PredictionService', 'Regress', modelPath, request, options);
+  }
+
+  /**
+   * Runs several classify/regress signatures of one model on the same input
+   *
+   * @param {Object} options - Same options as classify(), plus tasks
+   * @param {Array<{signatureName: string, methodName: string}>} options.tasks - Tasks to run;
+   *   methodName is 'classify', 'regress' or a full 'tensorflow/serving/...' name
+   * @returns {Promise<Object>} - Decoded MultiInferenceResponse, one result per task
+   */
+  async multiInference(options) {
+    const { tasks } = options;
+    if (!tasks || tasks.length === 0) {
+      throw new Error('tasks is required');
+    }
+
+    const { modelName, modelPath } = this.resolveModel(options);
+    const request = this.createMessage(this.MultiInferenceRequest, {
+      tasks: tasks.map(task => {
+        const methodName = INFERENCE_METHOD_NAMES[task.methodName] || task.methodName;
+        if (!Object.values(INFERENCE_METHOD_NAMES).includes(methodName)) {
+          throw new Error(`Unknown methodName: ${task.methodName}. Use 'classify' or 'regress'`);
+        }
+        return {
+          modelSpec: { name: modelName, signatureName: task.signatureName || config.DEFAULTS.SIGNATURE },
+          methodName
+        };
+      }),
+      input: this.buildInput(options)
+    });
+
+    return this.callService('PredictionService', 'MultiInference', modelPath, request, options);
+  }
+
+  /**
+   * Fetches model metadata, unpacking the SignatureDefMap
+   *
+   * @param {Object} options - Same model/target options as predict()
+   * @param {string[]} options.metadataFields - Metadata fields (default: ['signature_def'])
+   * @returns {Promise<{modelSpec: Object, signatureDefs: Object, metadata: Object}>} -
+   *   signatureDefs maps signature name → SignatureDef { inputs, outputs, methodName };
+   *   metadata holds the raw google.protobuf.Any values
+   */
+  async getModelMetadata(options) {
+    const { modelName, modelPath } = this.resolveModel(options);
+    const request = this.createMessage(this.GetModelMetadataRequest, {
+      modelSpec: { name: modelName },
+      metadataField: options.metadataFields || ['signature_def']
+    });
+
+    const response = await this.callService('PredictionService', 'GetModelMetadata', modelPath, request, options);
+    const metadata = response.metadata || {};
+
+    let signatureDefs = {};
+    const packed = metadata['signature_def'];
+    if (packed) {
+      // protobufjs' bundled google/protobuf/any.proto keeps the snake_case field name
+      if (!packed.type_url.endsWith('tensorflow.serving.SignatureDefMap')) {
+        throw new Error(`Unexpected signature_def type: ${packed.type_url}`);
+      }
+      signatureDefs = this.SignatureDefMap.decode(packed.value).signatureDef || {};
+    }
+
+    return { modelSpec: response.modelSpec, signatureDefs, metadata };
+  }
+
+  /**
+   * Returns the SignatureDef a request would use, fetched with GetModelMetadata
+   * once per target/model and cached for the client's lifetime
+   *
+   * A failed lookup is cached for config.DEFAULTS.SIGNATURE_FAILURE_TTL_MS, so requests
+   * during a metadata outage fail fast instead of each sending another GetModelMetadata.
+   *
+   * @param {Object} options - Same model/target options as predict()
+   * @returns {Promise<Object>} - SignatureDef { inputs, outputs, methodName }
+   */
+  async getSignatureDef(options) {
+    const { modelName, signatureName, modelPath } = this.resolveModel(options);
+    const { address } = resolveTarget(options.target || this.target);
+    const key = `${address}|${modelPath || ''}|${modelName}`;
+
+    const cached = this.signatureCache.get(key);
+    if (!cached || cached.expiresAt <= Date.now()) {
+      const entry = { expiresAt: Infinity };
+      entry.pending = this.getModelMetadata({ ...options, metadataFields: undefined })
+        .then(metadata => metadata.signatureDefs);
+      entry.pending.catch(() => {
+        entry.expiresAt = Date.now() + config.DEFAULTS.SIGNATURE_FAILURE_TTL_MS;
+      });
+      this.signatureCache.set(key, entry);
+    }
+
+    const signatureDefs = await this.signatureCache.get(key).pending;
+    const signatureDef = signatureDefs[signatureName];
+    if (!signatureDef) {
+      const available = Object.keys(signatureDefs).join(', ') || 'none';
+      throw new Error(`Signature "${signatureName}" not found for model ${modelName}. Available: ${available}`);
+    }
+    return signatureDef;
+  }
+
+  /**
+   * Runs `check(signatureDef)` when signature validation is enabled
+   * (client option validateSignatures, or `validate` per call)
+   *
+   * If the metadata itself cannot be fetched the request is not sent. The failure is
+   * thrown as a new error naming the model (the cached one is shared by every request
+   * in the TTL), keeping the gRPC code so callers can tell it from a mismatch.
+   */
+  async validateRequest(options, check) {
+    const enabled = options.validate !== undefined ? options.validate : this.validateSignatures;
+    if (!enabled) {
+      return;
+    }
+
+    let signatureDef;
+    try {
+      signatureDef = await this.getSignatureDef(options);
+    } catch (error) {
+      if (error.code === undefined) {
+        throw error;
+      }
+      const { modelName } = this.resolveModel(options);
+      const wrapped = new Error(`Signature validation failed: GetModelMetadata for ${modelName} failed (${error.message})`);
+      wrapped.code = error.code;
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+    check(signatureDef);
+  }
+
+  /**
+   * Asks ModelService for the state of every loaded version of a model
+   *
+   * @param {Object} options - Same model/target options as predict()
+   * @param {number} options.version - Only report this version (default: all versions)
+   * @returns {Promise<Array<{version: number, state: string, errorCode: number, errorMessage: string}>>} -
+   *   state is 'UNKNOWN', 'START', 'LOADING', 'AVAILABLE', 'UNLOADING' or 'END'
+   */
+  async getModelStatus(options) {
+    const { modelName, modelPath } = this.resolveModel(options);
+    const modelSpec = { name: modelName };
+    if (options.version !== undefined) {
+      modelSpec.version = { value: options.version };
+    }
+
+    const request = this.createMessage(this.GetModelStatusRequest, { modelSpec });
+    const response = await this.callService('ModelService', 'GetModelStatus', modelPath, request, options);
+
+    return (response.modelVersionStatus || []).map(status => ({
+      version: Number(status.version),
+      state: MODEL_STATES[status.state] || `UNKNOWN(${status.state})`,
+      errorCode: status.status ? status.status.errorCode : 0,
+      errorMessage: status.status ? status.status.errorMessage : ''
+    }));
+  }
+
+  /**
+   * Polls GetModelStatus until a version of the model is AVAILABLE
+   *
+   * Errors such as UNAVAILABLE (server still starting) or NOT_FOUND (model
+   * not loaded yet) are retried until the timeout expires.
+   *
+   * @param {string|Object} model - config.MODELS key or model config object
+   * @param {Object} options - Options (plus the target/version options of getModelStatus())
+   * @param {number} options.timeout - Total time to wait in milliseconds (default: 30000)
+   * @param {number} options.interval - Delay between polls in milliseconds (default: 1000)
+   * @returns {Promise<Object>} - Status of the AVAILABLE version (highest if several)
+   */
+  async waitForModelReady(model, options = {}) {
+    const { timeout = 30000, interval = 1000 } = options;
+    const deadline = Date.now() + timeout;
+    let lastState = 'no response';
+
+    for (;;) {
+      const remaining = deadline - Date.now();
+      try {
+        const statuses = await this.getModelStatus({
+          ...options,
+          model,
+          timeout: Math.max(1, Math.min(remaining, this.timeout)),
+          retry: false,
+          circuitBreaker: false
+        });
+        const available = statuses
+          .filter(status => status.state === 'AVAILABLE')
+          .sort((a, b) => b.version - a.version);
+        if (available.length > 0) {
+          return available[0];
+        }
+        lastState = statuses.length > 0
+          ? statuses.map(s => `v${s.version} ${s.state}${s.errorMessage ? ` (${s.errorMessage})` : ''}`).join(', ')
+          : 'no versions';
+      } catch (error) {
+        // A poll cut short by the overall deadline says nothing new about the model
+        if (error.code !== grpc.status.DEADLINE_EXCEEDED || lastState === 'no response') {
+          lastState = error.message;
+        }
+      }
+
+      const wait = Math.min(interval, deadline - Date.now());
+      if (wait <= 0) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    const { modelName } = this.resolveModel({ ...options, model });
+    throw new Error(`Model ${modelName} not ready after ${timeout}ms: ${lastState}`);
+  }
+
+  /**
+   * Sends a unary request on the target's channel
+   * Aborting `signal` cancels the call (used to drop losing hedged attempts)
+   */
+  unaryCall({ target, methodPath, requestType, responseType, request, timeout = this.timeout, signal }) {
+    const client = this.getClient(target || this.target);
+
+    return new Promise((resolve, reject) => {
+      const call = client.makeUnaryRequest(
+        methodPath,
+        (value) => requestType.encode(value).finish(),
+        (buffer) => responseType.decode(buffer),
+        request,
+        new grpc.Metadata(),
+        { deadline: Date.now() + timeout },
+        (error, response) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          resolve(response);
+        }
+      );
+
+      if (signal) {
+        signal.addEventListener('abort', () => call.cancel(), { once: true });
+      }
+    });
+  }
+
+  /**
+   * Closes every cached channel
+   * The client stays usable; channels are re-opened lazily on the next call
+   */
+  close() {
+    for (const client of this.clients.values()) {
+      client.close();
+    }
+    this.clients.clear();
+  }
+}
+
+let sharedClient = null;
+
+/**
+ * Returns a process-wide PredictionClient shared by the function-style
+ * entry points (makeIngressRequest, makeInferenceRequest)
+ */
+function getSharedClient() {
+  if (!sharedClient) {
+    sharedClient = new PredictionClient();
+  }
+  return sharedClient;
+}
+
+/**
+ * Waits until a model has an AVAILABLE version, using the shared client
+ *
+ * @param {string|Object} model - config.MODELS key or model config object
+ * @param {Object} options - { timeout, interval, target: 'POD' | 'INGRESS' | {...}, version }
+ * @returns {Promise<Object>} - Status of the AVAILABLE version
+ */
+function waitForModelReady(model, options = {}) {
+  return getSharedClient().waitForModelReady(model, options);
+}
+
+module.exports = {
+  PredictionClient,
+  PREDICTION_SERVICE_METHODS,
+  MODEL_STATES,
+  RetryPolicy,
+  getSharedClient,
+  waitForModelReady,
+  resolveTarget,
+  buildMethodPath,
+  splitBatchOutputs,
+  loadServingProto
+};
@@ -0,0 +1,285 @@
+/**
+ * Retry, Backoff and Hedging Policy for TensorFlow Serving Calls
+ *
+ * Wraps one logical call in up to `maxAttempts` gRPC attempts:
+ * - Retries only on retryable status codes (UNAVAILABLE, DEADLINE_EXCEEDED, ...)
+ * - Exponential backoff with jitter between attempts
+ * - Optional overall deadline budget shared by all attempts and backoffs
+ * - Optional hedging: if an attempt is slower than the recent latency
+ *   percentile for the same method path, a parallel attempt is started and
+ *   the first success wins (the others are cancelled)
+ *
+ * Usage:
+ *   const { RetryPolicy } = require('./retry-policy');
+ *   const policy = new RetryPolicy({ maxAttempts: 3, hedging: { enabled: true } });
+ *   const response = await policy.execute(
+ *     ({ timeout, signal }) => client.unaryCall({ ..., timeout, signal }),
+ *     { timeout: 1000, key: methodPath }
+ *   );
+ */
+
+const grpc = require('@grpc/grpc-js');
+const config = require('./config');
+
+/**
+ * Rolling window of recent successful latencies
+ */
+class LatencyTracker {
+  /**
+   * @param {number} size - Number of latencies kept
+   */
+  constructor(size = config.RETRY.HEDGING.WINDOW) {
+    this.size = size;
+    this.samples = [];
+  }
+
+  /**
+   * Records one latency in milliseconds
+   */
+  record(latencyMs) {
+    this.samples.push(latencyMs);
+    if (this.samples.length > this.size) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Returns the p-th percentile (0-100) of the window, or null when empty
+   */
+  percentile(p) {
+    if (this.samples.length === 0) {
+      return null;
+    }
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+}
+
+/**
+ * Converts status names ('UNAVAILABLE') or numbers to gRPC status codes
+ */
+function toStatusCodes(codes) {
+  return new Set(codes.map(code => {
+    if (typeof code === 'number') {
+      return code;
+    }
+    const value = grpc.status[code];
+    if (value === undefined) {
+      throw new Error(`Unknown gRPC status code: ${code}`);
+    }
+    return value;
+  }));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options (defaults from config.RETRY)
+   * @param {number} options.maxAttempts - Total attempts, hedged attempts included (1 disables retries)
+   * @param {Array<string|number>} options.retryableCodes - gRPC status names or codes worth retrying
+   * @param {number} options.initialBackoffMs - Backoff before the first retry
+   * @param {number} options.maxBackoffMs - Backoff cap
+   * @param {number} options.backoffMultiplier - Growth factor per retry
+   * @param {number} options.jitter - Random spread as a fraction of the backoff (0.2 = ±20%)
+   * @param {number|null} options.budgetMs - Overall deadline across all attempts and backoffs
+   * @param {Object} options.hedging - { enabled, percentile, minSamples, window }
+   */
+  constructor(options = {}) {
+    const defaults = config.RETRY;
+    const hedging = options.hedging || {};
+
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : defaults.MAX_ATTEMPTS;
+    if (!(this.maxAttempts >= 1)) {
+      throw new Error(`maxAttempts must be at least 1, got ${this.maxAttempts}`);
+    }
+    this.retryableCodes = toStatusCodes(options.retryableCodes || defaults.RETRYABLE_CODES);
+    this.initialBackoffMs = options.initialBackoffMs !== undefined ? options.initialBackoffMs : defaults.INITIAL_BACKOFF_MS;
+    this.maxBackoffMs = options.maxBackoffMs !== undefined ? options.maxBackoffMs : defaults.MAX_BACKOFF_MS;
+    this.backoffMultiplier = options.backoffMultiplier || defaults.BACKOFF_MULTIPLIER;
+    this.jitter = options.jitter !== undefined ? options.jitter : defaults.JITTER;
+    this.budgetMs = options.budgetMs !== undefined ? options.budgetMs : defaults.BUDGET_MS;
+    this.hedging = {
+      enabled: hedging.enabled !== undefined ? hedging.enabled : defaults.HEDGING.ENABLED,
+      percentile: hedging.percentile || defaults.HEDGING.PERCENTILE,
+      minSamples: hedging.minSamples !== undefined ? hedging.minSamples : defaults.HEDGING.MIN_SAMPLES,
+      window: hedging.window || defaults.HEDGING.WINDOW
+    };
+
+    this.trackers = new Map();
+  }
+
+  /**
+   * Whether an error should be retried
+   */
+  isRetryable(error) {
+    return Boolean(error) && this.retryableCodes.has(error.code);
+  }
+
+  /**
+   * Backoff before retry number `retry` (0-based), with jitter applied
+   */
+  backoffDelay(retry) {
+    const base = Math.min(this.maxBackoffMs, this.initialBackoffMs * Math.pow(this.backoffMultiplier, retry));
+    const spread = base * this.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + spread));
+  }
+
+  /**
+   * Returns the latency tracker for a method path
+   */
+  getTracker(key) {
+    let tracker = this.trackers.get(key);
+    if (!tracker) {
+      tracker = new LatencyTracker(this.hedging.window);
+      this.trackers.set(key, tracker);
+    }
+    return tracker;
+  }
+
+  /**
+   * Delay after which a hedged attempt is sent, or null if hedging is off
+   * or too few latencies have been observed yet
+   */
+  hedgeDelay(key) {
+    if (!this.hedging.enabled) {
+      return null;
+    }
+    const tracker = this.getTracker(key);
+    if (tracker.samples.length < this.hedging.minSamples) {
+      return null;
+    }
+    return tracker.percentile(this.hedging.percentile);
+  }
+
+  /**
+   * Runs one round: a first attempt plus hedged attempts while it is slow
+   * Resolves with the first success; rejects once every launched attempt failed
+   *
+   * @returns {{promise: Promise, launched: Function}} - launched() = attempts started
+   */
+  runRound(fn, { timeout, key, firstAttempt, maxLaunches }) {
+    const controllers = [];
+    let inFlight = 0;
+    let hedgeTimer = null;
+    let settled = false;
+
+    const promise = new Promise((resolve, reject) => {
+      const finish = (error, result) => {
+        settled = true;
+        clearTimeout(hedgeTimer);
+        controllers.forEach(controller => controller.abort());
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const launch = () => {
+        const controller = new AbortController();
+        const hedge = controllers.length > 0;
+        const startedAt = Date.now();
+        controllers.push(controller);
+        inFlight++;
+
+        Promise.resolve()
+          .then(() => fn({ timeout, signal: controller.signal, attempt: firstAttempt + controllers.length, hedge }))
+          .then(result => {
+            inFlight--;
+            if (settled) {
+              return;
+            }
+            this.getTracker(key).record(Date.now() - startedAt);
+            controllers.splice(controllers.indexOf(controller), 1);
+            finish(null, result);
+          }, error => {
+            inFlight--;
+            if (settled) {
+              return;
+            }
+            // A non-retryable error, or the last attempt failing, ends the round
+            if (!this.isRetryable(error) || inFlight === 0) {
+              finish(error);
+            }
+          });
+
+        const delay = this.hedgeDelay(key);
+        if (delay !== null && controllers.length < maxLaunches) {
+          clearTimeout(hedgeTimer);
+          hedgeTimer = setTimeout(() => {
+            if (!settled) {
+              launch();
+            }
+          }, delay);
+        }
+      };
+
+      launch();
+    });
+
+    return { promise, launched: () => controllers.length };
+  }
+
+  /**
+   * Executes a call under this policy
+   *
+   * @param {Function} fn - ({ timeout, signal, attempt, hedge }) => Promise; must honour
+   *   `timeout` (per-attempt deadline) and should cancel the call when `signal` aborts
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Per-attempt timeout in milliseconds
+   * @param {string} options.key - Latency bucket for hedging, e.g. the gRPC method path
+   * @returns {Promise<*>} - Result of the first successful attempt
+   * @throws {Error} - Last attempt's error, with `attempts` set to the number of attempts made
+   */
+  async execute(fn, { timeout, key = 'default' }) {
+    const budgetEnd = this.budgetMs ? Date.now() + this.budgetMs : Infinity;
+    let attempts = 0;
+    let retry = 0;
+    let lastError = null;
+
+    while (attempts < this.maxAttempts) {
+      const remaining = budgetEnd - Date.now();
+      if (remaining <= 0) {
+        break;
+      }
+
+      const round = this.runRound(fn, {
+        timeout: Math.min(timeout, remaining),
+        key,
+        firstAttempt: attempts,
+        maxLaunches: this.maxAttempts - attempts
+      });
+      try {
+        return await round.promise;
+      } catch (error) {
+        attempts += round.launched();
+        lastError = error;
+      }
+
+      if (!this.isRetryable(lastError) || attempts >= this.maxAttempts) {
+        break;
+      }
+
+      const delay = this.backoffDelay(retry++);
+      if (Date.now() + delay >= budgetEnd) {
+        break;
+      }
+      await sleep(delay);
+    }
+
+    if (!lastError) {
+      lastError = new Error(`Retry budget of ${this.budgetMs}ms exhausted before the first attempt`);
+      lastError.code = grpc.status.DEADLINE_EXCEEDED;
+    }
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  LatencyTracker,
+  toStatusCodes
+};
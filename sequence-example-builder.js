@@ -8,6 +8,9 @@
 
 const protobuf = require('protobufjs');
 const path = require('path');
+const { resolveFeatures, inferFeatureType, inferListType, toFeature } = require('./feature-schema');
+
+let exampleRoot = null;
 
 /**
  * Loads the TensorFlow example.proto definitions
@@ -15,73 +18,176 @@ const path = require('path');
  * NOTE: We use protobufjs for serialization (creating binary data),
  * while @grpc/grpc-js is used for sending the binary via gRPC.
  * The binary format is standardized and compatible between both libraries.
+ *
+ * @param {string} typeName - Message type (default: 'tensorflow.SequenceExample')
+ * @returns {protobuf.Type}
+ */
+function loadExampleProto(typeName = 'tensorflow.SequenceExample') {
+  if (!exampleRoot) {
+    const PROTO_PATH = path.join(__dirname, 'proto/example.proto');
+    // Load with keepCase: false to use camelCase (protobufjs default)
+    exampleRoot = protobuf.loadSync(PROTO_PATH);
+  }
+  return exampleRoot.lookupType(typeName);
+}
+
+/**
+ * Converts { name: [values] } into a Features map, one Feature per key
+ * holding the whole array (used for tf.Example and SequenceExample.context)
+ */
+function buildFeatureMap(resolved) {
+  const featureMap = {};
+  for (const { key, type, values } of resolved) {
+    featureMap[key] = toFeature(type || inferListType(values, key), values, key);
+  }
+  return featureMap;
+}
+
+/**
+ * Sorts map keys by their UTF-8 bytes, the order C++ protobuf uses for
+ * string map keys when serializing deterministically
+ */
+function sortMapKeys(map) {
+  return Object.keys(map).sort((a, b) => Buffer.compare(Buffer.from(a, 'utf-8'), Buffer.from(b, 'utf-8')));
+}
+
+/**
+ * Writes a map<string, Message> field with entries in sorted key order
+ *
+ * protobufjs writes map entries in Object.keys() order, which is insertion
+ * order except that integer-like keys ("1", "10") always come first, so the
+ * entries are written by hand here.
+ */
+function writeSortedMap(writer, map, ValueType) {
+  for (const key of sortMapKeys(map || {})) {
+    writer.uint32(10).fork().uint32(10).string(key);
+    ValueType.encode(map[key], writer.uint32(18).fork()).ldelim();
+    writer.ldelim();
+  }
+}
+
+/**
+ * Encodes an Example or SequenceExample message deterministically
+ * (equivalent to Python's SerializeToString(deterministic=True))
+ *
+ * @param {string} typeName - 'tensorflow.SequenceExample' or 'tensorflow.Example'
+ * @param {Object} message - Message object (as passed to Type.create)
+ * @returns {Buffer}
+ */
+function encodeDeterministic(typeName, message) {
+  const Feature = loadExampleProto('tensorflow.Feature');
+  const FeatureList = loadExampleProto('tensorflow.FeatureList');
+  const writer = protobuf.Writer.create();
+
+  if (typeName === 'tensorflow.Example') {
+    if (message.features) {
+      writeSortedMap(writer.uint32(10).fork(), message.features.feature, Feature);
+      writer.ldelim();
+    }
+  } else if (typeName === 'tensorflow.SequenceExample') {
+    if (message.context) {
+      writeSortedMap(writer.uint32(10).fork(), message.context.feature, Feature);
+      writer.ldelim();
+    }
+    if (message.featureLists) {
+      writeSortedMap(writer.uint32(18).fork(), message.featureLists.featureList, FeatureList);
+      writer.ldelim();
+    }
+  } else {
+    throw new Error(`Deterministic encoding not supported for ${typeName}`);
+  }
+
+  return Buffer.from(writer.finish());
+}
+
+/**
+ * Re-encodes serialized Example/SequenceExample bytes deterministically
+ *
+ * Two serializations of the same content (e.g. Python output with
+ * hash-ordered maps and Node output) canonicalize to identical bytes.
+ *
+ * @param {Buffer} buffer - Serialized message
+ * @param {string} typeName - Message type (default: 'tensorflow.SequenceExample')
+ * @returns {Buffer}
  */
-function loadExampleProto() {
-  const PROTO_PATH = path.join(__dirname, 'proto/example.proto');
-  // Load with keepCase: false to use camelCase (protobufjs default)
-  const root = protobuf.loadSync(PROTO_PATH);
-  return root.lookupType('tensorflow.SequenceExample');
+function canonicalize(buffer, typeName = 'tensorflow.SequenceExample') {
+  const Type = loadExampleProto(typeName);
+  return encodeDeterministic(typeName, Type.decode(buffer));
+}
+
+/**
+ * Checks whether input uses the { context, featureLists } form
+ * (feature values are always arrays, so plain objects here are sections)
+ */
+function isStructuredInput(data) {
+  const keys = Object.keys(data);
+  return keys.length > 0 && keys.every(key =>
+    (key === 'context' || key === 'featureLists') &&
+    data[key] !== null &&
+    typeof data[key] === 'object' &&
+    !Array.isArray(data[key])
+  );
 }
 
 /**
  * Builds a SequenceExample from feature_lists data
  *
- * @param {Object} featureListsData - Object with feature lists
+ * @param {Object} data - Object with feature lists, or { context, featureLists }
+ * @param {Object} options - Encoding options
+ * @param {Object} options.schema - Feature schema (name → { type, required, default });
+ *   without one, types are inferred from the JS values
+ * @param {boolean} options.strict - Reject features not declared in the schema
+ * @param {boolean} options.deterministic - Sort map entries by key like Python's
+ *   SerializeToString(deterministic=True); same content always gives the same bytes
  * @returns {Buffer} - Serialized binary protocol buffer
  *
- * Example input:
+ * Example input (feature_lists only):
  * {
  *   "ad_type": ["SC_CPCV_1"],
  *   "adsuuid": ["0532afbb-3c85-4776-b5c6-d908a47c1441"],
  *   "ageRange": ["18-24"],
  *   ...
  * }
+ *
+ * Example input (context + feature_lists):
+ * {
+ *   "context": { "userid": ["749603295"], "ageRange": ["18-24"] },
+ *   "featureLists": { "ad_type": ["SC_CPCV_1", "SC_OUTSTREAM"] }
+ * }
+ *
+ * Each featureLists value becomes one Feature per array element (one per
+ * timestep); each context value becomes a single Feature holding the whole array.
  */
-function buildSequenceExample(featureListsData) {
+function buildSequenceExample(data, options = {}) {
   const SequenceExample = loadExampleProto();
+  const { context = {}, featureLists = {} } = isStructuredInput(data)
+    ? data
+    : { featureLists: data };
 
-  // Convert feature_lists data to protobuf structure
+  for (const key of Object.keys(context)) {
+    if (featureLists[key] !== undefined) {
+      throw new Error(`Feature "${key}" appears in both context and featureLists`);
+    }
+  }
+
+  // Convert data to protobuf structure
   // NOTE: protobufjs uses camelCase by default (featureLists, bytesList, etc.)
   // Structure: SequenceExample.featureLists.featureList[key] = FeatureList
+  //            SequenceExample.context.feature[key] = Feature
+  // Schema defaults for missing features are added to featureLists
+  const resolved = resolveFeatures({ ...context, ...featureLists }, options.schema, options);
+  const contextMap = buildFeatureMap(resolved.filter(({ key }) => context[key] !== undefined));
   const featureListMap = {};
 
-  for (const [key, values] of Object.entries(featureListsData)) {
-    // Each value array becomes a FeatureList
-    const features = values.map(value => {
-      // Determine the type of feature
-      if (typeof value === 'string') {
-        // BytesList for string values (use camelCase: bytesList)
-        return {
-          bytesList: {
-            value: [Buffer.from(value, 'utf-8')]
-          }
-        };
-      } else if (typeof value === 'number') {
-        // Check if it's a float or int
-        if (Number.isInteger(value)) {
-          return {
-            int64List: {
-              value: [value]
-            }
-          };
-        } else {
-          return {
-            floatList: {
-              value: [value]
-            }
-          };
-        }
-      } else if (Buffer.isBuffer(value)) {
-        // Already a buffer
-        return {
-          bytesList: {
-            value: [value]
-          }
-        };
-      } else {
-        throw new Error(`Unsupported value type for key "${key}": ${typeof value}`);
-      }
-    });
+  for (const { key, type, values } of resolved) {
+    if (context[key] !== undefined) {
+      continue;
+    }
+
+    // Each value array becomes a FeatureList; declared types win over inference
+    const features = values.map(value =>
+      toFeature(type || inferFeatureType(value, key), [value], key)
+    );
 
     featureListMap[key] = {
       feature: features
@@ -89,18 +195,56 @@ function buildSequenceExample(featureListsData) {
   }
 
   // Create the SequenceExample message with proper structure
-  // SequenceExample has a FeatureLists message which contains the map
-  const sequenceExample = SequenceExample.create({
+  // Context is omitted when empty, matching Python's serialization
+  const message = {
     featureLists: {
       featureList: featureListMap
     }
-  });
+  };
+  if (Object.keys(contextMap).length > 0) {
+    message.context = { feature: contextMap };
+  }
+
+  if (options.deterministic) {
+    return encodeDeterministic('tensorflow.SequenceExample', message);
+  }
+
+  const sequenceExample = SequenceExample.create(message);
 
   // Encode to binary (equivalent to SerializeToString())
   const buffer = SequenceExample.encode(sequenceExample).finish();
   return buffer;
 }
 
+/**
+ * Builds a plain tf.Example for models that take serialized Examples
+ * instead of SequenceExamples
+ *
+ * @param {Object} features - Feature name → array of values
+ * @param {Object} options - Same options as buildSequenceExample (schema, strict, deterministic)
+ * @returns {Buffer} - Serialized binary protocol buffer
+ *
+ * Example input:
+ * {
+ *   "ad_type": ["SC_CPCV_1"],
+ *   "floor_price": [5.0]
+ * }
+ */
+function buildExample(features, options = {}) {
+  const Example = loadExampleProto('tensorflow.Example');
+  const resolved = resolveFeatures(features, options.schema, options);
+
+  const message = {
+    features: { feature: buildFeatureMap(resolved) }
+  };
+
+  if (options.deterministic) {
+    return encodeDeterministic('tensorflow.Example', message);
+  }
+
+  return Example.encode(Example.create(message)).finish();
+}
+
 /**
  * Converts serialized buffer to hex string
  * (equivalent to Python's .hex() method)
@@ -165,12 +309,18 @@ function exampleUsage() {
   console.log(expectedHex);
   console.log('');
 
-  // Note: Order might differ due to map iteration, but content should be the same
+  // The Python hex was serialized without deterministic=True, so its map order
+  // is arbitrary; compare both sides in canonical (sorted-key) form instead
   if (hexString === expectedHex) {
     console.log('✅ Perfect match with Python output!');
   } else {
-    console.log('⚠️  Hex differs (this is normal - protobuf map field ordering may vary)');
-    console.log('   Both representations are valid and will deserialize identically');
+    const deterministic = buildSequenceExample(featureListsData, { deterministic: true });
+    const pythonCanonical = canonicalize(Buffer.from(expectedHex, 'hex'));
+    if (deterministic.equals(pythonCanonical)) {
+      console.log('✅ Byte-identical to Python after deterministic (sorted-key) encoding');
+    } else {
+      console.log('❌ Content differs from Python output');
+    }
   }
 
   return serialized;
@@ -179,6 +329,8 @@ function exampleUsage() {
 // Export functions for use in other modules
 module.exports = {
   buildSequenceExample,
+  buildExample,
+  canonicalize,
   toHex,
   loadExampleProto
 };
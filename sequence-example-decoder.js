@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * SequenceExample Decoder and Pretty-Printer
+ *
+ * Inverse of sequence-example-builder.js: turns serialized bytes (Buffer,
+ * hex or base64) back into typed JSON, so a hex string captured from
+ * Python or from a production log can be inspected feature by feature.
+ *
+ * Usage:
+ *   node sequence-example-decoder.js <hex|base64|file>   # pretty-print
+ *   node sequence-example-decoder.js --json <hex>        # typed JSON
+ *   node sequence-example-decoder.js --example <hex>     # decode as tf.Example
+ *   echo <hex> | node sequence-example-decoder.js        # read from stdin
+ *
+ * To compare two serialized examples, see sequence-example-diff.js.
+ */
+
+const fs = require('fs');
+const { loadExampleProto } = require('./sequence-example-builder');
+
+const HEX_PATTERN = /^[0-9a-fA-F]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Normalizes a Buffer, Uint8Array, hex string or base64 string into a Buffer
+ *
+ * Strings made only of hex digits (even length) are treated as hex,
+ * anything else as base64.
+ *
+ * @param {Buffer|Uint8Array|string} input - Serialized example
+ * @returns {Buffer}
+ */
+function toBuffer(input) {
+  if (Buffer.isBuffer(input)) {
+    return input;
+  }
+  if (input instanceof Uint8Array) {
+    return Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+  }
+  if (typeof input === 'string') {
+    const text = input.trim().replace(/^0x/, '');
+    if (text.length % 2 === 0 && HEX_PATTERN.test(text)) {
+      return Buffer.from(text, 'hex');
+    }
+    return Buffer.from(text, 'base64');
+  }
+  throw new Error(`Unsupported input type: ${typeof input}. Expected Buffer, hex or base64 string`);
+}
+
+/**
+ * Converts a bytes value to a UTF-8 string, or { hex } when it is not valid UTF-8
+ */
+function decodeBytesValue(bytes) {
+  const buffer = Buffer.from(bytes);
+  const text = buffer.toString('utf-8');
+  if (Buffer.from(text, 'utf-8').equals(buffer)) {
+    return text;
+  }
+  return { hex: buffer.toString('hex') };
+}
+
+/**
+ * Converts an int64 value (number or Long) to a number, or a string when unsafe
+ */
+function decodeInt64Value(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const asString = value.toString();
+  const asNumber = Number(asString);
+  return Number.isSafeInteger(asNumber) ? asNumber : asString;
+}
+
+/**
+ * Converts a decoded Feature message to { type, value }
+ *
+ * @param {Object} feature - protobufjs Feature message
+ * @returns {{type: string, value: Array}} - type is 'bytes', 'float', 'int64' or 'empty'
+ */
+function decodeFeature(feature) {
+  if (feature.bytesList) {
+    return { type: 'bytes', value: feature.bytesList.value.map(decodeBytesValue) };
+  }
+  if (feature.floatList) {
+    return { type: 'float', value: feature.floatList.value.slice() };
+  }
+  if (feature.int64List) {
+    return { type: 'int64', value: feature.int64List.value.map(decodeInt64Value) };
+  }
+  return { type: 'empty', value: [] };
+}
+
+/**
+ * Converts a decoded Features map (context) to { name: { type, value } }
+ */
+function decodeFeatures(features) {
+  const result = {};
+  if (features && features.feature) {
+    for (const [key, feature] of Object.entries(features.feature)) {
+      result[key] = decodeFeature(feature);
+    }
+  }
+  return result;
+}
+
+/**
+ * Decodes a serialized SequenceExample into typed JSON
+ *
+ * Keys keep the order in which they appear on the wire.
+ *
+ * @param {Buffer|Uint8Array|string} input - Serialized bytes, hex or base64
+ * @returns {{context: Object, featureLists: Object}}
+ *
+ * Example output:
+ * {
+ *   "context": {},
+ *   "featureLists": {
+ *     "ad_type": [{ "type": "bytes", "value": ["SC_CPCV_1"] }],
+ *     "floor_price": [{ "type": "float", "value": [5] }]
+ *   }
+ * }
+ */
+function decodeSequenceExample(input) {
+  const SequenceExample = loadExampleProto();
+  const message = SequenceExample.decode(toBuffer(input));
+
+  const featureLists = {};
+  if (message.featureLists && message.featureLists.featureList) {
+    for (const [key, featureList] of Object.entries(message.featureLists.featureList)) {
+      featureLists[key] = (featureList.feature || []).map(decodeFeature);
+    }
+  }
+
+  return {
+    context: decodeFeatures(message.context),
+    featureLists
+  };
+}
+
+/**
+ * Decodes a serialized tf.Example into typed JSON
+ *
+ * @param {Buffer|Uint8Array|string} input - Serialized bytes, hex or base64
+ * @returns {{features: Object}} - { features: { name: { type, value } } }
+ */
+function decodeExample(input) {
+  const Example = loadExampleProto('tensorflow.Example');
+  const message = Example.decode(toBuffer(input));
+  return { features: decodeFeatures(message.features) };
+}
+
+/**
+ * Formats one decoded feature's values for display
+ */
+function formatValues({ type, value }) {
+  if (type === 'bytes') {
+    return JSON.stringify(value);
+  }
+  return `[${value.join(', ')}]`;
+}
+
+/**
+ * Renders a { name: { type, value } } map (context or tf.Example features)
+ */
+function formatFeatureMap(title, features, width) {
+  const keys = Object.keys(features);
+  const lines = [`${title} (${keys.length}):`];
+  if (keys.length === 0) {
+    lines.push('  (none)');
+  }
+  for (const key of keys) {
+    const feature = features[key];
+    lines.push(`  ${key.padEnd(width)}  ${feature.type.padEnd(5)}  ${formatValues(feature)}`);
+  }
+  return lines;
+}
+
+/**
+ * Renders a decoded SequenceExample as a human-readable table
+ *
+ * @param {{context: Object, featureLists: Object}} decoded - Output of decodeSequenceExample
+ * @returns {string}
+ */
+function formatSequenceExample(decoded) {
+  const contextKeys = Object.keys(decoded.context);
+  const listKeys = Object.keys(decoded.featureLists);
+  const width = Math.max(10, ...contextKeys.map(k => k.length), ...listKeys.map(k => k.length));
+  const lines = formatFeatureMap('Context', decoded.context, width);
+
+  lines.push('');
+  lines.push(`Feature lists (${listKeys.length}):`);
+  if (listKeys.length === 0) {
+    lines.push('  (none)');
+  }
+  for (const key of listKeys) {
+    const features = decoded.featureLists[key];
+    const types = [...new Set(features.map(f => f.type))].join('|') || 'empty';
+    const values = features.map(formatValues).join(' ');
+    lines.push(`  ${key.padEnd(width)}  ${types.padEnd(5)}  ${values}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders a decoded tf.Example as a human-readable table
+ *
+ * @param {{features: Object}} decoded - Output of decodeExample
+ * @returns {string}
+ */
+function formatExample(decoded) {
+  const width = Math.max(10, ...Object.keys(decoded.features).map(k => k.length));
+  return formatFeatureMap('Features', decoded.features, width).join('\n');
+}
+
+/**
+ * Checks whether a CLI argument that is not an existing file is hex or padded base64
+ */
+function isEncodedArgument(arg) {
+  const text = arg.trim().replace(/^0x/, '');
+  return (text.length % 2 === 0 && HEX_PATTERN.test(text)) ||
+    (text.length % 4 === 0 && BASE64_PATTERN.test(text));
+}
+
+/**
+ * Reads CLI input: an argument (hex, base64 or file path) or stdin
+ * File and stdin content holding hex/base64 text is decoded; anything else is raw bytes
+ *
+ * @throws {Error} - code 'ENOENT' when the argument is neither an existing file nor hex/base64
+ */
+function readInput(arg) {
+  if (arg !== undefined && arg !== '-' && !fs.existsSync(arg)) {
+    if (!isEncodedArgument(arg)) {
+      const error = new Error(`File not found: ${arg} (and not a hex or base64 string)`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return arg;
+  }
+
+  const content = fs.readFileSync(arg === undefined || arg === '-' ? 0 : arg);
+  const text = content.toString('utf-8').trim();
+  return /^[0-9a-zA-Z+/=\s]+$/.test(text) ? text.replace(/\s+/g, '') : content;
+}
+
+// Run CLI if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const asExample = args.includes('--example');
+  const positional = args.filter(a => !a.startsWith('--'));
+
+  try {
+    const input = readInput(positional[0]);
+    const buffer = toBuffer(input);
+    const decoded = asExample ? decodeExample(buffer) : decodeSequenceExample(buffer);
+
+    if (asJson) {
+      console.log(JSON.stringify(decoded, null, 2));
+    } else if (asExample) {
+      console.log(`📦 tf.Example (${buffer.length} bytes)\n`);
+      console.log(formatExample(decoded));
+    } else {
+      console.log(`📦 SequenceExample (${buffer.length} bytes)\n`);
+      console.log(formatSequenceExample(decoded));
+    }
+  } catch (error) {
+    console.error('❌ Failed to decode:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  decodeSequenceExample,
+  decodeExample,
+  decodeFeature,
+  formatSequenceExample,
+  formatExample,
+  readInput,
+  toBuffer
+};
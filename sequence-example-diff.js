@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * Structural Diff of Two SequenceExamples
+ *
+ * Decodes both sides (see sequence-example-decoder.js) and compares them
+ * feature by feature instead of byte by byte, so map ordering does not matter
+ * and a divergence is reported as the feature that differs:
+ *
+ * - missing: feature only on the expected side
+ * - extra:   feature only on the actual side
+ * - type:    bytes vs float vs int64 (e.g. a count encoded as float)
+ * - steps:   feature lists with a different number of timesteps
+ * - length:  a feature (or step) with a different number of values
+ * - value:   a value that differs
+ *
+ * Usage:
+ *   const { diffSequenceExamples, formatDiff } = require('./sequence-example-diff');
+ *   const differences = diffSequenceExamples(pythonHex, nodeBuffer);
+ *   console.log(formatDiff(differences, { expected: 'Python', actual: 'Node' }));
+ *
+ * CLI (exit code 0 when the features match, 1 when they differ, 2 on errors):
+ *   node sequence-example-diff.js <hex|base64|file> <hex|base64|file>
+ *   node sequence-example-diff.js python.hex - < node.hex      # one side from stdin
+ *   node sequence-example-diff.js a.hex b.hex --labels Python,Node --tolerance 1e-6
+ *   node sequence-example-diff.js a.hex b.hex --json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { canonicalize } = require('./sequence-example-builder');
+const { decodeSequenceExample, toBuffer, readInput } = require('./sequence-example-decoder');
+
+const DIFF_KINDS = Object.freeze({
+  MISSING: 'missing',
+  EXTRA: 'extra',
+  TYPE: 'type',
+  STEPS: 'steps',
+  LENGTH: 'length',
+  VALUE: 'value'
+});
+
+/**
+ * Accepts an already decoded example or anything decodeSequenceExample() takes
+ */
+function toDecoded(input) {
+  if (input && typeof input === 'object' && input.featureLists && input.context) {
+    return input;
+  }
+  return decodeSequenceExample(input);
+}
+
+/**
+ * Compares two decoded values; floats within the tolerance count as equal
+ */
+function valuesEqual(type, expected, actual, tolerance) {
+  if (type === 'float' && typeof expected === 'number' && typeof actual === 'number') {
+    return expected === actual || Math.abs(expected - actual) <= tolerance;
+  }
+  if (typeof expected === 'object' || typeof actual === 'object') {
+    return JSON.stringify(expected) === JSON.stringify(actual);
+  }
+  return expected === actual;
+}
+
+/**
+ * Compares one feature ({ type, value }) and appends its differences
+ */
+function diffFeature(differences, location, expected, actual, tolerance) {
+  if (expected.type !== actual.type) {
+    differences.push({ kind: DIFF_KINDS.TYPE, ...location, expected: expected.type, actual: actual.type });
+    return;
+  }
+  if (expected.value.length !== actual.value.length) {
+    differences.push({ kind: DIFF_KINDS.LENGTH, ...location, expected: expected.value, actual: actual.value });
+    return;
+  }
+  expected.value.forEach((value, index) => {
+    if (!valuesEqual(expected.type, value, actual.value[index], tolerance)) {
+      differences.push({ kind: DIFF_KINDS.VALUE, ...location, index, expected: value, actual: actual.value[index] });
+    }
+  });
+}
+
+/**
+ * Reports features present on only one side of a section
+ */
+function diffKeys(differences, section, expected, actual) {
+  for (const feature of Object.keys(expected)) {
+    if (!(feature in actual)) {
+      differences.push({ kind: DIFF_KINDS.MISSING, section, feature, expected: expected[feature], actual: null });
+    }
+  }
+  for (const feature of Object.keys(actual)) {
+    if (!(feature in expected)) {
+      differences.push({ kind: DIFF_KINDS.EXTRA, section, feature, expected: null, actual: actual[feature] });
+    }
+  }
+}
+
+/**
+ * Diffs two SequenceExamples feature by feature
+ *
+ * @param {Buffer|string|Object} expected - Serialized bytes, hex, base64 or decodeSequenceExample() output
+ * @param {Buffer|string|Object} actual - Same forms as expected
+ * @param {Object} options - Options
+ * @param {number} options.tolerance - Largest float difference treated as equal (default: 0, exact)
+ * @returns {Object[]} - Differences { kind, section, feature, step, index, expected, actual },
+ *   sorted by section and feature; empty when the examples match
+ */
+function diffSequenceExamples(expected, actual, { tolerance = 0 } = {}) {
+  const left = toDecoded(expected);
+  const right = toDecoded(actual);
+  const differences = [];
+
+  diffKeys(differences, 'context', left.context, right.context);
+  for (const feature of Object.keys(left.context)) {
+    if (feature in right.context) {
+      diffFeature(differences, { section: 'context', feature, step: null }, left.context[feature], right.context[feature], tolerance);
+    }
+  }
+
+  diffKeys(differences, 'featureLists', left.featureLists, right.featureLists);
+  for (const feature of Object.keys(left.featureLists)) {
+    if (!(feature in right.featureLists)) {
+      continue;
+    }
+    const expectedSteps = left.featureLists[feature];
+    const actualSteps = right.featureLists[feature];
+    if (expectedSteps.length !== actualSteps.length) {
+      differences.push({
+        kind: DIFF_KINDS.STEPS, section: 'featureLists', feature, step: null,
+        expected: expectedSteps.length, actual: actualSteps.length
+      });
+      continue;
+    }
+    expectedSteps.forEach((step, index) => {
+      diffFeature(differences, { section: 'featureLists', feature, step: index }, step, actualSteps[index], tolerance);
+    });
+  }
+
+  return differences.sort((a, b) => a.section.localeCompare(b.section) || a.feature.localeCompare(b.feature));
+}
+
+/**
+ * Renders a feature's values compactly
+ */
+function formatValue(value) {
+  if (value && typeof value === 'object' && 'type' in value && 'value' in value) {
+    return `${value.type} ${JSON.stringify(value.value)}`;
+  }
+  if (Array.isArray(value) && value.every(step => step && typeof step === 'object' && 'type' in step)) {
+    return `${value.length} step(s) ${JSON.stringify(value.map(step => step.value))}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Renders differences as one line each
+ *
+ * @param {Object[]} differences - Output of diffSequenceExamples
+ * @param {Object} labels - { expected, actual } side names (default: 'expected' / 'actual')
+ * @returns {string}
+ */
+function formatDiff(differences, { expected = 'expected', actual = 'actual' } = {}) {
+  if (differences.length === 0) {
+    return '✅ No differences';
+  }
+
+  return differences.map(diff => {
+    const where = `${diff.section === 'context' ? 'context.' : ''}${diff.feature}` +
+      `${diff.step !== null && diff.step !== undefined ? ` step ${diff.step}` : ''}` +
+      `${diff.index !== undefined ? ` [${diff.index}]` : ''}`;
+
+    switch (diff.kind) {
+      case DIFF_KINDS.MISSING:
+        return `- ${where}: only in ${expected} (${formatValue(diff.expected)})`;
+      case DIFF_KINDS.EXTRA:
+        return `+ ${where}: only in ${actual} (${formatValue(diff.actual)})`;
+      case DIFF_KINDS.TYPE:
+        return `~ ${where}: type ${diff.expected} in ${expected}, ${diff.actual} in ${actual}`;
+      case DIFF_KINDS.STEPS:
+        return `~ ${where}: ${diff.expected} step(s) in ${expected}, ${diff.actual} in ${actual}`;
+      case DIFF_KINDS.LENGTH:
+        return `~ ${where}: ${diff.expected.length} value(s) ${JSON.stringify(diff.expected)} in ${expected}, ` +
+          `${diff.actual.length} ${JSON.stringify(diff.actual)} in ${actual}`;
+      default:
+        return `~ ${where}: ${JSON.stringify(diff.expected)} in ${expected}, ${JSON.stringify(diff.actual)} in ${actual}`;
+    }
+  }).join('\n');
+}
+
+/**
+ * Compares two serialized SequenceExamples at both the byte and feature level
+ *
+ * @param {Buffer|string} expected - Serialized bytes, hex or base64
+ * @param {Buffer|string} actual - Same forms as expected
+ * @param {Object} options - Options passed to diffSequenceExamples
+ * @returns {{identical: boolean, canonicalMatch: boolean, differences: Object[],
+ *   expectedBytes: Buffer, actualBytes: Buffer}} - identical: same bytes as given;
+ *   canonicalMatch: same bytes once map keys are sorted
+ */
+function compareSerialized(expected, actual, options = {}) {
+  const expectedBytes = toBuffer(expected);
+  const actualBytes = toBuffer(actual);
+
+  return {
+    identical: expectedBytes.equals(actualBytes),
+    canonicalMatch: canonicalize(expectedBytes).equals(canonicalize(actualBytes)),
+    differences: diffSequenceExamples(expectedBytes, actualBytes, options),
+    expectedBytes,
+    actualBytes
+  };
+}
+
+/**
+ * One-line summary of how the bytes relate
+ */
+function describeBytes({ identical, canonicalMatch, differences }) {
+  if (identical) {
+    return 'bytes identical';
+  }
+  if (canonicalMatch) {
+    return 'bytes identical after sorting map keys';
+  }
+  if (differences.length === 0) {
+    return 'features match but bytes differ (e.g. packed vs unpacked values)';
+  }
+  return 'bytes differ';
+}
+
+// Run CLI if executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const flagValues = [valueOf('--labels'), valueOf('--tolerance')];
+  const positional = args.filter(arg => (arg === '-' || !arg.startsWith('--')) && !flagValues.includes(arg));
+
+  if (positional.length !== 2) {
+    console.error('Usage: node sequence-example-diff.js <expected> <actual> [--labels A,B] [--tolerance N] [--json]');
+    console.error('  Each side is hex, base64, a file holding either (or raw bytes), or - for stdin (one side only)');
+    process.exit(2);
+  }
+  if (positional[0] === '-' && positional[1] === '-') {
+    console.error('❌ Only one side can be read from stdin (-)');
+    process.exit(2);
+  }
+
+  const toleranceArg = valueOf('--tolerance');
+  const tolerance = toleranceArg !== undefined && toleranceArg.trim() !== '' ? Number(toleranceArg) : NaN;
+  if (args.includes('--tolerance') && !(Number.isFinite(tolerance) && tolerance >= 0)) {
+    console.error(`❌ --tolerance must be a non-negative number, got ${toleranceArg === undefined ? 'nothing' : `"${toleranceArg}"`}`);
+    process.exit(2);
+  }
+
+  // Files are labelled by name unless --labels is given
+  const [expectedLabel, actualLabel] = valueOf('--labels')
+    ? valueOf('--labels').split(',')
+    : positional.map((arg, i) => (arg !== '-' && fs.existsSync(arg) ? path.basename(arg) : ['expected', 'actual'][i]));
+  const labels = { expected: expectedLabel, actual: actualLabel };
+
+  try {
+    const result = compareSerialized(readInput(positional[0]), readInput(positional[1]), {
+      tolerance: args.includes('--tolerance') ? tolerance : 0
+    });
+
+    if (args.includes('--json')) {
+      const { expectedBytes, actualBytes, ...rest } = result;
+      console.log(JSON.stringify({
+        labels,
+        bytes: { expected: expectedBytes.length, actual: actualBytes.length },
+        ...rest
+      }, null, 2));
+    } else {
+      console.log(`📦 ${labels.expected}: ${result.expectedBytes.length} bytes, ` +
+        `${labels.actual}: ${result.actualBytes.length} bytes (${describeBytes(result)})\n`);
+      console.log(formatDiff(result.differences, labels));
+      if (result.differences.length > 0) {
+        console.log(`\n❌ ${result.differences.length} difference(s)`);
+      }
+    }
+
+    process.exit(result.differences.length === 0 ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Failed to diff:', error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = {
+  diffSequenceExamples,
+  compareSerialized,
+  formatDiff,
+  DIFF_KINDS
+};
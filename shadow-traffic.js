@@ -0,0 +1,272 @@
+/**
+ * Shadow Traffic: Mirror Requests to Candidate Variants
+ *
+ * Serves every request from the primary variant (BASELINE) and mirrors the
+ * same serialized example to one or more candidates (CONSERVATIVE,
+ * AGGRESSIVE) in the background. The caller only ever waits on the primary:
+ * mirrors are sent after it, are never retried, and their errors are
+ * recorded rather than thrown. When the in-flight limit is reached, mirrors
+ * are dropped instead of queued.
+ *
+ * Each request produces one record holding the primary and shadow outcomes,
+ * emitted as a 'record' event, kept in memory and optionally appended to a
+ * JSONL file for offline agreement analysis.
+ *
+ * Both primary and shadow calls go through makeIngressRequest, so they use
+ * the same ingress routing (host, TLS, custom model paths) as client-ingress.js.
+ *
+ * Usage:
+ *   const { ShadowTraffic } = require('./shadow-traffic');
+ *   const shadow = new ShadowTraffic({ candidates: ['AGGRESSIVE'], output: 'shadow.jsonl' });
+ *   const { predictions } = await shadow.predict({ serializedExample, requestId });
+ *   await shadow.flush();  // before exit: wait for mirrors still in flight
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('./config');
+const { makeIngressRequest } = require('./client-ingress');
+const { outputsToValues } = require('./tensor');
+
+/**
+ * Checks that a variant is a config.MODELS key
+ */
+function modelFor(variant) {
+  const model = config.MODELS[variant];
+  if (!model) {
+    throw new Error(`Unknown variant: ${variant}. Available: ${Object.keys(config.MODELS).join(', ')}`);
+  }
+  return model;
+}
+
+class ShadowTraffic extends EventEmitter {
+  /**
+   * @param {Object} options - Shadow options (defaults from config.SHADOW)
+   * @param {string} options.primary - Variant that answers requests
+   * @param {string[]} options.candidates - Variants that receive mirrored requests
+   * @param {number} options.sampleRate - Fraction (0-1) of requests mirrored
+   * @param {number} options.timeout - Timeout for shadow calls in milliseconds
+   * @param {number} options.maxInFlight - Shadow calls allowed at once
+   * @param {number} options.maxRecords - Records kept in memory
+   * @param {string} options.output - JSONL file records are appended to
+   * @param {Object} options.ingress - { host, port, caCertPath } (default: config.INGRESS)
+   * @param {Function} options.request - Call used for both sides (default: makeIngressRequest)
+   */
+  constructor(options = {}) {
+    super();
+    const defaults = config.SHADOW;
+    const ingress = options.ingress || {};
+
+    this.primary = options.primary || defaults.PRIMARY;
+    this.candidates = options.candidates || defaults.CANDIDATES;
+    this.sampleRate = options.sampleRate !== undefined ? options.sampleRate : defaults.SAMPLE_RATE;
+    this.timeout = options.timeout || defaults.TIMEOUT;
+    this.maxInFlight = options.maxInFlight || defaults.MAX_IN_FLIGHT;
+    this.maxRecords = options.maxRecords || defaults.MAX_RECORDS;
+    this.ingress = {
+      host: ingress.host || config.INGRESS.HOST,
+      port: ingress.port || config.INGRESS.PORT,
+      caCertPath: ingress.caCertPath || config.INGRESS.CERT_PATH
+    };
+    this.request = options.request || makeIngressRequest;
+    this.output = options.output ? fs.createWriteStream(options.output, { flags: 'a' }) : null;
+
+    [this.primary, ...this.candidates].forEach(modelFor);
+    if (this.candidates.includes(this.primary)) {
+      throw new Error(`Primary variant ${this.primary} cannot also be a shadow candidate`);
+    }
+
+    this.records = [];
+    this.pending = new Set();
+    this.inFlight = 0;
+    this.stats = { requests: 0, mirrored: 0, dropped: 0, shadowErrors: 0 };
+  }
+
+  /**
+   * makeIngressRequest options for a variant
+   */
+  requestOptions(variant, options) {
+    const model = modelFor(variant);
+    return {
+      serializedExample: options.serializedExample,
+      serializedCommon: options.serializedCommon,
+      modelName: model.name,
+      signatureName: model.signature,
+      modelPath: model.path,
+      ingressHost: this.ingress.host,
+      port: this.ingress.port,
+      caCertPath: this.ingress.caCertPath,
+      quiet: true
+    };
+  }
+
+  /**
+   * Calls one variant and describes the outcome; never rejects
+   */
+  async callVariant(variant, requestOptions) {
+    const startedAt = Date.now();
+    const outcome = { variant, modelName: modelFor(variant).name };
+    try {
+      const response = await this.request(requestOptions);
+      outcome.predictions = outputsToValues(response.outputs);
+      outcome.error = null;
+    } catch (error) {
+      outcome.predictions = null;
+      outcome.error = { code: error.code !== undefined ? error.code : null, message: error.message };
+    }
+    outcome.latencyMs = Date.now() - startedAt;
+    return outcome;
+  }
+
+  /**
+   * Scores one example with the primary variant and mirrors it to the candidates
+   * Latency and errors are the primary's alone
+   *
+   * @param {Object} options - Request options
+   * @param {Buffer} options.serializedExample - Serialized SequenceExample
+   * @param {Buffer} options.serializedCommon - Optional serialized common features
+   * @param {number} options.timeout - Primary timeout (default: config.DEFAULTS.TIMEOUT)
+   * @param {string} options.requestId - Joins the record to logs (default: random UUID)
+   * @returns {Promise<{variant: string, modelName: string, requestId: string, predictions: Object}>}
+   * @throws {Error} - The primary's error, unchanged
+   */
+  async predict(options) {
+    const requestId = options.requestId || crypto.randomUUID();
+    const startedAt = Date.now();
+    this.stats.requests++;
+
+    // Decide and start mirroring before awaiting the primary, but send the
+    // shadow calls on the next turn so the primary goes out first
+    const mirrored = this.candidates.filter(() => Math.random() < this.sampleRate);
+    const shadows = mirrored.map(variant => this.mirror(variant, options));
+
+    const primaryOutcome = this.request({
+      ...this.requestOptions(this.primary, options),
+      timeout: options.timeout || config.DEFAULTS.TIMEOUT
+    }).then(
+      response => ({ response, latencyMs: Date.now() - startedAt }),
+      error => ({ error, latencyMs: Date.now() - startedAt })
+    );
+
+    if (shadows.length > 0) {
+      this.track(this.collect(requestId, startedAt, primaryOutcome, shadows));
+    }
+
+    const { response, error } = await primaryOutcome;
+    if (error) {
+      throw error;
+    }
+    return {
+      variant: this.primary,
+      modelName: modelFor(this.primary).name,
+      requestId,
+      predictions: outputsToValues(response.outputs)
+    };
+  }
+
+  /**
+   * Sends one shadow call on the next turn of the event loop
+   *
+   * @returns {Promise<Object>|null} - Outcome, or null if dropped
+   */
+  mirror(variant, options) {
+    if (this.inFlight >= this.maxInFlight) {
+      this.stats.dropped++;
+      return null;
+    }
+    this.inFlight++;
+    this.stats.mirrored++;
+
+    return new Promise(resolve => setImmediate(resolve))
+      .then(() => this.callVariant(variant, { ...this.requestOptions(variant, options), timeout: this.timeout, retry: false }))
+      .then(outcome => {
+        this.inFlight--;
+        if (outcome.error) {
+          this.stats.shadowErrors++;
+        }
+        return outcome;
+      });
+  }
+
+  /**
+   * Waits for every side of one request and stores the record
+   */
+  async collect(requestId, startedAt, primaryOutcome, shadows) {
+    const [{ response, error, latencyMs }, ...outcomes] = await Promise.all([primaryOutcome, ...shadows]);
+
+    const record = {
+      requestId,
+      timestamp: new Date(startedAt).toISOString(),
+      primary: {
+        variant: this.primary,
+        modelName: modelFor(this.primary).name,
+        predictions: response ? outputsToValues(response.outputs) : null,
+        error: error ? { code: error.code !== undefined ? error.code : null, message: error.message } : null,
+        latencyMs
+      },
+      shadows: outcomes.filter(Boolean),
+      dropped: outcomes.filter(outcome => !outcome).length
+    };
+
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) {
+      this.records.shift();
+    }
+    if (this.output) {
+      this.output.write(`${JSON.stringify(record)}\n`);
+    }
+    this.emit('record', record);
+  }
+
+  /**
+   * Keeps a background promise until it settles; a failing listener or
+   * write never surfaces as an unhandled rejection
+   */
+  track(promise) {
+    const tracked = promise.catch(error => {
+      console.warn('⚠️  Shadow record failed:', error.message);
+    }).then(() => this.pending.delete(tracked));
+    this.pending.add(tracked);
+  }
+
+  /**
+   * Waits for all mirrors in flight and their records
+   */
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+
+  /**
+   * Returns and clears the records kept in memory
+   */
+  drain() {
+    const records = this.records;
+    this.records = [];
+    return records;
+  }
+
+  /**
+   * Counters: requests, mirrored, dropped, shadowErrors, plus current inFlight
+   */
+  getStats() {
+    return { ...this.stats, inFlight: this.inFlight };
+  }
+
+  /**
+   * Flushes pending records and closes the JSONL output
+   */
+  async close() {
+    await this.flush();
+    if (this.output) {
+      await new Promise(resolve => this.output.end(resolve));
+      this.output = null;
+    }
+  }
+}
+
+module.exports = {
+  ShadowTraffic
+};
@@ -0,0 +1,135 @@
+/**
+ * Signature-Aware Request Validation
+ *
+ * Checks outgoing request inputs against the model's SignatureDef (as
+ * returned by GetModelMetadata) so a wrong input name, dtype or rank fails
+ * locally with a message naming the input, instead of coming back from
+ * TF Serving as a bare INVALID_ARGUMENT.
+ *
+ * Usage:
+ *   const { validateInputs } = require('./signature-validator');
+ *   validateInputs(signatureDef, predictRequest.inputs, { modelName, signatureName });
+ */
+
+const { dtypeName } = require('./tensor');
+
+/**
+ * Reads the dims of a TensorShapeProto (null when the rank is unknown)
+ * Unknown dimensions are -1
+ */
+function shapeDims(shapeProto) {
+  if (!shapeProto || shapeProto.unknownRank) {
+    return null;
+  }
+  return (shapeProto.dim || []).map(dim => Number(dim.size));
+}
+
+/**
+ * Formats a TensorShapeProto for messages, e.g. "[-1, 14]" or "[?]"
+ *
+ * @param {Object} shapeProto - TensorShapeProto
+ * @returns {string}
+ */
+function describeShape(shapeProto) {
+  const dims = shapeDims(shapeProto);
+  return dims ? `[${dims.join(', ')}]` : '[?]';
+}
+
+/**
+ * Compares one input tensor with its TensorInfo
+ *
+ * @returns {string[]} - Mismatch descriptions (empty when the input matches)
+ */
+function compareTensor(name, tensor, info) {
+  const problems = [];
+
+  if (info.dtype && tensor.dtype !== info.dtype) {
+    problems.push(`input "${name}" has dtype ${dtypeName(tensor.dtype)}, expected ${dtypeName(info.dtype)}`);
+  }
+
+  const expected = shapeDims(info.tensorShape);
+  const actual = shapeDims(tensor.tensorShape);
+  if (expected && actual) {
+    if (expected.length !== actual.length) {
+      problems.push(
+        `input "${name}" has rank ${actual.length} ${describeShape(tensor.tensorShape)}, ` +
+        `expected rank ${expected.length} ${describeShape(info.tensorShape)}`
+      );
+    } else if (expected.some((size, i) => size >= 0 && size !== actual[i])) {
+      problems.push(
+        `input "${name}" has shape ${describeShape(tensor.tensorShape)}, expected ${describeShape(info.tensorShape)}`
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Builds the error thrown for a signature mismatch
+ * `mismatches` lists every problem found, not just the first
+ */
+function mismatchError(problems, { modelName, signatureName }) {
+  const error = new Error(
+    `Request does not match signature "${signatureName}" of ${modelName}: ${problems.join('; ')}`
+  );
+  error.mismatches = problems;
+  return error;
+}
+
+/**
+ * Validates Predict inputs against a SignatureDef
+ *
+ * Every signature input must be present, no unknown inputs may be sent,
+ * and each tensor's dtype and rank (and any fixed dimension) must match.
+ *
+ * @param {Object} signatureDef - SignatureDef { inputs, outputs, methodName }
+ * @param {Object} inputs - PredictRequest.inputs map (name → TensorProto)
+ * @param {Object} context - { modelName, signatureName } for the error message
+ * @throws {Error} - Names every mismatched input; `error.mismatches` holds the list
+ */
+function validateInputs(signatureDef, inputs, context) {
+  const expectedInputs = signatureDef.inputs || {};
+  const expectedNames = Object.keys(expectedInputs);
+  const problems = [];
+
+  for (const [name, tensor] of Object.entries(inputs)) {
+    const info = expectedInputs[name];
+    if (!info) {
+      problems.push(`unexpected input "${name}" (signature inputs: ${expectedNames.join(', ') || 'none'})`);
+      continue;
+    }
+    problems.push(...compareTensor(name, tensor, info));
+  }
+
+  for (const name of expectedNames) {
+    if (!inputs[name]) {
+      const info = expectedInputs[name];
+      problems.push(`missing input "${name}" (${dtypeName(info.dtype)} ${describeShape(info.tensorShape)})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw mismatchError(problems, context);
+  }
+}
+
+/**
+ * Validates that a signature serves the given API method
+ * e.g. Classify needs a signature with method_name "tensorflow/serving/classify"
+ *
+ * @param {Object} signatureDef - SignatureDef { inputs, outputs, methodName }
+ * @param {string} methodName - Expected method name
+ * @param {Object} context - { modelName, signatureName } for the error message
+ */
+function validateMethod(signatureDef, methodName, context) {
+  if (signatureDef.methodName && signatureDef.methodName !== methodName) {
+    throw mismatchError([`signature method is ${signatureDef.methodName}, expected ${methodName}`], context);
+  }
+}
+
+module.exports = {
+  validateInputs,
+  validateMethod,
+  describeShape
+};
@@ -4,67 +4,43 @@
  *
  * Streamlined version that combines Scylla DB queries with TensorFlow Serving inference
  * in a single, easy-to-use interface.
+ *
+ * Feature rows come from a feature store (feature-store.js): Scylla by default,
+ * or an InMemoryFeatureStore seeded from fixtures to run the pipeline locally.
  */
 
-const cassandra = require('cassandra-driver');
-const grpc = require('@grpc/grpc-js');
-const protobuf = require('protobufjs');
-const path = require('path');
-const fs = require('fs');
 const config = require('./config');
+const { createFeatureStore } = require('./feature-store');
+const { PredictionClient } = require('./prediction-client');
 const { buildSequenceExample } = require('./sequence-example-builder');
+const { tensorToValue } = require('./tensor');
 
 class SimpleInferenceClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {Object} options.scyllaConfig - Cluster settings for the default Scylla store
+   * @param {FeatureStore} options.featureStore - Feature row source (default: createFeatureStore())
+   * @param {Object} options.modelConfig - config.MODELS entry (default: BASELINE)
+   * @param {PredictionClient} options.predictionClient - Client used for Predict (default: INGRESS)
+   * @param {boolean} options.verbose - Log lookups
+   */
   constructor(options = {}) {
     this.scyllaConfig = options.scyllaConfig || config.SCYLLA;
     this.modelConfig = options.modelConfig || config.MODELS.BASELINE;
     this.verbose = options.verbose || false;
 
-    this.scyllaClient = null;
-    this.grpcClient = null;
-    this.preparedQuery = null;
+    this.featureStore = options.featureStore || createFeatureStore({ scyllaConfig: this.scyllaConfig });
+    this.predictionClient = options.predictionClient || new PredictionClient({ target: 'INGRESS' });
   }
 
   /**
-   * Initialize connections to Scylla and load protobuf definitions
+   * Connect the feature store (the gRPC channel is opened lazily on first predict)
    */
   async initialize() {
-    // Connect to Scylla
-    const authProvider = new cassandra.auth.PlainTextAuthProvider(
-      this.scyllaConfig.CREDENTIALS.username,
-      this.scyllaConfig.CREDENTIALS.password
-    );
-
-    this.scyllaClient = new cassandra.Client({
-      contactPoints: this.scyllaConfig.CONTACT_POINTS,
-      localDataCenter: this.scyllaConfig.LOCAL_DC,
-      authProvider,
-      protocolOptions: { port: this.scyllaConfig.PORT },
-      socketOptions: {
-        connectTimeout: this.scyllaConfig.CONNECTION_TIMEOUT,
-        readTimeout: this.scyllaConfig.REQUEST_TIMEOUT
-      }
-    });
-
-    await this.scyllaClient.connect();
-
-    // Prepare query for ARS feature store format
-    // Key format: userid|ad_type|sourceApp
-    // Feature set: dnb_historical_features
-    this.preparedQuery = await this.scyllaClient.prepare(`
-      SELECT featuresetid, featureversionid, value
-      FROM ars_feature_store.ars_user_features_v2
-      WHERE id = ? AND featuresetid = 'dnb_historical_features'
-    `);
-
-    // Load protobuf definitions
-    this.proto = protobuf.loadSync([
-      path.join(__dirname, 'proto/predict.proto'),
-      path.join(__dirname, 'proto/tensor.proto')
-    ]);
+    await this.featureStore.connect();
 
     if (this.verbose) {
-      console.log('✓ Initialized Scylla connection and protobuf definitions');
+      console.log(`✓ Initialized ${this.featureStore.constructor.name}`);
     }
   }
 
@@ -76,13 +52,10 @@ class SimpleInferenceClient {
     // Build composite key: userid|ad_type|sourceApp
     const compositeKey = `${userid}|${adType}|${sourceApp}`;
 
-    const result = await this.scyllaClient.execute(
-      this.preparedQuery,
-      [compositeKey],
-      { prepare: true }
-    );
+    // Feature set: dnb_historical_features
+    const row = await this.featureStore.getRow(compositeKey, config.FEATURE_STORE.HISTORICAL_FEATURE_SET);
 
-    if (result.rows.length === 0) {
+    if (!row) {
       if (this.verbose) {
         console.log(`  No features found for key: ${compositeKey}`);
       }
@@ -92,7 +65,6 @@ class SimpleInferenceClient {
 
     // Parse colon-separated features
     // Format: requests_1d:responses_1d:floor_sum_1d:...
-    const row = result.rows[0];
     const valueStr = String(row.value || '');
     const features = valueStr.split(':').map(v => parseFloat(v) || 0.0);
 
@@ -111,8 +83,8 @@ class SimpleInferenceClient {
    */
   _parseFeatures(features) {
     return {
-      requests_1_day: features[0] || 0,
-      responses_1_day: features[1] || 0,
+      requests_1_day: Math.round(features[0] || 0),
+      responses_1_day: Math.round(features[1] || 0),
       floor_price_sum_1_day: features[2] || 0.0,
       floor_price_max_1_day: features[3] || 0.0,
       winning_bid_sum_1_day: features[4] || 0.0,
@@ -120,8 +92,8 @@ class SimpleInferenceClient {
       winrate_1_day: features[6] || 0.0,
       floor_price_avg_1_day: features[7] || 0.0,
       winning_bid_avg_1_day: features[8] || 0.0,
-      requests_7_day: features[9] || 0,
-      responses_7_day: features[10] || 0,
+      requests_7_day: Math.round(features[9] || 0),
+      responses_7_day: Math.round(features[10] || 0),
       floor_price_sum_7_day: features[11] || 0.0,
       floor_price_max_7_day: features[12] || 0.0,
       winning_bid_sum_7_day: features[13] || 0.0,
@@ -170,40 +142,40 @@ class SimpleInferenceClient {
     // Fetch historical features from Scylla
     const historicalFeatures = await this.getHistoricalFeatures(userid, adType, sourceApp);
 
-    // Combine features - convert all numeric features to strings for TF
+    // Combine features - numeric values are encoded with the dtypes declared in config.FEATURES.SCHEMA
     const features = {
       userid: [userid],
       ad_type: [adType],
       sourceApp: [sourceApp],
 
       // 1-day historical features
-      requests_1_day: [historicalFeatures.requests_1_day.toString()],
-      responses_1_day: [historicalFeatures.responses_1_day.toString()],
-      floor_price_sum_1_day: [historicalFeatures.floor_price_sum_1_day.toString()],
-      floor_price_max_1_day: [historicalFeatures.floor_price_max_1_day.toString()],
-      winning_bid_sum_1_day: [historicalFeatures.winning_bid_sum_1_day.toString()],
-      winning_bid_max_1_day: [historicalFeatures.winning_bid_max_1_day.toString()],
-      winrate_1_day: [historicalFeatures.winrate_1_day.toString()],
-      floor_price_avg_1_day: [historicalFeatures.floor_price_avg_1_day.toString()],
-      winning_bid_avg_1_day: [historicalFeatures.winning_bid_avg_1_day.toString()],
+      requests_1_day: [historicalFeatures.requests_1_day],
+      responses_1_day: [historicalFeatures.responses_1_day],
+      floor_price_sum_1_day: [historicalFeatures.floor_price_sum_1_day],
+      floor_price_max_1_day: [historicalFeatures.floor_price_max_1_day],
+      winning_bid_sum_1_day: [historicalFeatures.winning_bid_sum_1_day],
+      winning_bid_max_1_day: [historicalFeatures.winning_bid_max_1_day],
+      winrate_1_day: [historicalFeatures.winrate_1_day],
+      floor_price_avg_1_day: [historicalFeatures.floor_price_avg_1_day],
+      winning_bid_avg_1_day: [historicalFeatures.winning_bid_avg_1_day],
 
       // 7-day historical features
-      requests_7_day: [historicalFeatures.requests_7_day.toString()],
-      responses_7_day: [historicalFeatures.responses_7_day.toString()],
-      floor_price_sum_7_day: [historicalFeatures.floor_price_sum_7_day.toString()],
-      floor_price_max_7_day: [historicalFeatures.floor_price_max_7_day.toString()],
-      winning_bid_sum_7_day: [historicalFeatures.winning_bid_sum_7_day.toString()],
-      winning_bid_max_7_day: [historicalFeatures.winning_bid_max_7_day.toString()],
-      winrate_7_day: [historicalFeatures.winrate_7_day.toString()],
-      floor_price_avg_7_day: [historicalFeatures.floor_price_avg_7_day.toString()],
-      winning_bid_avg_7_day: [historicalFeatures.winning_bid_avg_7_day.toString()],
+      requests_7_day: [historicalFeatures.requests_7_day],
+      responses_7_day: [historicalFeatures.responses_7_day],
+      floor_price_sum_7_day: [historicalFeatures.floor_price_sum_7_day],
+      floor_price_max_7_day: [historicalFeatures.floor_price_max_7_day],
+      winning_bid_sum_7_day: [historicalFeatures.winning_bid_sum_7_day],
+      winning_bid_max_7_day: [historicalFeatures.winning_bid_max_7_day],
+      winrate_7_day: [historicalFeatures.winrate_7_day],
+      floor_price_avg_7_day: [historicalFeatures.floor_price_avg_7_day],
+      winning_bid_avg_7_day: [historicalFeatures.winning_bid_avg_7_day],
 
       // Real-time features
       ...realtimeFeatures
     };
 
     // Build SequenceExample
-    const serializedExample = buildSequenceExample(features);
+    const serializedExample = buildSequenceExample(features, { schema: config.FEATURES.SCHEMA });
 
     // Make inference
     const response = await this._makeGrpcRequest(serializedExample);
@@ -237,71 +209,10 @@ class SimpleInferenceClient {
    * Internal method to make gRPC request
    */
   async _makeGrpcRequest(serializedExample) {
-    // Setup TLS credentials
-    let credentials;
-    const caCertPath = config.INGRESS.CERT_PATH;
-
-    if (fs.existsSync(caCertPath)) {
-      credentials = grpc.credentials.createSsl(fs.readFileSync(caCertPath));
-    } else {
-      credentials = grpc.credentials.createSsl();
-    }
-
-    // Create client
-    const target = `${config.INGRESS.HOST}:${config.INGRESS.PORT}`;
-    const client = new grpc.Client(target, credentials, {
-      'grpc.max_send_message_length': 100 * 1024 * 1024,
-      'grpc.max_receive_message_length': 100 * 1024 * 1024,
-    });
-
-    // Build request
-    const PredictRequest = this.proto.lookupType('tensorflow.serving.PredictRequest');
-    const PredictResponse = this.proto.lookupType('tensorflow.serving.PredictResponse');
-
-    const request = {
-      model_spec: {
-        name: this.modelConfig.name,
-        signature_name: this.modelConfig.signature || config.DEFAULTS.SIGNATURE
-      },
-      inputs: {
-        examples: {
-          dtype: config.DEFAULTS.DTYPE_STRING,
-          tensor_shape: { dim: [{ size: 1 }] },
-          string_val: [serializedExample]
-        }
-      }
-    };
-
-    const requestBuffer = PredictRequest.encode(request).finish();
-    const methodPath = `/${this.modelConfig.path}/tensorflow.serving.PredictionService/Predict`;
-
-    // Make request
-    return new Promise((resolve, reject) => {
-      const deadline = new Date();
-      deadline.setSeconds(deadline.getSeconds() + 2);
-
-      client.makeUnaryRequest(
-        methodPath,
-        (arg) => arg,
-        (arg) => arg,
-        requestBuffer,
-        null,
-        { deadline },
-        (error, responseBuffer) => {
-          client.close();
-
-          if (error) {
-            reject(error);
-            return;
-          }
-
-          try {
-            resolve(PredictResponse.decode(responseBuffer));
-          } catch (decodeError) {
-            reject(decodeError);
-          }
-        }
-      );
+    return this.predictionClient.predict({
+      serializedExample,
+      model: this.modelConfig,
+      timeout: 2000
     });
   }
 
@@ -311,9 +222,7 @@ class SimpleInferenceClient {
   _extractPredictions(response) {
     const predictions = {};
     for (const [outputName, tensor] of Object.entries(response.outputs)) {
-      if (tensor.float_val && tensor.float_val.length > 0) {
-        predictions[outputName] = tensor.float_val[0];
-      }
+      predictions[outputName] = tensorToValue(tensor);
     }
     return predictions;
   }
@@ -322,9 +231,8 @@ class SimpleInferenceClient {
    * Close all connections
    */
   async close() {
-    if (this.scyllaClient) {
-      await this.scyllaClient.shutdown();
-    }
+    await this.featureStore.close();
+    this.predictionClient.close();
     if (this.verbose) {
       console.log('✓ Connections closed');
     }
@@ -0,0 +1,457 @@
+/**
+ * TensorProto ↔ JS Conversion Utilities
+ *
+ * Converts any tensorflow.TensorProto (see proto/tensor.proto) into a flat
+ * typed array plus its shape, decoding packed `tensor_content` as well as
+ * the per-type `*_val` fields, and builds TensorProto payloads from JS
+ * values for request inputs.
+ *
+ * Usage:
+ *   const { tensorToJs, tensorToValue, jsToTensor } = require('./tensor');
+ *
+ *   const { dtype, shape, values } = tensorToJs(response.outputs.fill_probability);
+ *   const value = tensorToValue(response.outputs.fill_probability); // 0.17 or nested array
+ *   const input = jsToTensor([[1, 2], [3, 4]], { dtype: 'DT_FLOAT' });
+ */
+
+// tensorflow/core/framework/types.proto
+const DATA_TYPES = Object.freeze({
+  DT_FLOAT: 1,
+  DT_DOUBLE: 2,
+  DT_INT32: 3,
+  DT_UINT8: 4,
+  DT_INT16: 5,
+  DT_INT8: 6,
+  DT_STRING: 7,
+  DT_COMPLEX64: 8,
+  DT_INT64: 9,
+  DT_BOOL: 10,
+  DT_BFLOAT16: 14,
+  DT_UINT16: 17,
+  DT_COMPLEX128: 18,
+  DT_HALF: 19,
+  DT_UINT32: 22,
+  DT_UINT64: 23
+});
+
+// Where each dtype lives in a TensorProto and how tensor_content is laid out
+// `parts` is 2 for complex types, stored as interleaved (real, imag) pairs
+const DTYPE_SPECS = {
+  [DATA_TYPES.DT_FLOAT]: { field: 'floatVal', ArrayType: Float32Array },
+  [DATA_TYPES.DT_DOUBLE]: { field: 'doubleVal', ArrayType: Float64Array },
+  [DATA_TYPES.DT_INT32]: { field: 'intVal', ArrayType: Int32Array },
+  [DATA_TYPES.DT_UINT8]: { field: 'intVal', ArrayType: Uint8Array },
+  [DATA_TYPES.DT_INT16]: { field: 'intVal', ArrayType: Int16Array },
+  [DATA_TYPES.DT_INT8]: { field: 'intVal', ArrayType: Int8Array },
+  [DATA_TYPES.DT_UINT16]: { field: 'intVal', ArrayType: Uint16Array },
+  [DATA_TYPES.DT_STRING]: { field: 'stringVal', ArrayType: null },
+  [DATA_TYPES.DT_COMPLEX64]: { field: 'scomplexVal', ArrayType: Float32Array, parts: 2 },
+  [DATA_TYPES.DT_COMPLEX128]: { field: 'dcomplexVal', ArrayType: Float64Array, parts: 2 },
+  [DATA_TYPES.DT_INT64]: { field: 'int64Val', ArrayType: BigInt64Array },
+  [DATA_TYPES.DT_UINT64]: { field: 'uint64Val', ArrayType: BigUint64Array },
+  [DATA_TYPES.DT_UINT32]: { field: 'uint32Val', ArrayType: Uint32Array },
+  [DATA_TYPES.DT_BOOL]: { field: 'boolVal', ArrayType: Uint8Array },
+  [DATA_TYPES.DT_HALF]: { field: 'halfVal', ArrayType: Uint16Array },
+  [DATA_TYPES.DT_BFLOAT16]: { field: 'halfVal', ArrayType: Uint16Array }
+};
+
+const float32 = new Float32Array(1);
+const uint32 = new Uint32Array(float32.buffer);
+
+/**
+ * Converts IEEE 754 half-precision bits to a number
+ */
+function halfToFloat(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (fraction / 1024);
+  }
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Converts a number to IEEE 754 half-precision bits (round half up)
+ */
+function floatToHalf(value) {
+  float32[0] = value;
+  const bits = uint32[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  let mantissa = bits & 0x7fffff;
+
+  if (((bits >>> 23) & 0xff) === 0xff) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  if (exponent >= 0x1f) {
+    return sign | 0x7c00;
+  }
+  if (exponent <= 0) {
+    if (exponent < -10) {
+      return sign;
+    }
+    mantissa = (mantissa | 0x800000) >> (1 - exponent);
+    return sign | ((mantissa + 0x1000) >> 13);
+  }
+  // Carry from rounding correctly rolls over into the exponent
+  return (sign | (exponent << 10) | (mantissa >> 13)) + ((mantissa >> 12) & 1);
+}
+
+/**
+ * Converts bfloat16 bits (upper half of a float32) to a number
+ */
+function bfloat16ToFloat(bits) {
+  uint32[0] = bits << 16;
+  return float32[0];
+}
+
+/**
+ * Converts a number to bfloat16 bits (round to nearest even)
+ */
+function floatToBfloat16(value) {
+  float32[0] = value;
+  const bits = uint32[0];
+  if (Number.isNaN(value)) {
+    return 0x7fc0;
+  }
+  return ((bits + 0x7fff + ((bits >>> 16) & 1)) >>> 16) & 0xffff;
+}
+
+/**
+ * Resolves a dtype given as number, 'DT_FLOAT' or 'float'
+ */
+function resolveDtype(dtype) {
+  if (typeof dtype === 'number') {
+    if (!DTYPE_SPECS[dtype]) {
+      throw new Error(`Unsupported dtype: ${dtype}`);
+    }
+    return dtype;
+  }
+  const name = String(dtype).toUpperCase();
+  const value = DATA_TYPES[name.startsWith('DT_') ? name : `DT_${name}`];
+  if (!value) {
+    throw new Error(`Unknown dtype: ${dtype}. Valid: ${Object.keys(DATA_TYPES).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Returns the dtype name for a numeric dtype (e.g. 1 → 'DT_FLOAT')
+ */
+function dtypeName(dtype) {
+  return Object.keys(DATA_TYPES).find(name => DATA_TYPES[name] === dtype) || `DT_UNKNOWN(${dtype})`;
+}
+
+/**
+ * Reads the shape of a TensorProto (null when rank is unknown)
+ */
+function tensorShape(tensor) {
+  const shapeProto = tensor.tensorShape;
+  if (!shapeProto) {
+    return [];
+  }
+  if (shapeProto.unknownRank) {
+    return null;
+  }
+  return (shapeProto.dim || []).map(dim => Number(dim.size));
+}
+
+/**
+ * Number of elements for a shape (null if any dimension is unknown)
+ */
+function numElements(shape) {
+  if (!shape || shape.some(size => size < 0)) {
+    return null;
+  }
+  return shape.reduce((product, size) => product * size, 1);
+}
+
+/**
+ * Converts an int64/uint64 value (Long, BigInt, number or string) to a number or BigInt
+ */
+function toInteger(value, bigint) {
+  if (bigint) {
+    return BigInt(typeof value === 'object' && value !== null ? value.toString() : value);
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  return Number(value.toString());
+}
+
+/**
+ * Post-processes raw stored values into their JS representation
+ */
+function convertValues(dtype, raw, bigint) {
+  switch (dtype) {
+    case DATA_TYPES.DT_HALF:
+      return Float32Array.from(raw, halfToFloat);
+    case DATA_TYPES.DT_BFLOAT16:
+      return Float32Array.from(raw, bfloat16ToFloat);
+    case DATA_TYPES.DT_BOOL:
+      return Array.from(raw, Boolean);
+    case DATA_TYPES.DT_STRING:
+      return Array.from(raw, value => Buffer.from(value));
+    case DATA_TYPES.DT_INT64:
+      return bigint ? BigInt64Array.from(raw, v => toInteger(v, true)) : Array.from(raw, v => toInteger(v, false));
+    case DATA_TYPES.DT_UINT64:
+      return bigint ? BigUint64Array.from(raw, v => toInteger(v, true)) : Array.from(raw, v => toInteger(v, false));
+    default:
+      return DTYPE_SPECS[dtype].ArrayType.from(raw);
+  }
+}
+
+/**
+ * Converts a TensorProto into { dtype, shape, values }
+ *
+ * `values` is flat in row-major order: a typed array for numeric types
+ * (Float32Array for half/bfloat16), an Array of numbers for int64/uint64
+ * (BigInt typed arrays with `bigint: true`), booleans for DT_BOOL and
+ * Buffers for DT_STRING. Complex values are interleaved (real, imag) pairs
+ * and `shape` gets a trailing dimension of 2.
+ *
+ * As in TensorFlow, a `*_val` field shorter than the element count is
+ * padded by repeating its last value.
+ *
+ * @param {Object} tensor - Decoded TensorProto (camelCase fields)
+ * @param {Object} options - Options
+ * @param {boolean} options.bigint - Return int64/uint64 as BigInt typed arrays
+ * @returns {{dtype: number, dtypeName: string, shape: number[]|null, values: ArrayLike}}
+ */
+function tensorToJs(tensor, { bigint = false } = {}) {
+  const dtype = tensor.dtype;
+  const spec = DTYPE_SPECS[dtype];
+  if (!spec) {
+    throw new Error(`Unsupported tensor dtype: ${dtypeName(dtype)}`);
+  }
+
+  const parts = spec.parts || 1;
+  let shape = tensorShape(tensor);
+  const count = numElements(shape);
+  let raw;
+
+  const content = tensor.tensorContent;
+  if (content && content.length > 0 && spec.ArrayType) {
+    // Copy into an aligned buffer; TF writes tensor_content little-endian
+    const bytes = Uint8Array.from(content);
+    raw = new spec.ArrayType(bytes.buffer, 0, bytes.length / spec.ArrayType.BYTES_PER_ELEMENT);
+  } else {
+    raw = Array.from(tensor[spec.field] || []);
+    const expected = count === null ? null : count * parts;
+    if (expected !== null && raw.length > 0 && raw.length < expected) {
+      const last = raw.slice(-parts);
+      while (raw.length < expected) {
+        raw.push(...last);
+      }
+    }
+  }
+
+  if (parts > 1 && shape) {
+    shape = [...shape, parts];
+  }
+
+  return {
+    dtype,
+    dtypeName: dtypeName(dtype),
+    shape,
+    values: convertValues(dtype, raw, bigint)
+  };
+}
+
+/**
+ * Reshapes flat row-major values into nested arrays
+ *
+ * @param {ArrayLike} values - Flat values
+ * @param {number[]} shape - Tensor shape ([] for a scalar)
+ * @returns {*} - Scalar for shape [], nested arrays otherwise
+ */
+function toNested(values, shape) {
+  if (!shape || shape.length === 0) {
+    return values[0];
+  }
+
+  const build = (offset, dimIndex) => {
+    const size = shape[dimIndex];
+    if (dimIndex === shape.length - 1) {
+      return Array.from(values.slice(offset, offset + size));
+    }
+    const stride = shape.slice(dimIndex + 1).reduce((product, s) => product * s, 1);
+    const result = [];
+    for (let i = 0; i < size; i++) {
+      result.push(build(offset + i * stride, dimIndex + 1));
+    }
+    return result;
+  };
+
+  return build(0, 0);
+}
+
+/**
+ * Converts a TensorProto into the most convenient JS value:
+ * a scalar when it holds a single element, nested arrays otherwise.
+ * DT_STRING elements are returned as UTF-8 strings.
+ *
+ * @param {Object} tensor - Decoded TensorProto
+ * @returns {*}
+ */
+function tensorToValue(tensor) {
+  const { dtype, shape, values } = tensorToJs(tensor);
+  const flat = dtype === DATA_TYPES.DT_STRING ? values.map(v => v.toString('utf-8')) : values;
+
+  if (flat.length === 1) {
+    return flat[0];
+  }
+  if (!shape || numElements(shape) !== flat.length) {
+    return Array.from(flat);
+  }
+  return toNested(flat, shape);
+}
+
+/**
+ * Converts a response's outputs map (name → TensorProto) into name → tensorToValue()
+ *
+ * @param {Object} outputs - e.g. PredictResponse.outputs
+ * @returns {Object} - e.g. { fill_probability: 0.17, optimal_floor_price: 20.08 }
+ */
+function outputsToValues(outputs = {}) {
+  const values = {};
+  for (const [outputName, tensor] of Object.entries(outputs)) {
+    values[outputName] = tensorToValue(tensor);
+  }
+  return values;
+}
+
+/**
+ * Flattens nested arrays and infers their shape
+ */
+function flattenNested(values) {
+  if (!Array.isArray(values)) {
+    return { flat: [values], shape: [] };
+  }
+
+  const shape = [];
+  let level = values;
+  while (Array.isArray(level)) {
+    shape.push(level.length);
+    level = level[0];
+  }
+
+  const flat = [];
+  const walk = (node, depth) => {
+    if (depth === shape.length) {
+      if (Array.isArray(node)) {
+        throw new Error('Ragged nested array: inconsistent depth');
+      }
+      flat.push(node);
+      return;
+    }
+    if (!Array.isArray(node) || node.length !== shape[depth]) {
+      throw new Error(`Ragged nested array: expected ${shape[depth]} elements at depth ${depth}`);
+    }
+    node.forEach(child => walk(child, depth + 1));
+  };
+  walk(values, 0);
+
+  return { flat, shape };
+}
+
+/**
+ * Infers a dtype from JS values (mirrors the SequenceExample builder's rules)
+ */
+function inferDtype(values, flat) {
+  if (values instanceof Float32Array) return DATA_TYPES.DT_FLOAT;
+  if (values instanceof Float64Array) return DATA_TYPES.DT_DOUBLE;
+  if (values instanceof Int32Array) return DATA_TYPES.DT_INT32;
+  if (values instanceof BigInt64Array) return DATA_TYPES.DT_INT64;
+  if (values instanceof Uint8Array && !Buffer.isBuffer(values)) return DATA_TYPES.DT_UINT8;
+
+  const first = flat[0];
+  if (typeof first === 'string' || Buffer.isBuffer(first)) return DATA_TYPES.DT_STRING;
+  if (typeof first === 'boolean') return DATA_TYPES.DT_BOOL;
+  if (typeof first === 'bigint') return DATA_TYPES.DT_INT64;
+  return flat.every(Number.isInteger) ? DATA_TYPES.DT_INT64 : DATA_TYPES.DT_FLOAT;
+}
+
+/**
+ * Builds a TensorProto payload from JS values
+ *
+ * @param {*} values - Scalar, nested arrays or a typed array (flat; pass `shape`)
+ * @param {Object} options - Options
+ * @param {number|string} options.dtype - e.g. DATA_TYPES.DT_FLOAT, 'DT_FLOAT' or 'float'; inferred if omitted
+ * @param {number[]} options.shape - Shape; inferred from nesting if omitted
+ * @param {boolean} options.packed - Encode numeric values into tensor_content
+ * @returns {Object} - TensorProto payload (camelCase, ready for protobufjs)
+ */
+function jsToTensor(values, options = {}) {
+  const isTyped = ArrayBuffer.isView(values) && !Buffer.isBuffer(values);
+  const { flat, shape: inferredShape } = isTyped
+    ? { flat: Array.from(values), shape: [values.length] }
+    : flattenNested(values);
+
+  const dtype = options.dtype !== undefined ? resolveDtype(options.dtype) : inferDtype(values, flat);
+  const spec = DTYPE_SPECS[dtype];
+  const parts = spec.parts || 1;
+  const shape = options.shape || inferredShape;
+
+  const expected = numElements(shape);
+  if (expected !== null && expected * parts !== flat.length) {
+    throw new Error(`Shape [${shape.join(', ')}] needs ${expected * parts} values, got ${flat.length}`);
+  }
+
+  let stored;
+  switch (dtype) {
+    case DATA_TYPES.DT_STRING:
+      stored = flat.map(v => (Buffer.isBuffer(v) ? v : Buffer.from(String(v), 'utf-8')));
+      break;
+    case DATA_TYPES.DT_HALF:
+      stored = flat.map(floatToHalf);
+      break;
+    case DATA_TYPES.DT_BFLOAT16:
+      stored = flat.map(floatToBfloat16);
+      break;
+    case DATA_TYPES.DT_BOOL:
+      stored = flat.map(Boolean);
+      break;
+    case DATA_TYPES.DT_INT64:
+    case DATA_TYPES.DT_UINT64:
+      // protobufjs accepts decimal strings for 64-bit fields, which keeps BigInts exact
+      stored = flat.map(v => (typeof v === 'bigint' ? v.toString() : v));
+      break;
+    default:
+      stored = flat;
+  }
+
+  const tensor = {
+    dtype,
+    tensorShape: { dim: shape.map(size => ({ size })) }
+  };
+
+  if (options.packed && spec.ArrayType) {
+    const typed = spec.ArrayType === BigInt64Array || spec.ArrayType === BigUint64Array
+      ? spec.ArrayType.from(stored, v => BigInt(v))
+      : spec.ArrayType.from(stored, v => Number(v));
+    tensor.tensorContent = Buffer.from(typed.buffer, typed.byteOffset, typed.byteLength);
+  } else {
+    tensor[spec.field] = stored;
+  }
+
+  return tensor;
+}
+
+module.exports = {
+  DATA_TYPES,
+  tensorToJs,
+  tensorToValue,
+  outputsToValues,
+  toNested,
+  jsToTensor,
+  resolveDtype,
+  dtypeName,
+  halfToFloat,
+  floatToHalf
+};
@@ -3,15 +3,44 @@
  * Test Script for Simplified Scylla + Inference Client
  *
  * This demonstrates how to use the simplified client for predictions.
+ *
+ * With --local, feature rows come from tests/fixtures/ars_user_features_v2.json
+ * and predictions from the in-process fake TF Serving, so no cluster is needed.
  */
 
+const path = require('path');
 const SimpleInferenceClient = require('./simple-scylla-client');
+const { InMemoryFeatureStore } = require('./feature-store');
+const { PredictionClient } = require('./prediction-client');
+const { FakeServingServer } = require('./fake-serving');
+
+const LOCAL = process.argv.includes('--local');
+const FIXTURES = path.join(__dirname, 'tests/fixtures/ars_user_features_v2.json');
+let fakeServer = null;
+
+/**
+ * Creates a client against Scylla and the ingress, or local stand-ins with --local
+ */
+async function createClient(options) {
+  if (!LOCAL) {
+    return new SimpleInferenceClient(options);
+  }
+  if (!fakeServer) {
+    fakeServer = new FakeServingServer();
+    await fakeServer.start();
+  }
+  return new SimpleInferenceClient({
+    ...options,
+    featureStore: InMemoryFeatureStore.fromFixtures(FIXTURES),
+    predictionClient: new PredictionClient({ target: fakeServer.target() })
+  });
+}
 
 // Test 1: Single prediction
 async function testSinglePrediction() {
   console.log('\n=== Test 1: Single Prediction ===\n');
 
-  const client = new SimpleInferenceClient({ verbose: true });
+  const client = await createClient({ verbose: true });
 
   try {
     await client.initialize();
@@ -53,7 +82,7 @@ async function testSinglePrediction() {
 async function testBatchPredictions() {
   console.log('\n=== Test 2: Batch Predictions ===\n');
 
-  const client = new SimpleInferenceClient({ verbose: false });
+  const client = await createClient({ verbose: false });
 
   try {
     await client.initialize();
@@ -91,8 +120,7 @@ async function testBatchPredictions() {
 async function testScyllaOnly() {
   console.log('\n=== Test 3: Scylla Connection Only ===\n');
 
-  const SimpleInferenceClient = require('./simple-scylla-client');
-  const client = new SimpleInferenceClient({ verbose: true });
+  const client = await createClient({ verbose: true });
 
   try {
     await client.initialize();
@@ -115,7 +143,7 @@ async function testScyllaOnly() {
 
 // Main execution
 async function main() {
-  const test = process.argv[2] || 'single';
+  const test = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'single';
 
   try {
     switch (test) {
@@ -134,17 +162,22 @@ async function main() {
         await testBatchPredictions();
         break;
       default:
-        console.log('Usage: node test-simple-client.js [single|batch|scylla|all]');
+        console.log('Usage: node test-simple-client.js [single|batch|scylla|all] [--local]');
         console.log('');
         console.log('Tests:');
         console.log('  single  - Test single prediction (default)');
         console.log('  batch   - Test batch predictions');
         console.log('  scylla  - Test Scylla connection only');
         console.log('  all     - Run all tests');
+        console.log('');
+        console.log('  --local - Fixture feature rows and the fake TF Serving (no network)');
         process.exit(1);
     }
 
     console.log('\n✅ Test completed successfully!\n');
+    if (fakeServer) {
+      await fakeServer.stop();
+    }
 
   } catch (error) {
     console.error('\n❌ Test failed:', error.message);
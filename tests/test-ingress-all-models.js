@@ -8,11 +8,19 @@
  * - AGGRESSIVE (ADS_LST_DNB_AGGRESSIVE)
  *
  * Compares predictions across models to verify routing works correctly.
+ *
+ * With --fake, runs against an in-process fake TF Serving instead
+ * (same custom paths, plaintext on a local port; see fake-serving.js).
  */
 
 const { makeIngressRequest } = require('../client-ingress');
 const { buildSequenceExample } = require('../sequence-example-builder');
 const config = require('../config');
+const { tensorToValue } = require('../tensor');
+const { FakeServingServer } = require('../fake-serving');
+
+// Where requests go; replaced by the fake server's address with --fake
+const ingress = { host: config.INGRESS.HOST, port: config.INGRESS.PORT };
 
 // Test data
 const featureListsData = {
@@ -40,11 +48,7 @@ function extractMetrics(response) {
 
   if (response && response.outputs) {
     for (const [key, tensor] of Object.entries(response.outputs)) {
-      if (tensor.floatVal && tensor.floatVal.length > 0) {
-        metrics[key] = tensor.floatVal[0];
-      } else if (tensor.int64Val && tensor.int64Val.length > 0) {
-        metrics[key] = tensor.int64Val[0];
-      }
+      metrics[key] = tensorToValue(tensor);
     }
   }
 
@@ -101,9 +105,9 @@ async function testModel(modelConfig, serializedExample) {
       serializedExample: serializedExample,
       modelName: modelConfig.name,
       signatureName: modelConfig.signature,
-      ingressHost: config.INGRESS.HOST,
+      ingressHost: ingress.host,
       modelPath: modelConfig.path,
-      port: config.INGRESS.PORT,
+      port: ingress.port,
       timeout: 5000,
       caCertPath: config.INGRESS.CERT_PATH
     });
@@ -143,10 +147,15 @@ async function testModel(modelConfig, serializedExample) {
  * Main test function
  */
 async function testAllModels() {
+  if (process.argv.includes('--fake')) {
+    const { port } = await new FakeServingServer().start();
+    Object.assign(ingress, { host: '127.0.0.1', port });
+  }
+
   console.log('🧪 Testing All Model Variants via Ingress\n');
   console.log('=' .repeat(80));
-  console.log('Ingress:', config.INGRESS.HOST);
-  console.log('Port:', config.INGRESS.PORT);
+  console.log('Ingress:', ingress.host);
+  console.log('Port:', ingress.port);
   console.log('Certificate:', config.INGRESS.CERT_PATH);
   console.log('=' .repeat(80));
 
@@ -4,17 +4,28 @@
  *
  * Tests connectivity to holmes-ads-v2.sharechat.internal via ingress
  * with TLS and custom path routing to the BASELINE model.
+ *
+ * With --fake, runs against an in-process fake TF Serving instead
+ * (same custom paths, plaintext on a local port; see fake-serving.js).
  */
 
 const { makeIngressRequest, displayResults } = require('../client-ingress');
 const { buildSequenceExample } = require('../sequence-example-builder');
 const config = require('../config');
+const { FakeServingServer } = require('../fake-serving');
 
 async function testBaselineModel() {
   console.log('🧪 Testing BASELINE Model via Ingress\n');
   console.log('=' .repeat(60));
   console.log('');
 
+  let ingress = { host: config.INGRESS.HOST, port: config.INGRESS.PORT };
+  if (process.argv.includes('--fake')) {
+    const { port } = await new FakeServingServer().start();
+    ingress = { host: '127.0.0.1', port };
+    console.log(`🧪 Using fake TF Serving on 127.0.0.1:${port}\n`);
+  }
+
   // Test data - same as used in client-with-builder.js
   const featureListsData = {
     "ad_type": ["SC_CPCV_1"],
@@ -44,9 +55,9 @@ async function testBaselineModel() {
       serializedExample: serializedExample,
       modelName: config.MODELS.BASELINE.name,
       signatureName: config.MODELS.BASELINE.signature,
-      ingressHost: config.INGRESS.HOST,
+      ingressHost: ingress.host,
       modelPath: config.MODELS.BASELINE.path,
-      port: config.INGRESS.PORT,
+      port: ingress.port,
       timeout: 5000,
       caCertPath: config.INGRESS.CERT_PATH
     });
@@ -0,0 +1,58 @@
+/**
+ * Benchmark: latency histogram, report keys and error breakdown
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LatencyHistogram, percentileKey, runBenchmark } = require('../../benchmark');
+const { PredictionClient } = require('../../prediction-client');
+const { jsToTensor } = require('../../tensor');
+
+describe('LatencyHistogram', () => {
+  it('reports percentiles and cumulative buckets', () => {
+    const histogram = new LatencyHistogram();
+    [4, 1, 3, 2, 100].forEach(ms => histogram.record(ms));
+
+    assert.equal(histogram.percentile(50), 3);
+    assert.equal(histogram.percentile(99), 100);
+    assert.equal(histogram.buckets().find(bucket => bucket.le === 100).count, 1);
+  });
+
+  it('keys the 99.9th percentile as p999', () => {
+    assert.equal(percentileKey(50), 'p50');
+    assert.equal(percentileKey(99.9), 'p999');
+
+    const histogram = new LatencyHistogram();
+    [4, 1, 3, 2, 100].forEach(ms => histogram.record(ms));
+    assert.deepEqual(Object.keys(histogram.summary([50, 90, 99, 99.9])), ['count', 'mean', 'min', 'max', 'p50', 'p90', 'p99', 'p999']);
+  });
+});
+
+describe('runBenchmark', () => {
+  it('counts every request and breaks errors down by status', async () => {
+    const client = new PredictionClient({ retry: false });
+    const response = client.PredictResponse.encode({
+      outputs: { fill_probability: jsToTensor([0.5], { dtype: 'float' }) }
+    }).finish();
+    let calls = 0;
+    client.unaryCall = async ({ requestType, request }) => {
+      requestType.encode(request).finish();
+      await new Promise(resolve => setImmediate(resolve));
+      if (++calls % 5 === 0) {
+        const error = new Error('14 UNAVAILABLE: upstream reset');
+        error.code = 14;
+        throw error;
+      }
+      return response;
+    };
+
+    const report = await runBenchmark({ client, target: 'POD', durationMs: 200, warmupMs: 0, concurrency: 2 });
+
+    assert.ok(report.requests > 0);
+    assert.equal(report.succeeded + report.failed, report.requests);
+    assert.deepEqual(report.errors, { UNAVAILABLE: report.failed });
+    assert.equal(report.latency.serialize.count, report.succeeded);
+    assert.ok(report.latency.total.p50 <= report.latency.total.p99);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * SequenceExample / Example builder: golden Python bytes and wire-level encoding
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { buildSequenceExample, buildExample, canonicalize, toHex } = require('../../sequence-example-builder');
+const { decodeSequenceExample, decodeExample } = require('../../sequence-example-decoder');
+const config = require('../../config');
+
+const golden = require(path.join(__dirname, '../fixtures/python-golden.json'));
+const schema = config.FEATURES.SCHEMA;
+const required = { ad_type: ['SC_CPCV_1'], userid: ['749603295'] };
+
+describe('buildSequenceExample', () => {
+  describe('matches Python golden bytes', () => {
+    for (const fixture of golden) {
+      it(fixture.name, () => {
+        const options = fixture.schema ? { schema } : {};
+        const python = Buffer.from(fixture.hex, 'hex');
+
+        if (fixture.canonical) {
+          // Python serialized without deterministic=True, so only the sorted-key form is comparable
+          const built = buildSequenceExample(fixture.features, { ...options, deterministic: true });
+          assert.equal(toHex(built), toHex(canonicalize(python)));
+        } else {
+          assert.equal(toHex(buildSequenceExample(fixture.features, options)), fixture.hex);
+        }
+      });
+    }
+  });
+
+  it('encodes two features with the right outer length', () => {
+    const built = buildSequenceExample({ ad_type: ['SC_CPCV_1'], userid: ['749603295'] }, { deterministic: true });
+    assert.equal(
+      toHex(built),
+      '12370a1a0a0761645f74797065120f0a0d0a0b0a0953435f435043565f31' +
+      '0a190a06757365726964120f0a0d0a0b0a09373439363033323935'
+    );
+  });
+
+  it('encodes an integer as a packed int64_list', () => {
+    // Feature.int64_list (field 3) → packed varint 42
+    assert.equal(toHex(buildSequenceExample({ count: [42] })), '12120a100a05636f756e7412070a051a030a012a');
+  });
+
+  it('encodes a fractional number as a packed float_list', () => {
+    // Feature.float_list (field 2) → packed little-endian float32 9.99
+    assert.equal(toHex(buildSequenceExample({ price: [9.99] })), '12150a130a057072696365120a0a0812060a040ad71f41');
+  });
+
+  it('infers bytes, int64 and float for one example with mixed types', () => {
+    assert.equal(
+      toHex(buildSequenceExample({ string_field: ['hello'], int_field: [42], float_field: [3.14] })),
+      '124e0a1b0a0c737472696e675f6669656c64120b0a090a070a0568656c6c6f' +
+      '0a140a09696e745f6669656c6412070a051a030a012a' +
+      '0a190a0b666c6f61745f6669656c64120a0a0812060a04c3f54840'
+    );
+  });
+
+  it('applies schema dtypes over inferred ones', () => {
+    const decoded = decodeSequenceExample(buildSequenceExample({
+      ...required,
+      floor_price: [5],
+      winrate_1_day: [1],
+      requests_1_day: [120],
+      campaign: ['0.7']  // Not declared: inferred from the value
+    }, { schema }));
+
+    assert.deepEqual(decoded.featureLists.floor_price, [{ type: 'float', value: [5] }]);
+    assert.deepEqual(decoded.featureLists.winrate_1_day, [{ type: 'float', value: [1] }]);
+    assert.deepEqual(decoded.featureLists.requests_1_day, [{ type: 'int64', value: [120] }]);
+    assert.deepEqual(decoded.featureLists.campaign, [{ type: 'bytes', value: ['0.7'] }]);
+    assert.deepEqual(decoded.featureLists.userid, [{ type: 'bytes', value: ['749603295'] }]);
+  });
+
+  it('does not depend on key order when deterministic', () => {
+    const features = golden.find(fixture => fixture.name === 'fourteen-string-features').features;
+    const reversed = Object.fromEntries(Object.entries(features).reverse());
+    assert.deepEqual(
+      buildSequenceExample(reversed, { deterministic: true }),
+      buildSequenceExample(features, { deterministic: true })
+    );
+  });
+
+  it('encodes context before feature_lists, with schema dtypes in both', () => {
+    // SequenceExample.context is field 1 (0a), feature_lists field 2 (12)
+    const built = buildSequenceExample({
+      context: { userid: ['749603295'], floor_price: [5] },
+      featureLists: { ad_type: ['SC_CPCV_1', 'SC_OUTSTREAM'] }
+    }, { schema });
+
+    assert.equal(
+      toHex(built),
+      '0a320a170a06757365726964120d0a0b0a093734393630333239350a170a0b666c6f6f725f7072696365120812060a040000a040' +
+      '122e0a2c0a0761645f7479706512210a0d0a0b0a0953435f435043565f310a100a0e0a0c53435f4f555453545245414d'
+    );
+  });
+
+  it('decodes the same example from hex and base64', () => {
+    const built = buildSequenceExample({ ...required, floor_price: [5] }, { schema });
+    assert.deepEqual(decodeSequenceExample(toHex(built)), decodeSequenceExample(built.toString('base64')));
+    assert.deepEqual(decodeSequenceExample(toHex(built)).featureLists.ad_type, [{ type: 'bytes', value: ['SC_CPCV_1'] }]);
+  });
+
+  it('round-trips one step per value and context features', () => {
+    const decoded = decodeSequenceExample(buildSequenceExample({
+      context: { userid: ['749603295'] },
+      featureLists: { tags: ['sports', 'news', 'entertainment'] }
+    }));
+
+    assert.deepEqual(decoded.context.userid, { type: 'bytes', value: ['749603295'] });
+    assert.deepEqual(decoded.featureLists.tags, [
+      { type: 'bytes', value: ['sports'] },
+      { type: 'bytes', value: ['news'] },
+      { type: 'bytes', value: ['entertainment'] }
+    ]);
+  });
+
+  it('encodes an empty example as an empty feature_lists message', () => {
+    assert.equal(toHex(buildSequenceExample({})), '1200');
+  });
+
+  it('rejects values that do not match the schema', () => {
+    assert.throws(() => buildSequenceExample({ ...required, floor_price: ['high'] }, { schema }), /floor_price/);
+    assert.throws(() => buildSequenceExample({ ...required, floor_price: ['5.0'] }, { schema }), /floor_price/);
+  });
+
+  it('rejects a missing required feature', () => {
+    assert.throws(() => buildSequenceExample({ ad_type: ['SC_CPCV_1'] }, { schema }), /userid/);
+  });
+
+  it('rejects a feature in both context and featureLists', () => {
+    assert.throws(
+      () => buildSequenceExample({ context: { userid: ['1'] }, featureLists: { userid: ['1'] } }),
+      /appears in both context and featureLists/
+    );
+  });
+
+  it('rejects undeclared features in strict mode', () => {
+    assert.throws(
+      () => buildSequenceExample({ not_in_schema: ['x'] }, { schema, strict: true }),
+      /not declared in the schema/
+    );
+  });
+});
+
+describe('buildExample', () => {
+  it('encodes a flat tf.Example', () => {
+    assert.equal(toHex(buildExample({ ad_type: ['SC_CPCV_1'] })), '0a1a0a180a0761645f74797065120d0a0b0a0953435f435043565f31');
+  });
+
+  it('round-trips typed features', () => {
+    const decoded = decodeExample(buildExample({ ...required, tags: ['sports', 'news'], floor_price: [5] }, { schema }));
+    assert.deepEqual(decoded.features.tags, { type: 'bytes', value: ['sports', 'news'] });
+    assert.deepEqual(decoded.features.floor_price, { type: 'float', value: [5] });
+  });
+});
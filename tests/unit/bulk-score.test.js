@@ -0,0 +1,142 @@
+/**
+ * Bulk scoring: resuming from the checkpoint, output write failures and retryable call failures
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BulkScorer } = require('../../bulk-score');
+const { decodeSequenceExample } = require('../../sequence-example-decoder');
+const { jsToTensor } = require('../../tensor');
+
+const client = {
+  predict: async () => ({ outputs: { fill_probability: jsToTensor([0.5], { dtype: 'float' }) } })
+};
+
+describe('BulkScorer output writes', () => {
+  let dir;
+  let input;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-unit-'));
+    input = path.join(dir, 'logged.jsonl');
+    fs.writeFileSync(input, Array.from({ length: 20 }, (_, i) => JSON.stringify({ ad_type: 'SC_CPCV_1', userid: String(i) })).join('\n'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  /**
+   * Scorer whose output stream fails every write after the first `okRows`
+   */
+  function scorerFailingAfter(output, okRows) {
+    const scorer = new BulkScorer({ input, output, client, concurrency: 2, checkpointEvery: 1 });
+    const open = scorer.open.bind(scorer);
+    scorer.open = () => {
+      open();
+      const write = scorer.stream.write.bind(scorer.stream);
+      let rows = 0;
+      scorer.stream.write = (chunk, callback) => {
+        if (++rows <= okRows) {
+          return write(chunk, callback);
+        }
+        const error = new Error('ENOSPC: no space left on device, write');
+        error.code = 'ENOSPC';
+        process.nextTick(callback, error);
+        return false;
+      };
+    };
+    return scorer;
+  }
+
+  it('stops the run and leaves failed rows out of the checkpoint', async () => {
+    const output = path.join(dir, 'full-disk.jsonl');
+    const scorer = scorerFailingAfter(output, 5);
+
+    await assert.rejects(scorer.run(), error => error.code === 'ENOSPC' && error.message.includes(output));
+
+    const checkpoint = JSON.parse(fs.readFileSync(`${output}.checkpoint.json`, 'utf8'));
+    const written = fs.readFileSync(output, 'utf8').trim().split('\n');
+    assert.equal(scorer.stats.scored, 5);
+    assert.equal(written.length, 5);
+    assert.equal(checkpoint.outputBytes, fs.statSync(output).size);
+    assert.deepEqual(written.map(row => JSON.parse(row).index).sort((a, b) => a - b), [0, 1, 2, 3, 4]);
+  });
+
+  it('resumes a stopped run past a torn last line', async () => {
+    const output = path.join(dir, 'stopped.jsonl');
+    let calls = 0;
+    let firstRun = null;
+    const stoppingClient = {
+      predict: async () => {
+        if (++calls === 8) {
+          firstRun.stop();
+        }
+        return client.predict();
+      }
+    };
+    firstRun = new BulkScorer({ input, output, client: stoppingClient, concurrency: 2, checkpointEvery: 3 });
+    const partial = await firstRun.run();
+    fs.appendFileSync(output, '{"index":');  // Torn write from a crash
+
+    const resumed = await new BulkScorer({ input, output, client: stoppingClient, concurrency: 2 }).run();
+    const indexes = fs.readFileSync(output, 'utf8').trim().split('\n').map(row => JSON.parse(row).index);
+
+    assert.equal(partial.complete, false);
+    assert.ok(partial.scored < 20);
+    assert.equal(resumed.complete, true);
+    assert.equal(resumed.skipped, partial.scored);
+    assert.equal(calls, 20);
+    assert.deepEqual(indexes.sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i));
+  });
+
+  it('scores the unwritten rows again on resume', async () => {
+    const output = path.join(dir, 'resumed.jsonl');
+    await assert.rejects(scorerFailingAfter(output, 7).run(), /ENOSPC/);
+
+    const resumed = await new BulkScorer({ input, output, client, concurrency: 2 }).run();
+    const indexes = fs.readFileSync(output, 'utf8').trim().split('\n').map(row => JSON.parse(row).index);
+
+    assert.equal(resumed.skipped, 7);
+    assert.equal(resumed.scored, 20);
+    assert.deepEqual(indexes.sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i));
+  });
+
+  it('leaves retryable failures out of the output for the next run', async () => {
+    const output = path.join(dir, 'unavailable.jsonl');
+    const useridOf = serialized => Number(decodeSequenceExample(serialized).featureLists.userid[0].value[0]);
+    const failing = {
+      predict: async ({ serializedExample }) => {
+        const userid = useridOf(serializedExample);
+        if (userid % 5 === 0) {
+          const error = new Error(userid === 0 ? '3 INVALID_ARGUMENT: bad example' : '14 UNAVAILABLE: upstream reset');
+          error.code = userid === 0 ? 3 : 14;
+          throw error;
+        }
+        return client.predict();
+      }
+    };
+
+    const first = await new BulkScorer({ input, output, client: failing, concurrency: 2 }).run();
+    const checkpoint = JSON.parse(fs.readFileSync(`${output}.checkpoint.json`, 'utf8'));
+    assert.deepEqual([first.scored, first.failed, first.retryable, first.complete], [16, 1, 3, false]);
+    assert.deepEqual(checkpoint.retry, [5, 10, 15]);
+
+    const retried = [];
+    const recovered = {
+      predict: async ({ serializedExample }) => {
+        retried.push(useridOf(serializedExample));
+        return client.predict();
+      }
+    };
+    const second = await new BulkScorer({ input, output, client: recovered, concurrency: 2 }).run();
+    const rows = fs.readFileSync(output, 'utf8').trim().split('\n').map(row => JSON.parse(row));
+
+    assert.deepEqual(retried.sort((a, b) => a - b), [5, 10, 15]);
+    assert.deepEqual([second.scored, second.failed, second.retryable, second.complete], [19, 1, 0, true]);
+    assert.deepEqual(rows.map(row => row.index).sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i));
+    assert.equal(rows.find(row => row.index === 0).error.code, 3);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Circuit breaker: opening on failures and slow calls, rejecting while open, zero-valued options
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CircuitBreaker } = require('../../circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  it('opens once the failure rate reaches the threshold', () => {
+    const breaker = new CircuitBreaker('ads-dnb-aggressive-v1/sparse', { minimumCalls: 4, windowSize: 4, failureRateThreshold: 0.5 });
+    [false, true, false].forEach(failed => breaker.onOutcome(failed, 10, false));
+    assert.equal(breaker.getState().state, 'CLOSED');  // Below minimumCalls
+
+    breaker.onOutcome(true, 10, false);
+    const state = breaker.getState();
+    assert.equal(state.state, 'OPEN');
+    assert.equal(state.failureRate, 0.5);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it('opens on slow calls', () => {
+    const breaker = new CircuitBreaker('ads-dnb-baseline-v1/sparse', {
+      minimumCalls: 4, windowSize: 4, slowCallMs: 100, slowCallRateThreshold: 1
+    });
+    [500, 500, 500, 500].forEach(latency => breaker.onOutcome(false, latency, false));
+
+    assert.equal(breaker.getState().state, 'OPEN');
+    assert.equal(breaker.getState().slowCallRate, 1);
+  });
+
+  it('counts only unhealthy-model statuses as failures', () => {
+    const breaker = new CircuitBreaker('ads-dnb-baseline-v1/sparse', { failureCodes: ['UNAVAILABLE'] });
+    assert.equal(breaker.isFailure({ code: 14 }), true);
+    assert.equal(breaker.isFailure({ code: 3 }), false);
+  });
+
+  it('rejects calls with CIRCUIT_OPEN while open', async () => {
+    const breaker = new CircuitBreaker('ads-dnb-baseline-v1/sparse', { minimumCalls: 1, windowSize: 1, openDurationMs: 60000 });
+    breaker.onOutcome(true, 10, false);
+
+    await assert.rejects(breaker.execute(async () => 'called'), error => (
+      error.code === 'CIRCUIT_OPEN' && error.circuitKey === 'ads-dnb-baseline-v1/sparse'
+    ));
+    breaker.reset();
+    assert.equal(await breaker.execute(async () => 'called'), 'called');
+  });
+
+  it('keeps options set to 0 instead of falling back to the defaults', () => {
+    const breaker = new CircuitBreaker('ads-dnb-baseline-v1/sparse', {
+      minimumCalls: 1, windowSize: 1, openDurationMs: 0, slowCallMs: 0, slowCallRateThreshold: 0
+    });
+    assert.equal(breaker.openDurationMs, 0);
+    assert.equal(breaker.slowCallRateThreshold, 0);
+
+    breaker.onOutcome(true, 10, false);
+    assert.equal(breaker.getState().state, 'OPEN');
+    assert.equal(breaker.allowRequest(), true);  // No open period: straight to a trial call
+    assert.equal(breaker.getState().state, 'HALF_OPEN');
+  });
+});
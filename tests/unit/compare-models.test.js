@@ -0,0 +1,123 @@
+/**
+ * Offline model comparison: report statistics, streamed examples, failed batches and examples, large datasets
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { runComparison, compareOutput, buildReport, renderMarkdown, spearman } = require('../../compare-models');
+const { readExamples } = require('../../dataset-loader');
+
+describe('buildReport', () => {
+  const report = buildReport({
+    variantA: 'BASELINE',
+    variantB: 'AGGRESSIVE',
+    predictionsA: [{ p: 0.1 }, { p: 0.2 }, { p: 0.3 }, null],
+    predictionsB: [{ p: 0.1 }, { p: 0.4 }, { p: 0.35 }, { p: 0.5 }]
+  }, { threshold: 0.1 });
+  const [stats] = report.outputs;
+
+  it('compares only examples both variants scored', () => {
+    assert.equal(report.examples.compared, 3);
+    assert.equal(report.examples.failed, 1);
+  });
+
+  it('reports the mean delta and disagreements above the threshold', () => {
+    assert.ok(Math.abs(stats.meanDelta - 0.25 / 3) < 1e-9);
+    assert.equal(stats.disagreements.count, 1);
+    assert.equal(stats.disagreements.higher, 1);
+  });
+
+  it('ranks ties by their average for Spearman', () => {
+    assert.equal(spearman([1, 2, 2, 3], [1, 3, 3, 4]), 1);
+    assert.ok(Math.abs(stats.spearman - 0.5) < 1e-9);
+  });
+
+  it('renders the output means in the Markdown report', () => {
+    assert.ok(renderMarkdown(report).includes('| p | 0.2000 | 0.2833 |'));
+  });
+});
+
+describe('runComparison', () => {
+  let dir;
+  let input;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-unit-'));
+    input = path.join(dir, 'logged.jsonl');
+    fs.writeFileSync(input, Array.from({ length: 10 }, (_, i) => JSON.stringify({ ad_type: 'SC_CPCV_1', userid: String(i) })).join('\n'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  /**
+   * predictBatch stub: AGGRESSIVE scores 0.1 higher; `failBatch` (by call order) fails
+   */
+  function stubClient({ failBatch = null } = {}) {
+    const batches = [];
+    return {
+      batches,
+      async predictBatch({ serializedExamples, model }) {
+        batches.push({ model, size: serializedExamples.length });
+        if (batches.length === failBatch) {
+          const error = new Error('14 UNAVAILABLE: upstream reset');
+          error.code = 14;
+          throw error;
+        }
+        return serializedExamples.map(() => ({ fill_probability: model === 'AGGRESSIVE' ? 0.6 : 0.5 }));
+      }
+    };
+  }
+
+  it('streams readExamples() items through in batches', async () => {
+    const client = stubClient();
+    const report = await runComparison({
+      variantA: 'BASELINE', variantB: 'AGGRESSIVE', examples: readExamples(input), batchSize: 4, client
+    });
+
+    assert.deepEqual(client.batches.map(b => `${b.model}:${b.size}`), [
+      'BASELINE:4', 'AGGRESSIVE:4', 'BASELINE:4', 'AGGRESSIVE:4', 'BASELINE:2', 'AGGRESSIVE:2'
+    ]);
+    assert.equal(report.examples.total, 10);
+    assert.equal(report.examples.compared, 10);
+    assert.ok(Math.abs(report.outputs[0].meanDelta - 0.1) < 1e-9);
+  });
+
+  it('counts a failed batch against its own examples', async () => {
+    const report = await runComparison({
+      variantA: 'BASELINE', variantB: 'AGGRESSIVE', examples: readExamples(input), batchSize: 4, client: stubClient({ failBatch: 4 })
+    });
+
+    assert.equal(report.examples.compared, 6);
+    assert.deepEqual(report.errors.map(e => [e.variant, e.indices]), [['AGGRESSIVE', [4, 5, 6, 7]]]);
+  });
+
+  it('reports an example that fails to build and scores the rest', async () => {
+    const client = stubClient();
+    const examples = [
+      { ad_type: ['SC_CPCV_1'], userid: ['1'], floor_price: [5.5] },
+      { ad_type: ['SC_CPCV_1'], userid: ['2'], floor_price: ['cheap'] },
+      { ad_type: ['MJ_CPCV_1'], userid: ['3'], floor_price: [8] }
+    ];
+    const report = await runComparison({ variantA: 'BASELINE', variantB: 'AGGRESSIVE', examples, batchSize: 2, client });
+
+    assert.deepEqual(client.batches.map(b => `${b.model}:${b.size}`), ['BASELINE:1', 'AGGRESSIVE:1', 'BASELINE:1', 'AGGRESSIVE:1']);
+    assert.deepEqual(report.examples, { total: 3, compared: 2, failed: 1, disagreeing: 2 });
+    assert.deepEqual(report.errors.map(e => [e.variant, e.indices, e.code]), [[null, [1], null]]);
+    assert.match(report.errors[0].message, /floor_price/);
+    assert.ok(renderMarkdown(report).includes('- build: 1 example(s), '));
+  });
+});
+
+describe('compareOutput', () => {
+  it('handles more pairs than fit in one call stack', () => {
+    const pairs = Array.from({ length: 300000 }, (_, index) => ({ index, a: 0.5, b: 0.5 + (index % 10) / 100 }));
+    const result = compareOutput('fill_probability', pairs, { threshold: 0.05, percentiles: [50], top: 1 });
+
+    assert.ok(Math.abs(result.maxAbsDelta - 0.09) < 1e-9);
+    assert.equal(result.count, 300000);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Dataset loader: CSV and gzipped JSONL rows → feature maps
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { loadExamples, parseCsvRecord } = require('../../dataset-loader');
+const { buildSequenceExample } = require('../../sequence-example-builder');
+const { decodeSequenceExample } = require('../../sequence-example-decoder');
+const config = require('../../config');
+
+describe('parseCsvRecord', () => {
+  it('unquotes fields with delimiters and doubled quotes', () => {
+    assert.deepEqual(parseCsvRecord('a,"b, ""c""",', ','), ['a', 'b, "c"', '']);
+  });
+});
+
+describe('loadExamples', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-unit-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('maps CSV columns, coerces values and splits list cells', async () => {
+    const file = path.join(dir, 'logged.csv');
+    fs.writeFileSync(file, 'user_id,ad_type,floor_price,city\n749603295,SC_CPCV_1,0.25,"koppal, ka"\n1,SC_A|SC_B,,mumbai\n');
+    const examples = await loadExamples(file, { columns: { user_id: 'userid' } });
+
+    assert.deepEqual(examples, [
+      { userid: ['749603295'], ad_type: ['SC_CPCV_1'], floor_price: [0.25], city: ['koppal, ka'] },
+      { userid: ['1'], ad_type: ['SC_A', 'SC_B'], city: ['mumbai'] }
+    ]);
+  });
+
+  it('coerces historical aggregate columns to their declared numbers', async () => {
+    const file = path.join(dir, 'historical.csv');
+    fs.writeFileSync(file, 'userid,requests_1_day,winrate_1_day\n749603295,1500,0.10\n');
+    const [example] = await loadExamples(file);
+
+    assert.deepEqual(example, { userid: ['749603295'], requests_1_day: [1500], winrate_1_day: [0.1] });
+  });
+
+  it('reads gzipped JSONL and reports invalid rows with their line', async () => {
+    const file = path.join(dir, 'logged.jsonl.gz');
+    fs.writeFileSync(file, zlib.gzipSync('{"userid":749603295,"ad_type":["SC_CPCV_1"]}\n{"userid":"2","winning_bid":"x"}\n'));
+    const invalid = [];
+    const examples = await loadExamples(file, { onInvalid: error => invalid.push(error) });
+
+    assert.deepEqual(examples, [{ userid: ['749603295'], ad_type: ['SC_CPCV_1'] }]);
+    assert.deepEqual(invalid.map(error => error.line), [2]);
+  });
+
+  it('yields features the builder encodes with the schema', async () => {
+    const file = path.join(dir, 'schema.csv');
+    fs.writeFileSync(file, 'userid,ad_type,floor_price\n749603295,SC_CPCV_1,5\n');
+    const [example] = await loadExamples(file);
+    const decoded = decodeSequenceExample(buildSequenceExample(example, { schema: config.FEATURES.SCHEMA }));
+
+    assert.deepEqual(decoded.featureLists.floor_price, [{ type: 'float', value: [5] }]);
+    assert.deepEqual(decoded.featureLists.userid, [{ type: 'bytes', value: ['749603295'] }]);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Comparing two serialized SequenceExamples: inputs, byte relation and feature diff
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { compareSerialized, DIFF_KINDS } = require('../../sequence-example-diff');
+const { readInput } = require('../../sequence-example-decoder');
+const { buildSequenceExample, toHex } = require('../../sequence-example-builder');
+
+const features = { ad_type: ['SC_CPCV_1'], floor_price: [5.5], is_responded: [0] };
+
+describe('compareSerialized', () => {
+  it('reports identical bytes for the same example', () => {
+    const bytes = buildSequenceExample(features);
+    const result = compareSerialized(toHex(bytes), bytes.toString('base64'));
+
+    assert.equal(result.identical, true);
+    assert.deepEqual(result.differences, []);
+  });
+
+  it('matches after sorting map keys when only the order differs', () => {
+    const result = compareSerialized(
+      buildSequenceExample(features),
+      buildSequenceExample({ is_responded: [0], floor_price: [5.5], ad_type: ['SC_CPCV_1'] })
+    );
+
+    assert.equal(result.identical, false);
+    assert.equal(result.canonicalMatch, true);
+    assert.deepEqual(result.differences, []);
+  });
+
+  it('reports each differing feature when a Python and a Node request disagree', () => {
+    const python = buildSequenceExample(features);
+    const node = buildSequenceExample({ ad_type: ['SC_CPCV_1'], floor_price: [5], is_responded: ['0'], city: ['koppal'] });
+    const { canonicalMatch, differences } = compareSerialized(python, node);
+
+    assert.equal(canonicalMatch, false);
+    assert.deepEqual(differences.map(d => [d.kind, d.feature]), [
+      [DIFF_KINDS.EXTRA, 'city'],
+      [DIFF_KINDS.TYPE, 'floor_price'],
+      [DIFF_KINDS.TYPE, 'is_responded']
+    ]);
+  });
+});
+
+describe('readInput', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'example-diff-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('passes hex and base64 arguments through', () => {
+    assert.equal(readInput('121c0a1a'), '121c0a1a');
+    assert.equal(readInput('EhwKGg=='), 'EhwKGg==');
+  });
+
+  it('reads hex text and raw bytes from files', () => {
+    const bytes = buildSequenceExample(features);
+    const hexFile = path.join(dir, 'request.hex');
+    const binFile = path.join(dir, 'request.bin');
+    fs.writeFileSync(hexFile, `${toHex(bytes).slice(0, 40)}\n${toHex(bytes).slice(40)}\n`);
+    fs.writeFileSync(binFile, bytes);
+
+    assert.equal(readInput(hexFile), toHex(bytes));
+    assert.ok(compareSerialized(readInput(hexFile), readInput(binFile)).identical);
+  });
+
+  it('reports a missing file instead of decoding the path', () => {
+    for (const arg of ['missing.hex', path.join(dir, 'missing'), './request', 'not hex!']) {
+      assert.throws(() => readInput(arg), error => error.code === 'ENOENT' && error.message.startsWith(`File not found: ${arg}`));
+    }
+  });
+
+  it('accepts base64 containing or ending in a slash', () => {
+    assert.equal(readInput('Eh/K+g=='), 'Eh/K+g==');
+    assert.equal(readInput('Eh8KDAoBYRIHCgUKAwoBeAoPCgFiEgoKCBIGCgQAAMA/'), 'Eh8KDAoBYRIHCgUKAwoBeAoPCgFiEgoKCBIGCgQAAMA/');
+  });
+});
+
+describe('diff CLI', () => {
+  const cli = path.join(__dirname, '../../sequence-example-diff.js');
+
+  function runDiff(...args) {
+    return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 10000 });
+  }
+
+  it('exits 2 with "File not found" for a mistyped path', () => {
+    const { status, stderr } = runDiff('missing.hex', toHex(buildSequenceExample(features)));
+    assert.equal(status, 2);
+    assert.match(stderr, /File not found: missing\.hex/);
+  });
+
+  it('exits 1 and lists the differing features', () => {
+    const { status, stdout } = runDiff(
+      toHex(buildSequenceExample(features)),
+      toHex(buildSequenceExample({ ...features, floor_price: [6.5] })),
+      '--labels', 'Python,Node'
+    );
+    assert.equal(status, 1);
+    assert.match(stdout, /~ floor_price step 0 \[0\]: 5\.5 in Python, 6\.5 in Node/);
+  });
+
+  it('exits 2 when both sides are stdin', () => {
+    const { status, stderr } = runDiff('-', '-');
+    assert.equal(status, 2);
+    assert.match(stderr, /Only one side can be read from stdin/);
+  });
+
+  it('exits 2 for a tolerance that is not a non-negative number', () => {
+    const hex = toHex(buildSequenceExample(features));
+    for (const tolerance of ['abc', 'NaN', '-1', '']) {
+      const { status, stderr } = runDiff(hex, hex, '--tolerance', tolerance);
+      assert.equal(status, 2, tolerance);
+      assert.match(stderr, /--tolerance must be a non-negative number/);
+    }
+    assert.equal(runDiff(hex, hex, '--tolerance').status, 2);
+    assert.equal(runDiff(hex, hex, '--tolerance', '1e-6').status, 0);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Experiment routing: weighted sticky assignment of users to variants
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ExperimentRouter, bucketFor } = require('../../experiment-router');
+const { buildSequenceExample } = require('../../sequence-example-builder');
+const { jsToTensor } = require('../../tensor');
+
+const serializedExample = buildSequenceExample({ ad_type: ['SC_CPCV_1'] });
+
+/**
+ * Client stub scoring AGGRESSIVE 0.75 and every other variant 0.25
+ */
+const client = {
+  predict: async ({ model }) => ({
+    outputs: { fill_probability: jsToTensor([model === 'AGGRESSIVE' ? 0.75 : 0.25], { dtype: 'float' }) }
+  })
+};
+
+describe('ExperimentRouter', () => {
+  const weights = { BASELINE: 80, CONSERVATIVE: 10, AGGRESSIVE: 10 };
+
+  it('splits users close to the weights', () => {
+    const router = new ExperimentRouter({ weights, experiment: 'floor-test', client });
+    const counts = { BASELINE: 0, CONSERVATIVE: 0, AGGRESSIVE: 0 };
+    for (let i = 0; i < 10000; i++) {
+      counts[router.assign(`user-${i}`).variant]++;
+    }
+
+    assert.ok(Math.abs(counts.BASELINE - 8000) < 300, JSON.stringify(counts));
+    assert.ok(Math.abs(counts.CONSERVATIVE - 1000) < 200, JSON.stringify(counts));
+    assert.ok(Math.abs(counts.AGGRESSIVE - 1000) < 200, JSON.stringify(counts));
+  });
+
+  it('assigns a user by the hash of experiment and userid', () => {
+    const router = new ExperimentRouter({ weights, experiment: 'floor-test', client });
+    const assignment = router.assign('749603295');
+
+    assert.equal(assignment.bucket, bucketFor('floor-test', '749603295'));
+    assert.deepEqual(router.assign('749603295'), assignment);
+    assert.equal(assignment.sticky, true);
+    assert.equal(router.assign(undefined).sticky, false);
+  });
+
+  it('applies new weights to the next request and stamps the result', async () => {
+    const router = new ExperimentRouter({ weights, experiment: 'floor-test', client });
+    router.setWeights({ AGGRESSIVE: 1 });
+    const result = await router.predict({ userid: '749603295', serializedExample });
+
+    assert.equal(result.variant, 'AGGRESSIVE');
+    assert.equal(result.modelName, 'ads-dnb-aggressive-v1');
+    assert.deepEqual(result.predictions, { fill_probability: 0.75 });
+    assert.deepEqual(router.getWeights(), { AGGRESSIVE: 1 });
+  });
+
+  it('rejects unknown variants and weights without a positive total', () => {
+    assert.throws(() => new ExperimentRouter({ weights: { CANARY: 1 }, client }), /Unknown variant: CANARY/);
+    assert.throws(() => new ExperimentRouter({ weights: { BASELINE: 0 }, client }), /At least one variant needs a positive weight/);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Fake TF Serving: Predict on the ingress paths, injected faults, metadata,
+ * and Classify, Regress and MultiInference through the client
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PredictionClient } = require('../../prediction-client');
+const { FakeServingServer } = require('../../fake-serving');
+const { buildSequenceExample, buildExample } = require('../../sequence-example-builder');
+const { tensorToValue } = require('../../tensor');
+const config = require('../../config');
+
+const examples = [
+  buildExample({ ad_type: ['SC_CPCV_1'], floor_price: [5.5] }),
+  buildExample({ ad_type: ['MJ_CPCV_1'], floor_price: [8] })
+];
+
+describe('FakeServingServer Predict', () => {
+  const server = new FakeServingServer();
+  const serializedExample = buildSequenceExample({ ad_type: ['SC_CPCV_1'], userid: ['749603295'] });
+  let client;
+
+  before(async () => {
+    const { target } = await server.start();
+    client = new PredictionClient({ target, retry: false });
+  });
+
+  afterEach(() => server.reset());
+
+  after(async () => {
+    client.close();
+    await server.stop();
+  });
+
+  function predict(model, options = {}) {
+    return client.predict({ model, serializedExample, ...options });
+  }
+
+  it('routes by ingress path and decodes the example', async () => {
+    await predict('BASELINE');
+    const [call] = server.calls;
+
+    assert.equal(call.method, 'Predict');
+    assert.equal(call.path, config.MODELS.BASELINE.path);
+    assert.equal(call.variant, 'BASELINE');
+    assert.deepEqual(call.examples, [{ ad_type: ['SC_CPCV_1'], userid: ['749603295'] }]);
+  });
+
+  it('scores the same example differently per variant by default', async () => {
+    const baseline = tensorToValue((await predict('BASELINE')).outputs.optimal_floor_price);
+    const aggressive = tensorToValue((await predict('AGGRESSIVE')).outputs.optimal_floor_price);
+    assert.ok(Math.abs(aggressive - baseline * 1.25) < 1e-3);
+  });
+
+  it('fails a scripted call, then applies the rule', async () => {
+    server.setRule(features => ({ fill_probability: features.ad_type[0] === 'SC_CPCV_1' ? 0.25 : 0 }));
+    server.script([{ code: 'RESOURCE_EXHAUSTED' }]);
+
+    await assert.rejects(predict('BASELINE'), error => error.code === 8);
+    assert.equal(tensorToValue((await predict('BASELINE')).outputs.fill_probability), 0.25);
+  });
+
+  it('delays responses past the deadline', async () => {
+    server.setLatency(200);
+    await assert.rejects(predict('BASELINE', { timeout: 50 }), error => error.code === 4);
+  });
+
+  it('clears an injected status after the given number of calls', async () => {
+    server.failWith('UNAVAILABLE', { model: 'AGGRESSIVE', times: 1 });
+
+    await assert.rejects(predict('AGGRESSIVE'), error => error.code === 14);
+    assert.ok((await predict('AGGRESSIVE')).outputs.fill_probability);
+  });
+
+  it('lists the outputs in the model metadata', async () => {
+    const { signatureDefs } = await client.getModelMetadata({ model: 'BASELINE' });
+    assert.deepEqual(Object.keys(signatureDefs.serving_default.outputs), ['fill_probability', 'optimal_floor_price']);
+  });
+});
+
+describe('FakeServingServer inference RPCs', () => {
+  const server = new FakeServingServer({
+    rule: features => ({ fill_probability: features.floor_price[0] / 10, optimal_floor_price: features.floor_price[0] * 2 })
+  });
+  let client;
+
+  before(async () => {
+    const { target } = await server.start();
+    client = new PredictionClient({ target, retry: false });
+  });
+
+  afterEach(() => {
+    server.calls.length = 0;
+  });
+
+  after(async () => {
+    client.close();
+    await server.stop();
+  });
+
+  it('regresses each example to the first output of the rule', async () => {
+    const { result, modelSpec } = await client.regress({ model: 'BASELINE', serializedExamples: examples });
+
+    assert.deepEqual(result.regressions.map(r => r.value), [Math.fround(0.55), Math.fround(0.8)]);
+    assert.equal(modelSpec.signatureName, 'serving_default');
+    assert.deepEqual(server.calls.map(call => [call.method, call.variant]), [['Regress', 'BASELINE']]);
+  });
+
+  it('classifies each example with one class per output', async () => {
+    const { result } = await client.classify({ model: 'CONSERVATIVE', serializedExamples: examples.slice(0, 1) });
+
+    assert.deepEqual(result.classifications.map(c => c.classes.map(({ label, score }) => [label, score])), [
+      [['fill_probability', Math.fround(0.55)], ['optimal_floor_price', 11]]
+    ]);
+  });
+
+  it('merges the context example into every example', async () => {
+    await client.regress({
+      model: 'BASELINE',
+      serializedExamples: [buildExample({ floor_price: [3] })],
+      serializedContext: buildExample({ ad_type: ['SC_CPCV_1'] })
+    });
+
+    const [call] = server.calls;
+    assert.deepEqual(call.common, { ad_type: ['SC_CPCV_1'] });
+    assert.deepEqual(call.examples, [{ ad_type: ['SC_CPCV_1'], floor_price: [3] }]);
+  });
+
+  it('answers every MultiInference task from the same outputs', async () => {
+    const { results } = await client.multiInference({
+      model: 'AGGRESSIVE',
+      serializedExamples: examples,
+      tasks: [{ methodName: 'regress' }, { methodName: 'classify' }]
+    });
+
+    assert.equal(results.length, 2);
+    assert.deepEqual(results[0].regressionResult.regressions.map(r => r.value), [Math.fround(0.55), Math.fround(0.8)]);
+    assert.deepEqual(results[1].classificationResult.classifications[1].classes.map(c => c.label),
+      ['fill_probability', 'optimal_floor_price']);
+    assert.equal(server.calls[0].variant, 'AGGRESSIVE');
+  });
+
+  it('applies scripts and injected faults like Predict', async () => {
+    server.script([{ outputs: { score: 0.5 } }, { code: 'RESOURCE_EXHAUSTED' }], { model: 'BASELINE' });
+
+    const { result } = await client.regress({ model: 'BASELINE', serializedExamples: examples });
+    assert.deepEqual(result.regressions.map(r => r.value), [0.5, 0.5]);
+    await assert.rejects(client.classify({ model: 'BASELINE', serializedExamples: examples }), error => error.code === 8);
+  });
+
+  it('rejects an unknown signature', async () => {
+    await assert.rejects(
+      client.regress({ model: 'BASELINE', signatureName: 'missing', serializedExamples: examples }),
+      error => error.code === 3 && /missing/.test(error.details)
+    );
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Fallback chain: trying variants in order, then static default scores; labels for model objects
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FallbackChain } = require('../../fallback-chain');
+const { PredictionClient } = require('../../prediction-client');
+const { buildSequenceExample } = require('../../sequence-example-builder');
+const { jsToTensor } = require('../../tensor');
+const config = require('../../config');
+
+const serializedExample = buildSequenceExample({ ad_type: ['SC_CPCV_1'] });
+
+/**
+ * Client whose predict() answers with `predict(model)`
+ */
+function stubClient(predict) {
+  const client = new PredictionClient({ retry: false });
+  client.predict = async ({ model }) => predict(model);
+  return client;
+}
+
+function circuitOpen(model) {
+  return Object.assign(new Error(`Circuit OPEN for ${model}`), { code: 'CIRCUIT_OPEN' });
+}
+
+describe('FallbackChain', () => {
+  it('answers with the first variant that succeeds', async () => {
+    const chain = new FallbackChain({
+      chain: ['AGGRESSIVE', 'BASELINE'],
+      client: stubClient(model => {
+        if (model === 'AGGRESSIVE') {
+          throw circuitOpen(model);
+        }
+        return { outputs: { fill_probability: jsToTensor([0.5], { dtype: 'float' }) } };
+      })
+    });
+
+    const result = await chain.predict({ serializedExample });
+    assert.equal(result.variant, 'BASELINE');
+    assert.equal(result.modelName, 'ads-dnb-baseline-v1');
+    assert.deepEqual(result.predictions, { fill_probability: 0.5 });
+    assert.deepEqual(result.fallbacks, [{ variant: 'AGGRESSIVE', code: 'CIRCUIT_OPEN', message: 'Circuit OPEN for AGGRESSIVE' }]);
+  });
+
+  it('returns the static default scores when every variant failed', async () => {
+    const chain = new FallbackChain({
+      chain: ['AGGRESSIVE', 'BASELINE'],
+      defaultScores: { fill_probability: 0 },
+      client: stubClient(() => {
+        throw Object.assign(new Error('14 UNAVAILABLE'), { code: 14 });
+      })
+    });
+
+    const result = await chain.predict({ serializedExample });
+    assert.equal(result.variant, 'DEFAULT');
+    assert.equal(result.modelName, null);
+    assert.deepEqual(result.predictions, { fill_probability: 0 });
+    assert.deepEqual(result.fallbacks.map(f => [f.variant, f.code]), [['AGGRESSIVE', 14], ['BASELINE', 14]]);
+  });
+
+  it('throws with every failure when there are no default scores', async () => {
+    const chain = new FallbackChain({
+      chain: ['AGGRESSIVE'],
+      defaultScores: null,
+      client: stubClient(model => {
+        throw circuitOpen(model);
+      })
+    });
+    await assert.rejects(chain.predict({ serializedExample }), error => (
+      error.message === 'All variants failed: AGGRESSIVE (Circuit OPEN for AGGRESSIVE)' && error.fallbacks.length === 1
+    ));
+  });
+
+  it('labels model objects with their config.MODELS key', async () => {
+    const canary = { name: 'ads-dnb-canary-v1', signature: 'serving_default', path: 'ads-dnb-canary-v1/sparse' };
+    const chain = new FallbackChain({
+      chain: [canary, { ...config.MODELS.AGGRESSIVE, signature: 'calibrated' }, { ...config.MODELS.BASELINE }],
+      client: stubClient(model => {
+        if (model.path !== config.MODELS.BASELINE.path) {
+          throw Object.assign(new Error('14 UNAVAILABLE'), { code: 14 });
+        }
+        return { outputs: { fill_probability: jsToTensor([0.5], { dtype: 'float' }) } };
+      })
+    });
+
+    const result = await chain.predict({ serializedExample });
+    assert.equal(result.variant, 'BASELINE');
+    assert.equal(result.modelName, 'ads-dnb-baseline-v1');
+    assert.deepEqual(result.fallbacks.map(f => f.variant), ['ads-dnb-canary-v1', 'AGGRESSIVE']);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Ingress routing: custom method paths, model resolution and target settings
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PredictionClient, buildMethodPath, resolveTarget } = require('../../prediction-client');
+const { makeIngressRequest } = require('../../client-ingress');
+const { FakeServingServer } = require('../../fake-serving');
+const { buildSequenceExample } = require('../../sequence-example-builder');
+const config = require('../../config');
+
+const example = buildSequenceExample({ ad_type: ['SC_CPCV_1'] });
+
+describe('buildMethodPath', () => {
+  it('prefixes the method with the model path', () => {
+    assert.equal(
+      buildMethodPath('ads-dnb-baseline-v1/sparse', 'PredictionService', 'Predict'),
+      '/ads-dnb-baseline-v1/sparse/tensorflow.serving.PredictionService/Predict'
+    );
+  });
+
+  it('uses the plain method path without a model path', () => {
+    assert.equal(buildMethodPath(null, 'ModelService', 'GetModelStatus'), '/tensorflow.serving.ModelService/GetModelStatus');
+  });
+});
+
+describe('PredictionClient routing', () => {
+  /**
+   * Method path a predict() call would use, captured before anything is sent
+   */
+  async function predictPath(clientOptions, predictOptions) {
+    const client = new PredictionClient({ retry: false, circuitBreaker: false, ...clientOptions });
+    let methodPath = null;
+    client.unaryCall = async (call) => {
+      methodPath = call.methodPath;
+      return client.PredictResponse.encode({}).finish();
+    };
+    await client.predict({ serializedExample: example, ...predictOptions });
+    return methodPath;
+  }
+
+  for (const [variant, model] of Object.entries(config.MODELS)) {
+    it(`routes ${variant} through /${model.path} on the ingress`, async () => {
+      assert.equal(
+        await predictPath({ target: 'INGRESS' }, { model: variant }),
+        `/${model.path}/tensorflow.serving.PredictionService/Predict`
+      );
+    });
+  }
+
+  it('drops the model path for the POD target', async () => {
+    assert.equal(await predictPath({ target: 'POD' }, { model: 'BASELINE' }), '/tensorflow.serving.PredictionService/Predict');
+  });
+
+  it('lets an explicit modelPath override the model config', async () => {
+    assert.equal(
+      await predictPath({ target: 'INGRESS' }, { model: 'BASELINE', modelPath: 'canary/sparse' }),
+      '/canary/sparse/tensorflow.serving.PredictionService/Predict'
+    );
+  });
+
+  it('rejects unknown model variants', async () => {
+    await assert.rejects(predictPath({}, { model: 'MISSING' }), /Unknown model: MISSING/);
+  });
+});
+
+describe('resolveTarget', () => {
+  it('uses TLS for the ingress', () => {
+    assert.deepEqual(resolveTarget('INGRESS'), {
+      address: `${config.INGRESS.HOST}:${config.INGRESS.PORT}`,
+      useTls: config.INGRESS.USE_TLS,
+      caCertPath: config.INGRESS.CERT_PATH
+    });
+  });
+
+  it('uses TLS for host targets only on port 443', () => {
+    assert.equal(resolveTarget({ host: 'example.internal', port: 443 }).useTls, true);
+    assert.equal(resolveTarget({ host: '127.0.0.1', port: 8500 }).useTls, false);
+  });
+
+  it('rejects unknown targets', () => {
+    assert.throws(() => resolveTarget('STAGING'), /Unknown target: STAGING/);
+  });
+});
+
+describe('TLS credentials', () => {
+  const client = new PredictionClient({ retry: false, circuitBreaker: false });
+
+  after(() => client.close());
+
+  it('rejects a configured certificate path that does not exist', () => {
+    assert.throws(
+      () => client.getClient({ host: 'example.internal', port: 443, caCertPath: 'missing/ingress.crt' }),
+      /Certificate file not found: missing\/ingress\.crt/
+    );
+  });
+
+  it('uses the system CA roots when no certificate path is given', () => {
+    assert.ok(client.getClient({ host: 'example.internal', port: 443 }));
+  });
+});
+
+describe('makeIngressRequest', () => {
+  const server = new FakeServingServer();
+  let port;
+
+  before(async () => {
+    ({ port } = await server.start());
+  });
+
+  after(() => server.stop());
+
+  it('calls each variant on its custom path', async () => {
+    for (const model of Object.values(config.MODELS)) {
+      const response = await makeIngressRequest({
+        serializedExample: example,
+        modelName: model.name,
+        signatureName: model.signature,
+        modelPath: model.path,
+        ingressHost: '127.0.0.1',
+        port,
+        quiet: true
+      });
+      assert.ok(response.outputs.fill_probability);
+    }
+
+    assert.deepEqual(server.calls.map(call => call.path), Object.values(config.MODELS).map(model => model.path));
+  });
+
+  it('fails with NOT_FOUND when the model name does not match the path', async () => {
+    await assert.rejects(makeIngressRequest({
+      serializedExample: example,
+      modelName: config.MODELS.AGGRESSIVE.name,
+      modelPath: config.MODELS.BASELINE.path,
+      ingressHost: '127.0.0.1',
+      port,
+      retry: false,
+      quiet: true
+    }), error => error.code === 5);
+  });
+});
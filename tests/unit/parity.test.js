@@ -0,0 +1,134 @@
+/**
+ * Cross-language parity: Python golden serializations vs the Node builder
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadParityCases, checkParityCase, scoreParityCase } = require('../../parity-harness');
+const { diffSequenceExamples, formatDiff, DIFF_KINDS } = require('../../sequence-example-diff');
+const { buildSequenceExample, toHex } = require('../../sequence-example-builder');
+const { decodeSequenceExample } = require('../../sequence-example-decoder');
+const { jsToTensor } = require('../../tensor');
+
+const cases = loadParityCases();
+
+describe('Python parity cases', () => {
+  it('has cases with input.json and python.hex', () => {
+    assert.ok(cases.length >= 3);
+  });
+
+  for (const parityCase of cases) {
+    it(parityCase.name, () => {
+      const result = checkParityCase(parityCase);
+      assert.equal(formatDiff(result.differences, { expected: 'Python', actual: 'Node' }), '✅ No differences');
+      assert.ok(result.bytesMatch, 'canonical bytes differ although features match');
+    });
+  }
+});
+
+describe('scoreParityCase', () => {
+  // Synthetic outputs: none of the fixture cases has recorded model outputs
+  const parityCase = {
+    ...cases.find(c => c.name === 'single-string-feature'),
+    expectedOutput: { model: 'BASELINE', tolerance: 0.01, outputs: { fill_probability: 0.25, optimal_floor_price: 12.5 } }
+  };
+
+  /**
+   * Client stub returning the given outputs for each call, in order
+   */
+  function clientReturning(...responses) {
+    return {
+      async predict() {
+        const outputs = responses.shift();
+        return {
+          outputs: Object.fromEntries(Object.entries(outputs).map(([name, value]) => [name, jsToTensor([value], { dtype: 'float' })]))
+        };
+      }
+    };
+  }
+
+  it('accepts outputs within the case tolerance', async () => {
+    const outputs = Object.fromEntries(Object.entries(parityCase.expectedOutput.outputs)
+      .map(([name, value]) => [name, Math.fround(value)]));
+    const { mismatches } = await scoreParityCase(parityCase, { client: clientReturning(outputs, outputs) });
+    assert.deepEqual(mismatches, []);
+  });
+
+  it('reports outputs that drift between Python and Node', async () => {
+    const python = { ...parityCase.expectedOutput.outputs };
+    const [output] = Object.keys(python);
+    const { mismatches } = await scoreParityCase(parityCase, {
+      client: clientReturning(python, { ...python, [output]: python[output] + 1 })
+    });
+
+    assert.deepEqual(mismatches.map(m => [m.output, m.side]), [[output, 'node'], [output, 'node']]);
+  });
+
+  it('only compares Python with Node when the case has no expected outputs', async () => {
+    const unrecorded = { ...parityCase, expectedOutput: null };
+    const { model, mismatches } = await scoreParityCase(unrecorded, {
+      client: clientReturning({ fill_probability: 0.5 }, { fill_probability: 0.75 })
+    });
+
+    assert.equal(model, 'BASELINE');
+    assert.deepEqual(mismatches, [{ output: 'fill_probability', side: 'node', expected: 0.5, actual: 0.75 }]);
+  });
+});
+
+describe('diffSequenceExamples', () => {
+  const base = { ad_type: ['SC_CPCV_1'], count: [3], price: [9.99] };
+
+  function diff(actual, options) {
+    return diffSequenceExamples(buildSequenceExample(base), buildSequenceExample(actual), options);
+  }
+
+  it('finds no differences between equal examples, regardless of key order', () => {
+    assert.deepEqual(diff({ price: [9.99], count: [3], ad_type: ['SC_CPCV_1'] }), []);
+  });
+
+  it('accepts hex and decoded inputs', () => {
+    const hex = toHex(buildSequenceExample(base));
+    assert.deepEqual(diffSequenceExamples(hex, decodeSequenceExample(buildSequenceExample(base))), []);
+  });
+
+  it('reports missing and extra features', () => {
+    const differences = diff({ ad_type: ['SC_CPCV_1'], count: [3], city: ['koppal'] });
+    assert.deepEqual(differences.map(d => [d.kind, d.feature]), [
+      [DIFF_KINDS.EXTRA, 'city'],
+      [DIFF_KINDS.MISSING, 'price']
+    ]);
+  });
+
+  it('reports type mismatches', () => {
+    const [difference] = diff({ ...base, count: ['3'] });
+    assert.deepEqual(difference, {
+      kind: DIFF_KINDS.TYPE, section: 'featureLists', feature: 'count', step: 0, expected: 'int64', actual: 'bytes'
+    });
+  });
+
+  it('reports step count and value count differences', () => {
+    assert.equal(diff({ ...base, ad_type: ['SC_CPCV_1', 'MJ_CPCV_1'] })[0].kind, DIFF_KINDS.STEPS);
+
+    const left = buildSequenceExample({ context: { ids: [1, 2] }, featureLists: {} });
+    const right = buildSequenceExample({ context: { ids: [1] }, featureLists: {} });
+    assert.equal(diffSequenceExamples(left, right)[0].kind, DIFF_KINDS.LENGTH);
+  });
+
+  it('reports value differences, with an optional float tolerance', () => {
+    const differences = diff({ ...base, price: [9.98] });
+    assert.equal(differences.length, 1);
+    assert.equal(differences[0].kind, DIFF_KINDS.VALUE);
+    assert.equal(differences[0].index, 0);
+
+    assert.deepEqual(diff({ ...base, price: [9.98] }, { tolerance: 0.02 }), []);
+  });
+
+  it('formats one line per difference', () => {
+    const lines = formatDiff(diff({ ad_type: ['MJ_CPCV_1'], count: [3] }), { expected: 'Python', actual: 'Node' }).split('\n');
+    assert.deepEqual(lines, [
+      '~ ad_type step 0 [0]: "SC_CPCV_1" in Python, "MJ_CPCV_1" in Node',
+      '- price: only in Python (1 step(s) [[9.989999771118164]])'
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * PredictRequest and ClassificationRequest encoding: input tensors, model spec and wire bytes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PredictionClient } = require('../../prediction-client');
+const { buildSequenceExample, buildExample } = require('../../sequence-example-builder');
+const { DATA_TYPES } = require('../../tensor');
+const config = require('../../config');
+
+const client = new PredictionClient({ retry: false, circuitBreaker: false });
+const example = buildSequenceExample({ ad_type: ['SC_CPCV_1'] });
+const common = buildSequenceExample({ userid: ['749603295'] });
+
+/**
+ * Builds a request, puts it on the wire and decodes it back
+ */
+function wireRoundTrip(options) {
+  const request = client.buildPredictRequest(options);
+  const bytes = client.PredictRequest.encode(request).finish();
+  return { bytes: Buffer.from(bytes), decoded: client.PredictRequest.decode(bytes) };
+}
+
+describe('buildPredictRequest', () => {
+  it('sends the model name and signature in model_spec', () => {
+    const { decoded } = wireRoundTrip({
+      serializedExamples: [example],
+      modelName: config.MODELS.BASELINE.name,
+      signatureName: 'serving_default'
+    });
+
+    assert.equal(decoded.modelSpec.name, config.MODELS.BASELINE.name);
+    assert.equal(decoded.modelSpec.signatureName, 'serving_default');
+  });
+
+  it('puts the serialized example in a DT_STRING "examples" tensor of shape [1]', () => {
+    const { bytes, decoded } = wireRoundTrip({ serializedExamples: [example], modelName: 'm', signatureName: 's' });
+    const tensor = decoded.inputs.examples;
+
+    assert.equal(tensor.dtype, DATA_TYPES.DT_STRING);
+    assert.deepEqual(tensor.tensorShape.dim.map(dim => Number(dim.size)), [1]);
+    assert.equal(tensor.stringVal.length, 1);
+    assert.ok(Buffer.from(tensor.stringVal[0]).equals(example));
+    // The example bytes are carried verbatim, not re-encoded
+    assert.ok(bytes.includes(example));
+  });
+
+  it('batches several examples into shape [N] in input order', () => {
+    const second = buildSequenceExample({ ad_type: ['SC_OUTSTREAM'] });
+    const { decoded } = wireRoundTrip({ serializedExamples: [example, second], modelName: 'm', signatureName: 's' });
+    const tensor = decoded.inputs.examples;
+
+    assert.deepEqual(tensor.tensorShape.dim.map(dim => Number(dim.size)), [2]);
+    assert.ok(Buffer.from(tensor.stringVal[0]).equals(example));
+    assert.ok(Buffer.from(tensor.stringVal[1]).equals(second));
+  });
+
+  it('adds the "common" input only when given', () => {
+    const without = wireRoundTrip({ serializedExamples: [example], modelName: 'm', signatureName: 's' }).decoded;
+    const withCommon = wireRoundTrip({
+      serializedExamples: [example], serializedCommon: common, modelName: 'm', signatureName: 's'
+    }).decoded;
+
+    assert.deepEqual(Object.keys(without.inputs), ['examples']);
+    assert.deepEqual(Object.keys(withCommon.inputs).sort(), ['common', 'examples']);
+    assert.ok(Buffer.from(withCommon.inputs.common.stringVal[0]).equals(common));
+  });
+
+  it('requires at least one example', () => {
+    assert.throws(() => client.buildPredictRequest({ serializedExamples: [], modelName: 'm' }), /serializedExample is required/);
+    assert.throws(() => client.buildPredictRequest({ serializedExamples: [null], modelName: 'm' }), /serializedExample is required/);
+  });
+});
+
+describe('buildInput', () => {
+  it('sends tf.Examples with a shared context in a ClassificationRequest', () => {
+    const examples = [buildExample({ ad_type: ['SC_CPCV_1'] }), buildExample({ ad_type: ['SC_OUTSTREAM'] })];
+    const request = client.createMessage(client.ClassificationRequest, {
+      modelSpec: { name: config.MODELS.BASELINE.name, signatureName: 'classify' },
+      input: client.buildInput({ serializedExamples: examples, serializedContext: buildExample({ userid: ['749603295'] }) })
+    });
+    const decoded = client.ClassificationRequest.decode(client.ClassificationRequest.encode(request).finish());
+    const { exampleListWithContext } = decoded.input;
+
+    assert.equal(decoded.modelSpec.signatureName, 'classify');
+    assert.deepEqual(exampleListWithContext.examples.map(e => Buffer.from(client.Example.encode(e).finish())), examples);
+    assert.equal(Buffer.from(exampleListWithContext.context.features.feature.userid.bytesList.value[0]).toString(), '749603295');
+  });
+
+  it('uses a plain example list without a context', () => {
+    const { exampleList, exampleListWithContext } = client.buildInput({ serializedExamples: [buildExample({ ad_type: ['SC_CPCV_1'] })] });
+    assert.equal(exampleList.examples.length, 1);
+    assert.equal(exampleListWithContext, undefined);
+    assert.throws(() => client.buildInput({ serializedExamples: [] }), /serializedExamples is required/);
+  });
+});
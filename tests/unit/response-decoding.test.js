@@ -0,0 +1,112 @@
+/**
+ * PredictResponse decoding: wire bytes → TensorProto → JS values
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PredictionClient, splitBatchOutputs } = require('../../prediction-client');
+const { tensorToJs, tensorToValue, outputsToValues, jsToTensor, DATA_TYPES } = require('../../tensor');
+
+const client = new PredictionClient({ retry: false, circuitBreaker: false });
+
+/**
+ * Length-delimited field: tag byte, one-byte length, payload
+ */
+function field(tag, payload) {
+  assert.ok(payload.length < 128);
+  return Buffer.concat([Buffer.from([tag, payload.length]), payload]);
+}
+
+function float32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatLE(value);
+  return buffer;
+}
+
+/**
+ * A PredictResponse as TF Serving writes it: one DT_FLOAT output of shape [1]
+ * in float_val, plus model_spec { name, version }
+ */
+function servingResponseBytes(outputName, value) {
+  const tensor = Buffer.concat([
+    Buffer.from([0x08, DATA_TYPES.DT_FLOAT]),               // dtype
+    field(0x12, field(0x12, Buffer.from([0x08, 0x01]))),     // tensor_shape { dim { size: 1 } }
+    field(0x2a, float32(value))                              // float_val (packed)
+  ]);
+  const entry = Buffer.concat([field(0x0a, Buffer.from(outputName)), field(0x12, tensor)]);
+  const modelSpec = Buffer.concat([
+    field(0x0a, Buffer.from('ads-dnb-baseline-v1')),
+    field(0x12, Buffer.from([0x08, 0x01]))                   // version { value: 1 }
+  ]);
+  return Buffer.concat([field(0x0a, entry), field(0x12, modelSpec)]);
+}
+
+function roundTrip(outputs) {
+  return client.PredictResponse.decode(client.PredictResponse.encode({ outputs }).finish());
+}
+
+describe('PredictResponse decoding', () => {
+  it('reads outputs and model_spec from TF Serving bytes', () => {
+    const response = client.PredictResponse.decode(servingResponseBytes('fill_probability', 0.17));
+
+    assert.equal(response.modelSpec.name, 'ads-dnb-baseline-v1');
+    assert.equal(Number(response.modelSpec.version.value), 1);
+
+    const { dtype, shape, values } = tensorToJs(response.outputs.fill_probability);
+    assert.equal(dtype, DATA_TYPES.DT_FLOAT);
+    assert.deepEqual(shape, [1]);
+    assert.equal(values[0], Math.fround(0.17));
+  });
+
+  it('flattens single-value outputs to scalars', () => {
+    const response = client.PredictResponse.decode(servingResponseBytes('optimal_floor_price', 20.08));
+    assert.deepEqual(outputsToValues(response.outputs), { optimal_floor_price: Math.fround(20.08) });
+  });
+
+  it('keeps the shape of multi-value outputs', () => {
+    const response = roundTrip({ scores: jsToTensor([[0.5, 1.5], [2.5, 3.5]], { dtype: 'float' }) });
+    assert.deepEqual(tensorToValue(response.outputs.scores), [[0.5, 1.5], [2.5, 3.5]]);
+  });
+
+  it('reads packed tensor_content', () => {
+    const response = roundTrip({ scores: jsToTensor([0.25, 0.75], { dtype: 'float', packed: true }) });
+    assert.equal(Buffer.from(response.outputs.scores.tensorContent).toString('hex'), '0000803e0000403f');
+    assert.deepEqual(tensorToValue(response.outputs.scores), [0.25, 0.75]);
+  });
+
+  it('decodes half_val and repeats the last value to fill the shape', () => {
+    const half = roundTrip({ scores: jsToTensor([1.5, -2], { dtype: 'half' }) });
+    const broadcast = roundTrip({ scores: { dtype: DATA_TYPES.DT_FLOAT, tensorShape: { dim: [{ size: 3 }] }, floatVal: [0.25] } });
+
+    assert.deepEqual(tensorToValue(half.outputs.scores), [1.5, -2]);
+    assert.deepEqual(tensorToValue(broadcast.outputs.scores), [0.25, 0.25, 0.25]);
+  });
+
+  it('decodes strings and keeps int64 precision as BigInt', () => {
+    const response = roundTrip({
+      label: jsToTensor(['SC_CPCV_1'], { dtype: 'string' }),
+      ids: jsToTensor([1, 9007199254740993n], { dtype: 'int64' })
+    });
+
+    assert.equal(tensorToValue(response.outputs.label), 'SC_CPCV_1');
+    assert.deepEqual(Array.from(tensorToJs(response.outputs.ids, { bigint: true }).values), [1n, 9007199254740993n]);
+  });
+
+  it('splits batched outputs into one prediction per example', () => {
+    const response = roundTrip({
+      fill_probability: jsToTensor([0.1, 0.2], { dtype: 'float', shape: [2] }),
+      embedding: jsToTensor([[1, 2], [3, 4]], { dtype: 'float' })
+    });
+
+    assert.deepEqual(splitBatchOutputs(response.outputs, 2), [
+      { fill_probability: Math.fround(0.1), embedding: [1, 2] },
+      { fill_probability: Math.fround(0.2), embedding: [3, 4] }
+    ]);
+  });
+
+  it('rejects outputs that do not divide by the batch size', () => {
+    const response = roundTrip({ fill_probability: jsToTensor([0.1, 0.2, 0.3], { dtype: 'float' }) });
+    assert.throws(() => splitBatchOutputs(response.outputs, 2), /not divisible by batch size 2/);
+  });
+});
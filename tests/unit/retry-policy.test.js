@@ -0,0 +1,59 @@
+/**
+ * Retry policy: backoff schedule, retryable codes, option values of 0 and the latency window
+ */
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RetryPolicy, LatencyTracker } = require('../../retry-policy');
+
+describe('RetryPolicy', () => {
+  const policy = new RetryPolicy({ initialBackoffMs: 100, maxBackoffMs: 1000, backoffMultiplier: 2, jitter: 0.2 });
+
+  afterEach(() => mock.restoreAll());
+
+  it('backs off exponentially up to the maximum', () => {
+    mock.method(Math, 'random', () => 0.5);  // No jitter
+    assert.deepEqual([0, 1, 2, 3, 5].map(retry => policy.backoffDelay(retry)), [100, 200, 400, 800, 1000]);
+  });
+
+  it('spreads each delay by at most the jitter fraction', () => {
+    mock.method(Math, 'random', () => 0);
+    assert.deepEqual([0, 2, 5].map(retry => policy.backoffDelay(retry)), [80, 320, 800]);
+
+    mock.method(Math, 'random', () => 0.999999);
+    assert.deepEqual([0, 2, 5].map(retry => policy.backoffDelay(retry)), [120, 480, 1200]);
+  });
+
+  it('retries UNAVAILABLE but not INVALID_ARGUMENT', () => {
+    assert.equal(policy.isRetryable({ code: 14 }), true);
+    assert.equal(policy.isRetryable({ code: 3 }), false);
+    assert.equal(policy.isRetryable(null), false);
+  });
+
+  it('keeps maxBackoffMs 0 and rejects maxAttempts 0', () => {
+    mock.method(Math, 'random', () => 0.5);
+    assert.deepEqual([0, 3].map(retry => new RetryPolicy({ maxBackoffMs: 0 }).backoffDelay(retry)), [0, 0]);
+    assert.throws(() => new RetryPolicy({ maxAttempts: 0 }), /maxAttempts must be at least 1, got 0/);
+  });
+});
+
+describe('LatencyTracker', () => {
+  it('reports percentiles over the window', () => {
+    const tracker = new LatencyTracker(100);
+    for (let ms = 1; ms <= 100; ms++) {
+      tracker.record(ms);
+    }
+
+    assert.equal(tracker.percentile(50), 50);
+    assert.equal(tracker.percentile(95), 95);
+    assert.equal(tracker.percentile(100), 100);
+  });
+
+  it('keeps only the most recent samples', () => {
+    const tracker = new LatencyTracker(3);
+    [500, 1, 2, 3].forEach(ms => tracker.record(ms));
+    assert.equal(tracker.percentile(100), 3);
+    assert.equal(new LatencyTracker(3).percentile(50), null);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Scylla feature rows (ars_user_features_v2 value strings) → named historical features
+ * → the SequenceExample the model receives
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const SimpleInferenceClient = require('../../simple-scylla-client');
+const { InMemoryFeatureStore, createFeatureStore } = require('../../feature-store');
+const { PredictionClient } = require('../../prediction-client');
+const { FakeServingServer } = require('../../fake-serving');
+const { buildSequenceExample, canonicalize, toHex } = require('../../sequence-example-builder');
+const { getExample } = require('../../feature-examples');
+const config = require('../../config');
+
+const FEATURE_SET = config.FEATURE_STORE.HISTORICAL_FEATURE_SET;
+const FIXTURES = path.join(__dirname, '../fixtures/ars_user_features_v2.json');
+
+function clientWithRows(rows) {
+  return new SimpleInferenceClient({
+    featureStore: new InMemoryFeatureStore(rows),
+    predictionClient: { close() {} }
+  });
+}
+
+describe('historical feature values', () => {
+  it('maps the 18 colon-separated values in column order', async () => {
+    const client = clientWithRows([{
+      id: '1|SC_CPCV_1|SC',
+      featuresetid: FEATURE_SET,
+      value: '120:84:1680.5:35.2:1520.75:42.1:0.7:20.0:18.1:910:602:12480.3:41.0:11020.9:55.3:0.6615:20.73:18.31'
+    }]);
+
+    assert.deepEqual(await client.getHistoricalFeatures('1', 'SC_CPCV_1', 'SC'), {
+      requests_1_day: 120,
+      responses_1_day: 84,
+      floor_price_sum_1_day: 1680.5,
+      floor_price_max_1_day: 35.2,
+      winning_bid_sum_1_day: 1520.75,
+      winning_bid_max_1_day: 42.1,
+      winrate_1_day: 0.7,
+      floor_price_avg_1_day: 20.0,
+      winning_bid_avg_1_day: 18.1,
+      requests_7_day: 910,
+      responses_7_day: 602,
+      floor_price_sum_7_day: 12480.3,
+      floor_price_max_7_day: 41.0,
+      winning_bid_sum_7_day: 11020.9,
+      winning_bid_max_7_day: 55.3,
+      winrate_7_day: 0.6615,
+      floor_price_avg_7_day: 20.73,
+      winning_bid_avg_7_day: 18.31
+    });
+  });
+
+  it('rounds counts and zero-fills short or non-numeric values', async () => {
+    const client = clientWithRows([{ id: '2|SC_CPCV_1|SC', featuresetid: FEATURE_SET, value: '12.6:n/a:3.5' }]);
+    const features = await client.getHistoricalFeatures('2', 'SC_CPCV_1', 'SC');
+
+    assert.equal(features.requests_1_day, 13);
+    assert.equal(features.responses_1_day, 0);
+    assert.equal(features.floor_price_sum_1_day, 3.5);
+    assert.equal(features.winning_bid_avg_7_day, 0);
+  });
+
+  it('looks rows up by userid|ad_type|sourceApp and feature set', async () => {
+    const client = clientWithRows([
+      { id: '3|SC_CPCV_1|SC', featuresetid: 'user_engagement_features_6m', value: '274|0|27' },
+      { id: '3|SC_CPCV_1|MJ', featuresetid: FEATURE_SET, value: '5' }
+    ]);
+
+    // Other feature sets and other source apps do not match
+    const features = await client.getHistoricalFeatures('3', 'SC_CPCV_1', 'SC');
+    assert.equal(features.requests_1_day, 0);
+    assert.equal((await client.getHistoricalFeatures('3', 'SC_CPCV_1', 'MJ')).requests_1_day, 5);
+  });
+
+  it('returns all-zero defaults when the row is missing', async () => {
+    const features = await clientWithRows([]).getHistoricalFeatures('4', 'SC_CPCV_1', 'SC');
+    assert.equal(Object.keys(features).length, 18);
+    assert.ok(Object.values(features).every(value => value === 0));
+  });
+});
+
+describe('InMemoryFeatureStore', () => {
+  it('loads the ars_user_features_v2 fixtures', async () => {
+    const store = createFeatureStore({ type: 'memory', fixtures: FIXTURES });
+    const row = await store.getRow('123456|SC_CPCV_1|SC', FEATURE_SET);
+
+    assert.equal(store.size, 3);
+    assert.equal(row.featureversionid, '1762474017');
+    assert.ok(row.timestamp instanceof Date);
+    assert.equal(await store.getRow('123456|SC_CPCV_1|SC', 'missing_set'), null);
+  });
+
+  it('returns copies so callers cannot change stored rows', async () => {
+    const store = new InMemoryFeatureStore([{ id: 'a', featuresetid: FEATURE_SET, value: '1' }]);
+    (await store.getRow('a', FEATURE_SET)).value = '2';
+    assert.equal((await store.getRow('a', FEATURE_SET)).value, '1');
+  });
+
+  it('rejects rows without id, featuresetid or value', () => {
+    assert.throws(() => new InMemoryFeatureStore([{ featuresetid: FEATURE_SET, value: '1' }]), /needs string id/);
+    assert.throws(() => new InMemoryFeatureStore([{ id: 'a', featuresetid: FEATURE_SET }]), /has no value/);
+  });
+
+  it('rejects unknown store types', () => {
+    assert.throws(() => createFeatureStore({ type: 'redis' }), /Unknown feature store type: redis/);
+  });
+});
+
+describe('historical feature encoding', () => {
+  it('encodes a Scylla row and the same feature-examples.js values to identical bytes', async () => {
+    const example = getExample(1);  // Example 2: request context plus all 18 aggregates
+    const historical = Object.keys(example).filter(name => /_(1|7)_day$/.test(name));
+    // ars_user_features_v2 column order: the 1-day aggregates, then the 7-day ones
+    const columns = Object.keys(await clientWithRows([]).getHistoricalFeatures('0', 'SC_CPCV_1', 'SC'));
+    assert.deepEqual([...historical].sort(), [...columns].sort());
+
+    let serialized = null;
+    const client = new SimpleInferenceClient({
+      featureStore: new InMemoryFeatureStore([{
+        id: `${example.userid[0]}|${example.ad_type[0]}|${example.sourceApp[0]}`,
+        featuresetid: FEATURE_SET,
+        value: columns.map(name => example[name][0]).join(':')
+      }]),
+      predictionClient: {
+        predict: async options => {
+          serialized = options.serializedExample;
+          return { outputs: {} };
+        },
+        close() {}
+      }
+    });
+    const context = Object.fromEntries(Object.entries(example).filter(([name]) => !historical.includes(name)));
+    await client.predict(example.userid[0], example.ad_type[0], example.sourceApp[0], context);
+
+    // Map order differs between the two sources, so compare with sorted keys
+    assert.equal(
+      toHex(canonicalize(serialized)),
+      toHex(buildSequenceExample(example, { schema: config.FEATURES.SCHEMA, deterministic: true }))
+    );
+  });
+});
+
+describe('SimpleInferenceClient pipeline', () => {
+  const server = new FakeServingServer();
+  let pipeline;
+
+  before(async () => {
+    const { target } = await server.start();
+    pipeline = new SimpleInferenceClient({
+      featureStore: createFeatureStore({ type: 'memory', fixtures: FIXTURES }),
+      predictionClient: new PredictionClient({ target, retry: false })
+    });
+    await pipeline.initialize();
+  });
+
+  after(async () => {
+    await pipeline.close();
+    await server.stop();
+  });
+
+  it('sends the historical features as numbers with the request context', async () => {
+    const result = await pipeline.predict('123456', 'SC_CPCV_1', 'SC', { city: ['koppal'] });
+    const sent = server.calls[server.calls.length - 1].examples[0];
+
+    assert.equal(result.historicalFeatures.requests_1_day, 120);
+    assert.equal(result.historicalFeatures.winrate_7_day, 0.6615);
+    assert.deepEqual(sent.userid, ['123456']);
+    assert.deepEqual(sent.city, ['koppal']);
+    assert.deepEqual(sent.requests_1_day, [120]);
+    assert.deepEqual(sent.winrate_1_day, [Math.fround(0.7)]);
+  });
+
+  it('scores with zero defaults when the user has no row', async () => {
+    const result = await pipeline.predict('345678', 'SC_CPC_1', 'MJ');
+    const sent = server.calls[server.calls.length - 1].examples[0];
+
+    assert.equal(result.historicalFeatures.requests_7_day, 0);
+    assert.deepEqual(sent.requests_7_day, [0]);
+    assert.equal(typeof result.predictions.fill_probability, 'number');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Shadow traffic: mirroring requests to candidates without affecting the primary
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ShadowTraffic } = require('../../shadow-traffic');
+const { buildSequenceExample } = require('../../sequence-example-builder');
+const { jsToTensor } = require('../../tensor');
+const config = require('../../config');
+
+const serializedExample = buildSequenceExample({ ad_type: ['SC_CPCV_1'] });
+
+describe('ShadowTraffic', () => {
+  /**
+   * Shadow setup whose BASELINE answers at once, CONSERVATIVE after 50ms and
+   * AGGRESSIVE fails after 50ms; `done` records when a shadow finished
+   */
+  function shadowTraffic(done) {
+    return new ShadowTraffic({
+      primary: 'BASELINE',
+      candidates: ['CONSERVATIVE', 'AGGRESSIVE'],
+      sampleRate: 1,
+      request: async ({ modelPath }) => {
+        if (modelPath === config.MODELS.BASELINE.path) {
+          return { outputs: { fill_probability: jsToTensor([0.25], { dtype: 'float' }) } };
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+        done.push(modelPath);
+        if (modelPath === config.MODELS.AGGRESSIVE.path) {
+          const error = new Error('14 UNAVAILABLE: no healthy upstream');
+          error.code = 14;
+          throw error;
+        }
+        return { outputs: { fill_probability: jsToTensor([0.5], { dtype: 'float' }) } };
+      }
+    });
+  }
+
+  it('answers with the primary before the shadows finish', async () => {
+    const done = [];
+    const shadow = shadowTraffic(done);
+    const result = await shadow.predict({ serializedExample, requestId: 'req-1' });
+
+    assert.deepEqual(done, []);
+    assert.deepEqual(result, {
+      variant: 'BASELINE', modelName: 'ads-dnb-baseline-v1', requestId: 'req-1', predictions: { fill_probability: 0.25 }
+    });
+    await shadow.flush();
+  });
+
+  it('records primary and shadow outcomes, keeping shadow errors', async () => {
+    const shadow = shadowTraffic([]);
+    await shadow.predict({ serializedExample, requestId: 'req-2' });
+    await shadow.flush();
+    const [record] = shadow.drain();
+
+    assert.equal(record.requestId, 'req-2');
+    assert.deepEqual(record.primary.predictions, { fill_probability: 0.25 });
+    assert.deepEqual(record.shadows.map(s => [s.variant, s.predictions, s.error]), [
+      ['CONSERVATIVE', { fill_probability: 0.5 }, null],
+      ['AGGRESSIVE', null, { code: 14, message: '14 UNAVAILABLE: no healthy upstream' }]
+    ]);
+    assert.deepEqual(shadow.getStats(), { requests: 1, mirrored: 2, dropped: 0, shadowErrors: 1, inFlight: 0 });
+  });
+
+  it('rejects a primary that is also a candidate', () => {
+    assert.throws(() => new ShadowTraffic({ primary: 'BASELINE', candidates: ['BASELINE'], request: async () => ({}) }),
+      /Primary variant BASELINE cannot also be a shadow candidate/);
+  });
+});
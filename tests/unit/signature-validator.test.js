@@ -0,0 +1,122 @@
+/**
+ * Request inputs checked against a model's SignatureDef, and the client's
+ * GetModelMetadata lookup in front of each call
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateInputs, validateMethod } = require('../../signature-validator');
+const { buildSequenceExample } = require('../../sequence-example-builder');
+const { PredictionClient } = require('../../prediction-client');
+const { FakeServingServer } = require('../../fake-serving');
+const { jsToTensor } = require('../../tensor');
+
+const signatureDef = {
+  inputs: { examples: { dtype: 7, tensorShape: { dim: [{ size: -1 }] } } },
+  methodName: 'tensorflow/serving/predict'
+};
+const context = { modelName: 'ads-dnb-baseline-v1', signatureName: 'serving_default' };
+const example = buildSequenceExample({ ad_type: ['SC_CPCV_1'] });
+const examples = jsToTensor([example], { dtype: 'string' });
+
+/**
+ * Message of the error validateInputs throws, or null when the inputs match
+ */
+function validationError(inputs) {
+  try {
+    validateInputs(signatureDef, inputs, context);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+describe('validateInputs', () => {
+  it('accepts inputs matching the signature', () => {
+    assert.equal(validationError({ examples }), null);
+  });
+
+  it('names an unexpected input', () => {
+    assert.match(validationError({ examples, common: examples }), /unexpected input "common"/);
+  });
+
+  it('names a missing input', () => {
+    assert.match(validationError({}), /missing input "examples"/);
+  });
+
+  it('names a wrong dtype', () => {
+    assert.match(validationError({ examples: jsToTensor([0.5], { dtype: 'float' }) }),
+      /"examples" has dtype DT_FLOAT, expected DT_STRING/);
+  });
+
+  it('names a wrong rank', () => {
+    assert.match(validationError({ examples: jsToTensor([[example]], { dtype: 'string' }) }),
+      /rank 2 \[1, 1\], expected rank 1/);
+  });
+
+  it('names the model and signature', () => {
+    assert.match(validationError({}), /ads-dnb-baseline-v1/);
+    assert.match(validationError({}), /serving_default/);
+  });
+});
+
+describe('validateMethod', () => {
+  it('rejects a signature with another method', () => {
+    assert.doesNotThrow(() => validateMethod(signatureDef, 'tensorflow/serving/predict', context));
+    assert.throws(() => validateMethod(signatureDef, 'tensorflow/serving/classify', context),
+      /signature method is tensorflow\/serving\/predict, expected tensorflow\/serving\/classify/);
+  });
+});
+
+describe('PredictionClient signature validation', () => {
+  const server = new FakeServingServer();
+  let client;
+
+  before(async () => {
+    const { target } = await server.start();
+    client = new PredictionClient({ target, retry: false, validateSignatures: true });
+  });
+
+  afterEach(() => {
+    server.reset();
+    client.signatureCache.clear();
+  });
+
+  after(async () => {
+    client.close();
+    await server.stop();
+  });
+
+  const methods = () => server.calls.map(call => call.method);
+
+  it('fails a mismatched request locally', async () => {
+    await assert.rejects(client.predict({ model: 'BASELINE', serializedExample: example, serializedCommon: example }),
+      /unexpected input "common"/);
+    assert.deepEqual(methods(), ['GetModelMetadata']);
+  });
+
+  it('does not send the request when GetModelMetadata fails', async () => {
+    server.failWith('UNAVAILABLE', { method: 'GetModelMetadata', times: 1 });
+
+    await assert.rejects(client.predict({ model: 'BASELINE', serializedExample: example }), error => (
+      error.code === 14 && /Signature validation failed: GetModelMetadata for ads-dnb-baseline-v1/.test(error.message)
+    ));
+    assert.deepEqual(methods(), ['GetModelMetadata']);
+  });
+
+  it('caches a failed lookup until the TTL expires', async () => {
+    server.failWith('UNAVAILABLE', { method: 'GetModelMetadata', times: 1 });
+
+    await assert.rejects(client.predict({ model: 'BASELINE', serializedExample: example }), error => error.code === 14);
+    await assert.rejects(client.predict({ model: 'BASELINE', serializedExample: example }), error => error.code === 14);
+    assert.deepEqual(methods(), ['GetModelMetadata']);
+
+    // Date.now cannot be mocked here: gRPC derives call deadlines from it
+    for (const entry of client.signatureCache.values()) {
+      entry.expiresAt = Date.now();
+    }
+    await client.predict({ model: 'BASELINE', serializedExample: example });
+    assert.deepEqual(methods(), ['GetModelMetadata', 'GetModelMetadata', 'Predict']);
+  });
+});